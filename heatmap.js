@@ -27,23 +27,75 @@
      */
     const CONFIG = Object.freeze({
         version: '1.1',
+        // Session modes: label shown in the app, suffix added to saved file names,
+        // lines: points are lines drawn across the net on the two-court layout
+        modes: {
+            simpleHeatmap: { label: 'Simple Heatmap', fileSuffix: '_shm', lines: false },
+            heatmapCharting: { label: 'Heatmap and Charting', fileSuffix: '_hmc', lines: true },
+            passing: { label: 'Serve Receive Passing', fileSuffix: '_srp', lines: false },
+            serving: { label: 'Serve Tracking', fileSuffix: '_srv', lines: true }
+        },
         debug: {
             enabled: false, // Enable debug mode for development
             assertionsEnabled: true, // Enable runtime assertions
             logLevel: 'warn' // 'error', 'warn', 'info', 'debug'
         },
+        // Court templates offered when a session starts (see CourtTemplate). The session file
+        // stores a copy of its template, so courts added here open anywhere.
+        courts: {
+            indoor: {
+                label: 'Indoor',
+                width: 9,
+                depth: 9,
+                freeZone: 3,
+                netWidth: 11,
+                attackLine: 3,
+                zoneLines: [],
+                fills: [{ to: 3, color: 'insideAbove' }, { to: 9, color: 'insideBelow' }]
+            },
+            beach: {
+                label: 'Beach',
+                width: 8,
+                depth: 8,
+                freeZone: 5,
+                netWidth: 10,
+                attackLine: null,
+                zoneLines: [],
+                fills: [{ to: 8, color: 'insideBelow' }]
+            },
+            sitting: {
+                label: 'Sitting',
+                width: 6,
+                depth: 5,
+                freeZone: 3,
+                netWidth: 7,
+                attackLine: 2,
+                zoneLines: [],
+                fills: [{ to: 2, color: 'insideAbove' }, { to: 5, color: 'insideBelow' }]
+            }
+        },
         grid: {
-            size: 15, // Court width in meters (constant for both modes)
-            canvasSize: 600, // Canvas width in pixels (constant for both modes)
-            innerSquareSize: 9, // meters
+            canvasSize: 600, // Canvas width in geometry units (constant for all courts); points are stored in these units
+            farCourtMargin: 1, // meters shown behind the top court's end line when both courts are shown
             gridLineColor: '#e0e0e0',
             gridLineWidth: 1
         },
+        display: {
+            // The canvases are scaled to fit the window, then drawn at the screen's pixel density
+            minScale: 0.5,
+            maxScale: 3,
+            reservedWidth: 290, // CSS pixels beside the canvas for page padding and the side lists
+            reservedHeight: 150 // CSS pixels above the canvas for page padding and the title
+        },
+        view: {
+            maxZoom: 8, // Largest zoom on the court canvases
+            wheelZoomStep: 1.2, // Zoom factor per mouse wheel notch
+            wheelNotch: 100 // deltaY pixels browsers report per wheel notch
+        },
         drawing: {
             cloudRadius: 45, // pixels
             dotRadius: 1, // pixels
             dotColor: '#000000',
-            dashedLineWidthMeters: 11,
             dashedLineStroke: 4, // pixels
             dashLength: 10, // pixels
             circleDiameter: 6, // pixels
@@ -52,7 +104,126 @@
             numberFont: '14px Arial',
             numberColor: '#0000FF',
             numberOffsetX: 7,
-            numberOffsetY: -7
+            numberOffsetY: -7,
+            markerSize: 5, // pixels (half-width of outcome markers)
+            markerLineWidth: 2, // pixels
+            selectionColor: '#FF8C00', // dark orange
+            selectionHandleRadius: 5 // pixels
+        },
+        editing: {
+            hitTolerance: 8, // pixels from a dot, line end or line for a click to select it
+            nudgeStep: 1, // pixels moved per arrow key press
+            nudgeStepLarge: 10 // pixels moved per Shift + arrow key press
+        },
+        input: {
+            longPressDuration: 500, // ms a touch or pen must be held to act as a right-click
+            longPressMoveTolerance: 10, // pixels a long press may drift before it is cancelled
+            penPalmRejectionTime: 1000, // ms after pen input during which touches are ignored
+            maxTouchSize: 40 // pixels; larger touch contacts are ignored as a resting palm
+        },
+        zoneEntry: {
+            // Zones 1-9 from each team's own view of the net, in 3m x 3m cells (front row first)
+            layout: [[4, 3, 2], [7, 8, 9], [5, 6, 1]],
+            // Quarters of a zone from the team's own view: across (-1 left, 1 right), depth (-1 net side, 1 end line side).
+            // key: numpad operator typed after a zone; must not be a tag hotkey (checked at startup)
+            subZones: {
+                A: { key: '/', across: -1, depth: -1 },
+                B: { key: '*', across: 1, depth: -1 },
+                C: { key: '-', across: 1, depth: 1 },
+                D: { key: '+', across: -1, depth: 1 }
+            },
+            jitter: 0.8 // fraction of a zone (or sub-zone) that jittered points are spread across
+        },
+        // Rally outcomes that can be tagged on each point.
+        // key: single-letter hotkey, marker: 'cross', 'ring', 'square', 'triangle' or 'diamond'
+        outcomes: [
+            { id: 'kill', label: 'Kill', key: 'k', marker: 'cross' },
+            { id: 'error', label: 'Error', key: 'e', marker: 'ring' },
+            { id: 'dug', label: 'Dug', key: 'd', marker: 'square' },
+            { id: 'blocked', label: 'Blocked', key: 'b', marker: 'triangle' },
+            { id: 'inPlay', label: 'In Play', key: 'p', marker: 'diamond' }
+        ],
+        // Shot/skill types that can be tagged on each point.
+        // key: single-letter hotkey, dash: line dash pattern in pixels ([] for solid)
+        skillTypes: [
+            { id: 'serve', label: 'Serve', key: 's', dash: [2, 4] },
+            { id: 'attack', label: 'Attack', key: 'a', dash: [] },
+            { id: 'tip', label: 'Tip', key: 't', dash: [1, 3] },
+            { id: 'rollShot', label: 'Roll Shot', key: 'r', dash: [6, 3] },
+            { id: 'freeBall', label: 'Free Ball', key: 'f', dash: [10, 4, 2, 4] },
+            { id: 'overpass', label: 'Overpass', key: 'o', dash: [12, 6] }
+        ],
+        // Kernel density heatmap (the "Density" heatmap style)
+        density: {
+            cellSize: 4, // pixels per grid cell
+            bandwidth: { default: 1, min: 0.25, max: 3, step: 0.25 }, // kernel standard deviation in meters
+            cutoff: 3, // each point's kernel reaches this many bandwidths
+            defaultFixedMax: 1, // points per m² at the top of a fixed scale
+            maxAlpha: 0.75,
+            fadeBelow: 0.1, // cells below this fraction of the scale fade out
+            // Color ramp from no density (0) to the top of the scale (1), as [r, g, b]
+            colorStops: [
+                { offset: 0, color: [0, 0, 255] }, // blue
+                { offset: 0.25, color: [0, 200, 255] }, // cyan
+                { offset: 0.5, color: [0, 200, 0] }, // green
+                { offset: 0.75, color: [255, 220, 0] }, // yellow
+                { offset: 1, color: [220, 0, 0] } // red
+            ]
+        },
+        comparison: {
+            // Diverging ramp for difference maps: 0 where set A is over-represented,
+            // 0.5 where both sets agree, 1 where set B is over-represented
+            colorStops: [
+                { offset: 0, color: [178, 24, 43] }, // red
+                { offset: 0.25, color: [239, 138, 98] },
+                { offset: 0.5, color: [247, 247, 247] }, // white
+                { offset: 0.75, color: [103, 169, 207] },
+                { offset: 1, color: [33, 102, 172] } // blue
+            ]
+        },
+        // Serve tracking mode: serves go from behind the bottom end line to the top court
+        serving: {
+            serveZoneDepth: 6, // meters shown behind the bottom end line
+            // key: single-letter hotkey, dash: line dash pattern in pixels ([] for solid)
+            serveTypes: [
+                { id: 'float', label: 'Float', key: 'f', dash: [] },
+                { id: 'topspin', label: 'Topspin', key: 't', dash: [6, 3] },
+                { id: 'jumpFloat', label: 'Jump Float', key: 'j', dash: [2, 4] },
+                { id: 'jumpSpin', label: 'Jump Spin', key: 's', dash: [10, 4, 2, 4] }
+            ],
+            // marker: shape drawn at the landing point, as for CONFIG.outcomes
+            results: [
+                { id: 'ace', label: 'Ace', key: 'a', marker: 'cross' },
+                { id: 'error', label: 'Error', key: 'e', marker: 'ring' },
+                { id: 'inPlay', label: 'In Play', key: 'p', marker: 'diamond' }
+            ]
+        },
+        passing: {
+            scales: [3, 4], // Highest rating of each pass rating scale (0-3 or 0-4)
+            defaultScale: 3,
+            // Pass quality colors from the worst (0) to the best (1) rating, as [r, g, b]
+            colorStops: [
+                { offset: 0, color: [220, 0, 0] }, // red
+                { offset: 0.5, color: [255, 200, 0] }, // yellow
+                { offset: 1, color: [0, 170, 0] } // green
+            ],
+            cellSize: 10, // pixels per cell of the pass quality map
+            maxAlpha: 0.6, // opacity where receptions are densest
+            fullDensity: 3 // summed kernel weight at which a cell is fully opaque
+        },
+        roster: {
+            positions: ['OH', 'MB', 'OPP', 'S', 'L', 'DS'],
+            maxNameLength: 30
+        },
+        match: {
+            // Score situations for filtering, by score difference (us - opp) before the rally
+            situations: [
+                { id: 'trailing3', label: 'Trailing 3+', maxDiff: -3 },
+                { id: 'trailing', label: 'Trailing 1-2', minDiff: -2, maxDiff: -1 },
+                { id: 'tied', label: 'Tied', minDiff: 0, maxDiff: 0 },
+                { id: 'leading', label: 'Leading 1-2', minDiff: 1, maxDiff: 2 },
+                { id: 'leading3', label: 'Leading 3+', minDiff: 3 }
+            ]
         },
         colors: {
             outside: 'rgba(0, 128, 128, 0.85)', // teal
@@ -74,24 +245,224 @@
                 { offset: 0.5, color: 'rgba(200, 0, 150, 0.140)' },
                 { offset: 0.7, color: 'rgba(128, 128, 255, 0.084)' },
                 { offset: 1, color: 'rgba(173, 216, 230, 0)' }
+            ],
+            // Cloud opacity from the center out, for palettes that color clouds from their ramp
+            opacity: [
+                { offset: 0, alpha: 0.30 },
+                { offset: 0.3, alpha: 0.224 },
+                { offset: 0.5, alpha: 0.140 },
+                { offset: 0.7, alpha: 0.084 },
+                { offset: 1, alpha: 0 }
             ]
         },
+        // Color palettes. ramp colors clouds and the density heatmap from low to high, and
+        // originRamp does the same for line origins; teamColors and court override
+        // CONFIG.teamColors and CONFIG.colors. The default palette keeps the original colors.
+        palettes: {
+            default: {
+                label: 'Default',
+                originRamp: [
+                    { offset: 0, color: [199, 233, 192] },
+                    { offset: 0.33, color: [116, 196, 118] },
+                    { offset: 0.67, color: [35, 139, 69] },
+                    { offset: 1, color: [0, 68, 27] }
+                ]
+            },
+            viridis: {
+                label: 'Viridis',
+                ramp: [
+                    { offset: 0, color: [68, 1, 84] },
+                    { offset: 0.25, color: [59, 82, 139] },
+                    { offset: 0.5, color: [33, 145, 140] },
+                    { offset: 0.75, color: [94, 201, 98] },
+                    { offset: 1, color: [253, 231, 37] }
+                ],
+                originRamp: [
+                    { offset: 0, color: [217, 217, 217] },
+                    { offset: 0.33, color: [150, 150, 150] },
+                    { offset: 0.67, color: [82, 82, 82] },
+                    { offset: 1, color: [0, 0, 0] }
+                ],
+                teamColors: { noTeam: '#000000', us: '#440154', opp: '#35B779' },
+                court: 'neutral'
+            },
+            magma: {
+                label: 'Magma',
+                ramp: [
+                    { offset: 0, color: [0, 0, 4] },
+                    { offset: 0.25, color: [81, 18, 124] },
+                    { offset: 0.5, color: [183, 55, 121] },
+                    { offset: 0.75, color: [252, 137, 97] },
+                    { offset: 1, color: [252, 253, 191] }
+                ],
+                originRamp: [
+                    { offset: 0, color: [198, 219, 239] },
+                    { offset: 0.33, color: [107, 174, 214] },
+                    { offset: 0.67, color: [33, 113, 181] },
+                    { offset: 1, color: [8, 48, 107] }
+                ],
+                teamColors: { noTeam: '#000000', us: '#3B0F70', opp: '#E65164' },
+                court: 'neutral'
+            },
+            cividis: {
+                label: 'Cividis',
+                ramp: [
+                    { offset: 0, color: [0, 34, 78] },
+                    { offset: 0.25, color: [67, 78, 108] },
+                    { offset: 0.5, color: [125, 124, 120] },
+                    { offset: 0.75, color: [188, 175, 111] },
+                    { offset: 1, color: [254, 232, 56] }
+                ],
+                originRamp: [
+                    { offset: 0, color: [217, 217, 217] },
+                    { offset: 0.33, color: [150, 150, 150] },
+                    { offset: 0.67, color: [82, 82, 82] },
+                    { offset: 1, color: [0, 0, 0] }
+                ],
+                teamColors: { noTeam: '#000000', us: '#00224E', opp: '#A8902A' },
+                court: 'neutral'
+            },
+            highContrast: {
+                label: 'High Contrast',
+                ramp: [
+                    { offset: 0, color: [255, 255, 178] },
+                    { offset: 0.25, color: [254, 204, 92] },
+                    { offset: 0.5, color: [253, 141, 60] },
+                    { offset: 0.75, color: [240, 59, 32] },
+                    { offset: 1, color: [189, 0, 38] }
+                ],
+                originRamp: [
+                    { offset: 0, color: [198, 219, 239] },
+                    { offset: 0.33, color: [107, 174, 214] },
+                    { offset: 0.67, color: [33, 113, 181] },
+                    { offset: 1, color: [8, 48, 107] }
+                ],
+                teamColors: { noTeam: '#000000', us: '#0072B2', opp: '#D55E00' },
+                court: 'highContrast'
+            }
+        },
+        // Court colors used by palettes, in place of CONFIG.colors
+        courtColors: {
+            neutral: {
+                outside: 'rgb(150, 150, 150)',
+                insideAbove: 'rgb(215, 215, 215)',
+                insideBelow: 'rgb(235, 235, 235)',
+                newRect: 'rgb(190, 190, 190)',
+                innerSquareBorder: '#333',
+                dashedLine: '#000000'
+            },
+            highContrast: {
+                outside: 'rgb(128, 128, 128)', // mid-gray free zone around a white court
+                insideAbove: 'rgb(255, 255, 255)',
+                insideBelow: 'rgb(232, 232, 232)',
+                newRect: 'rgb(200, 200, 200)',
+                innerSquareBorder: '#000000',
+                dashedLine: '#000000'
+            }
+        },
+        preferences: {
+            storageKey: 'volleyballHeatmap.preferences'
+        },
         zones: {
-            horizontalLineOffset: 3, // meters from top of inner square
             attackLineExtensionMultiplier: 1.5
         },
+        zoneOverlay: {
+            // 'six': front/back row zones split at the attack line, 'nine': the 3m zones of
+            // CONFIG.zoneEntry.layout, 'grid': equal cells, columns x rows per court
+            layouts: { six: '6 Zones', nine: '9 Zones', grid: 'Grid' },
+            defaultGrid: { columns: 4, rows: 4 },
+            maxGridSize: 9, // most columns or rows in a grid
+            lineColor: 'rgba(0, 0, 0, 0.7)',
+            lineDash: [6, 4], // pixels
+            labelBackground: 'rgba(255, 255, 255, 0.8)',
+            textColor: '#000000',
+            percentFont: 'bold 14px Arial',
+            detailFont: '10px Arial'
+        },
         validation: {
             minRotation: 1,
             maxRotation: 6,
-            validModes: ['simpleHeatmap', 'heatmapCharting'],
+            validModes: ['simpleHeatmap', 'heatmapCharting', 'passing', 'serving'],
             minJerseyFiltersForClear: 2,
             maxFileSize: 10 * 1024 * 1024, // 10MB in bytes
             maxPointCount: 10000, // Performance warning threshold
+            maxCourtMeters: 50, // Largest court width, depth, free zone or net width in a court template
             maxUndoStackSize: 1000, // Maximum undo/redo history (0 = unlimited)
             autoTrimUndoStack: true // Automatically trim oldest entries when limit reached
         }
     });
 
+    /**
+     * Point attributes picked from a tag list (left-click assigns, right-click filters).
+     * Keys are the point property names. Sticky tags stay assigned after a point is added;
+     * the others reset so each point has to be tagged on its own. Each field is only
+     * used in the listed modes.
+     */
+    const TAG_FIELDS = Object.freeze({
+        outcome: {
+            label: 'Outcome',
+            options: CONFIG.outcomes,
+            listId: 'outcomeList',
+            clearBtnId: 'clearOutcomeFiltersBtn',
+            sticky: false,
+            modes: ['simpleHeatmap', 'heatmapCharting', 'passing']
+        },
+        skillType: {
+            label: 'Skill',
+            options: CONFIG.skillTypes,
+            listId: 'skillTypeList',
+            clearBtnId: 'clearSkillTypeFiltersBtn',
+            sticky: true,
+            modes: ['simpleHeatmap', 'heatmapCharting', 'passing']
+        },
+        serveType: {
+            label: 'Serve',
+            options: CONFIG.serving.serveTypes,
+            listId: 'serveTypeList',
+            clearBtnId: 'clearServeTypeFiltersBtn',
+            sticky: true,
+            modes: ['serving']
+        },
+        serveResult: {
+            label: 'Result',
+            options: CONFIG.serving.results,
+            listId: 'serveResultList',
+            clearBtnId: 'clearServeResultFiltersBtn',
+            sticky: false,
+            modes: ['serving']
+        }
+    });
+
+    /**
+     * Get the TAG_FIELDS keys used in a mode
+     * @param {string} mode
+     * @returns {string[]}
+     */
+    function getTagFields(mode) {
+        return Object.keys(TAG_FIELDS).filter(field => TAG_FIELDS[field].modes.includes(mode));
+    }
+
+    /**
+     * Check that no sub-zone key is also a tag hotkey. In zone entry mode sub-zone keys
+     * are read before tag hotkeys, so a shared key could never tag a point.
+     * @returns {Array<string>} A description of each clash
+     */
+    function checkSubZoneKeys() {
+        const tagKeys = Object.values(TAG_FIELDS).flatMap(field => field.options.map(option => option.key));
+        return Object.entries(CONFIG.zoneEntry.subZones)
+            .filter(([, subZone]) => tagKeys.includes(subZone.key.toLowerCase()))
+            .map(([id, subZone]) => `Sub-zone ${id} key "${subZone.key}" is also a tag hotkey`);
+    }
+
+    /**
+     * Check whether a mode charts lines across the net
+     * @param {string} mode
+     * @returns {boolean}
+     */
+    function isLineMode(mode) {
+        return CONFIG.modes[mode].lines;
+    }
+
     // =====================================================
     // DEBUG UTILITIES
     // =====================================================
@@ -201,6 +572,25 @@
         `;
     }
 
+    /**
+     * Display configuration errors to the user
+     * @param {Array<string>} problems - Description of each problem
+     */
+    function showConfigError(problems) {
+        alert(`The app configuration has errors:\n\n${problems.join('\n')}`);
+        
+        // Display error in page
+        document.body.innerHTML = `
+            <div style="max-width: 600px; margin: 50px auto; padding: 20px; font-family: Arial, sans-serif;">
+                <h1 style="color: #d32f2f;">Configuration Error</h1>
+                <p>Fix the following in CONFIG before using the app:</p>
+                <ul>
+                    ${problems.map(p => `<li><strong>${escapeHtml(p)}</strong></li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
     // =====================================================
     // INPUT SANITIZATION UTILITIES
     // =====================================================
@@ -260,6 +650,42 @@
         return jerseyNumber;
     }
     
+    /**
+     * Sanitize player name input
+     * @param {string} name - Raw player name
+     * @returns {string} Sanitized player name
+     */
+    function sanitizePlayerName(name) {
+        if (!name || typeof name !== 'string') {
+            return '';
+        }
+        
+        // Trim whitespace and remove control characters
+        name = name.trim().replace(/[\x00-\x1F\x7F-\x9F]/g, '');
+        
+        // Limit length
+        const maxLength = CONFIG.roster.maxNameLength;
+        if (name.length > maxLength) {
+            name = name.substring(0, maxLength);
+        }
+        
+        return name;
+    }
+    
+    /**
+     * Escape text for use in HTML markup
+     * @param {string} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
     /**
      * Validate and sanitize coordinate values
      * @param {number} value - Coordinate value
@@ -278,1178 +704,4532 @@
     }
 
     // =====================================================
-    // GEOMETRY CALCULATOR CLASS
+    // POINT FILTERING
     // =====================================================
-    
+
     /**
-     * Calculates all grid geometry based on configuration
+     * @typedef {Object} PointFilters
+     * @property {Set<string>} [jerseyNumbers] - Jersey numbers to show ('-' for lines without one)
+     * @property {Set<number|string>} [rotations] - Rotations to show ('-' for untracked)
+     * @property {Object<string, Set<string>>} [tags] - Tag values to show per TAG_FIELDS key ('-' for untagged)
+     * @property {Set<number|string>} [sets] - Set numbers to show ('-' for points without a set)
+     * @property {Set<string>} [situations] - Score situation ids from CONFIG.match.situations
+     * @property {Set<string>} [teams] - Teams to show: 'us', 'opp' or '-' for points without a team
      */
-    class GridGeometry {
-        constructor(config, mode = 'simpleHeatmap') {
-            assert(config && typeof config === 'object', 'Config must be an object');
-            assert(CONFIG.validation.validModes.includes(mode), `Invalid mode: ${mode}`);
-            
-            this.config = config;
-            this.mode = mode;
-            
-            Logger.debug('GridGeometry initialized with mode:', mode);
-        }
-        
-        get scale() {
-            // Scale is always based on 15 meters width
-            return this.config.grid.canvasSize / this.config.grid.size;
-        }
-        
-        get canvasWidth() {
-            return this.config.grid.canvasSize;
-        }
-        
-        get canvasHeight() {
-            // For charting mode, height is 22m at the same scale
-            if (this.mode === 'heatmapCharting') {
-                return 22 * this.scale;
-            }
-            return this.config.grid.canvasSize;
-        }
-        
-        get innerOffset() {
-            // Inner square is always centered horizontally on the 15m width
-            return (this.config.grid.size - this.config.grid.innerSquareSize) / 2;
-        }
-        
-        get verticalOffset() {
-            // In charting mode, shift everything down by 7 meters
-            return this.mode === 'heatmapCharting' ? 7 * this.scale : 0;
-        }
-        
-        get innerStart() {
-            return this.innerOffset * this.scale;
-        }
-        
-        get innerStartY() {
-            return this.innerStart + this.verticalOffset;
-        }
-        
-        get innerEnd() {
-            return (this.innerOffset + this.config.grid.innerSquareSize) * this.scale;
-        }
-        
-        get innerEndY() {
-            return this.innerEnd + this.verticalOffset;
-        }
-        
-        get innerWidth() {
-            return this.innerEnd - this.innerStart;
-        }
-        
-        get horizontalLineY() {
-            return (this.innerOffset + this.config.zones.horizontalLineOffset) * this.scale + this.verticalOffset;
-        }
-        
-        get newRectWidth() {
-            return 9 * this.scale;
-        }
-        
-        get newRectHeight() {
-            return 3 * this.scale;
-        }
-        
-        get newRectX() {
-            return (this.config.grid.canvasSize - this.newRectWidth) / 2;
-        }
-        
-        get newRectY() {
-            return this.innerStart - this.newRectHeight + this.verticalOffset;
-        }
-        
-        get dashedLineWidth() {
-            return this.config.drawing.dashedLineWidthMeters * this.scale;
-        }
-        
-        get centerLineY() {
-            return this.newRectY + this.newRectHeight;
+
+    /**
+     * Get the score situation id for a point, based on the score before its rally
+     * @param {Point} point
+     * @returns {string|null} Situation id, or null if the point has no score
+     */
+    function getScoreSituation(point) {
+        if (!point.score) return null;
+        const diff = point.score.us - point.score.opp;
+        const situation = CONFIG.match.situations.find(s =>
+            (s.minDiff === undefined || diff >= s.minDiff) &&
+            (s.maxDiff === undefined || diff <= s.maxDiff)
+        );
+        return situation ? situation.id : null;
+    }
+
+    /**
+     * Check whether a point passes the active filters.
+     * Empty or missing filter sets let every point through.
+     * @param {Point} point
+     * @param {PointFilters|null} filters
+     * @returns {boolean}
+     */
+    function pointMatchesFilters(point, filters) {
+        if (!filters) return true;
+
+        const { jerseyNumbers, rotations, tags, sets, situations, teams } = filters;
+
+        if (jerseyNumbers && jerseyNumbers.size > 0) {
+            const jerseyValue = ((point.line || isPass(point)) && point.jerseyNumber !== null && point.jerseyNumber !== undefined) ? point.jerseyNumber : '-';
+            if (!jerseyNumbers.has(jerseyValue)) return false;
         }
-        
-        get centerLineX1() {
-            return (this.config.grid.canvasSize - this.dashedLineWidth) / 2;
+
+        if (rotations && rotations.size > 0) {
+            // Treat null rotation as '-' and skip unless filter matches
+            const rotationValue = (point.rotation === null || point.rotation === undefined) ? '-' : point.rotation;
+            if (!rotations.has(rotationValue)) return false;
         }
-        
-        get centerLineX2() {
-            return this.centerLineX1 + this.dashedLineWidth;
+
+        if (teams && teams.size > 0) {
+            const teamValue = (point.line && point.team) ? point.team : '-';
+            if (!teams.has(teamValue)) return false;
         }
-        
-        get attackLineExtensionLength() {
-            return ((this.dashedLineWidth - this.config.grid.innerSquareSize * this.scale) / 2) 
-                   * this.config.zones.attackLineExtensionMultiplier;
+
+        if (sets && sets.size > 0) {
+            const setValue = (point.set === null || point.set === undefined) ? '-' : point.set;
+            if (!sets.has(setValue)) return false;
         }
-        
-        /**
-         * Convert pixel coordinates to meters
-         * @param {number} px - X coordinate in pixels
-         * @param {number} py - Y coordinate in pixels
-         * @returns {{x: string, y: string}}
-         */
-        pixelsToMeters(px, py) {
-            return {
-                x: (px / this.scale).toFixed(2),
-                y: ((py / this.scale) - 3).toFixed(2)
-            };
+
+        if (situations && situations.size > 0) {
+            if (!situations.has(getScoreSituation(point))) return false;
         }
-        
-        /**
-         * Check if coordinates are within grid bounds
-         * @param {number} x - X coordinate in pixels
-         * @param {number} y - Y coordinate in pixels
-         * @returns {boolean}
-         */
-        isWithinBounds(x, y) {
-            return x >= 0 && x <= this.canvasWidth && 
-                   y >= 0 && y <= this.canvasHeight;
+
+        if (tags) {
+            for (const field of Object.keys(tags)) {
+                const tagFilters = tags[field];
+                if (!tagFilters || tagFilters.size === 0) continue;
+                const tagValue = (point[field] === null || point[field] === undefined) ? '-' : point[field];
+                if (!tagFilters.has(tagValue)) return false;
+            }
         }
+
+        return true;
     }
 
-    // =====================================================
-    // CANVAS MANAGER CLASS
-    // =====================================================
-    
     /**
-     * Manages canvas operations with error handling
+     * Copy filters so later filter changes do not affect the copy
+     * @param {PointFilters} filters
+     * @returns {PointFilters}
      */
-    class CanvasManager {
-        /**
-         * @param {string} canvasId
-         * @throws {Error} If canvas element not found
-         */
-        constructor(canvasId) {
-            this.canvas = document.getElementById(canvasId);
-            if (!this.canvas) {
-                throw new Error(`Canvas element '${canvasId}' not found`);
-            }
-            this.ctx = this.canvas.getContext('2d');
-            if (!this.ctx) {
-                throw new Error(`Could not get 2d context for canvas '${canvasId}'`);
-            }
-        }
-        
-        clear() {
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        }
-        
-        getWidth() {
-            return this.canvas.width;
-        }
-        
-        getHeight() {
-            return this.canvas.height;
-        }
-        
-        getBoundingRect() {
-            return this.canvas.getBoundingClientRect();
-        }
-        
-        setCursor(cursorStyle) {
-            this.canvas.style.cursor = cursorStyle;
+    function copyFilters(filters) {
+        const copy = {};
+        Object.entries(filters).forEach(([key, value]) => {
+            copy[key] = value instanceof Set
+                ? new Set(value)
+                : Object.fromEntries(Object.entries(value).map(([field, values]) => [field, new Set(values)]));
+        });
+        return copy;
+    }
+
+    /**
+     * Tell how a list of points changed. Points are replaced, never changed in place,
+     * so comparing them by identity is enough.
+     * @param {Point[]} before
+     * @param {Point[]} after
+     * @returns {string} 'same', 'appended' (points only added at the end) or 'changed'
+     */
+    function getPointListChange(before, after) {
+        if (after.length < before.length) return 'changed';
+        for (let i = 0; i < before.length; i++) {
+            if (before[i] !== after[i]) return 'changed';
         }
+        return after.length === before.length ? 'same' : 'appended';
+    }
+
+    /**
+     * @typedef {Object} ComparisonSet
+     * @property {string} label
+     * @property {Point[]|null} points - The set's own points, null for the points on screen
+     * @property {PointFilters|null} filters - Filters saved with the set, null to follow the active filters
+     */
+
+    /**
+     * @typedef {Object} Comparison
+     * @property {ComparisonSet} a
+     * @property {ComparisonSet} b
+     */
+
+    /**
+     * Get the points in one set of a comparison
+     * @param {ComparisonSet} set
+     * @param {Point[]} points - Points on screen
+     * @param {PointFilters|null} filters - Active filters
+     * @returns {Point[]}
+     */
+    function getComparisonPoints(set, points, filters) {
+        return (set.points || points).filter(point => pointMatchesFilters(point, set.filters || filters));
     }
 
     // =====================================================
-    // SESSION STATE CLASS
+    // COLOR RAMPS
     // =====================================================
-    
+
     /**
-     * @typedef {Object} Point
-     * @property {number} x - X coordinate in pixels
-     * @property {number} y - Y coordinate in pixels
-     * @property {number} rotation - Rotation number (1-6)
-     * @property {Object} [line] - Optional line data for charting mode
-     * @property {number} [line.startX] - Line start X coordinate
-     * @property {number} [line.startY] - Line start Y coordinate
-     * @property {number} [line.endX] - Line end X coordinate
-     * @property {number} [line.endY] - Line end Y coordinate
-     * @property {string} [jerseyNumber] - Optional jersey number label for the line (stored as string to support leading zeros or non-numeric identifiers)
+     * @typedef {Object} ColorStop
+     * @property {number} offset - Position on the ramp (0-1)
+     * @property {number[]} color - RGB color
      */
-    
+
     /**
-     * @typedef {Object} Action
-     * @property {string} action - Action type ('add' or 'clear')
-     * @property {Point} [point] - Point for add action
-     * @property {Point[]} [points] - Points for clear action
+     * Get the color at a position on a color ramp, blending between the nearest stops
+     * @param {ColorStop[]} stops - Stops in increasing offset order
+     * @param {number} t - Position on the ramp (0-1)
+     * @returns {number[]} RGB color
      */
-    
+    function interpolateColorStops(stops, t) {
+        const upper = stops.findIndex(stop => stop.offset >= t);
+        if (upper <= 0) {
+            return stops[upper === 0 ? 0 : stops.length - 1].color;
+        }
+        const from = stops[upper - 1];
+        const to = stops[upper];
+        const blend = (t - from.offset) / (to.offset - from.offset);
+        return from.color.map((c, i) => Math.round(c + (to.color[i] - c) * blend));
+    }
+
+    /**
+     * @typedef {Object} Palette
+     * @property {string} id
+     * @property {string} label
+     * @property {{offset: number, color: string}[]} cloudStops - Radial gradient stops for clouds
+     * @property {ColorStop[]} densityStops - Density heatmap ramp
+     * @property {{offset: number, color: string}[]} originCloudStops - Cloud stops for line origins
+     * @property {ColorStop[]} originDensityStops - Density ramp for line origins
+     * @property {{noTeam: string, us: string, opp: string}} teamColors
+     * @property {Object} court - Court colors, keyed like CONFIG.colors
+     */
+
+    /**
+     * Resolve a CONFIG.palettes entry into the colors the renderers use.
+     * Unknown ids fall back to the default palette.
+     * @param {string} id
+     * @returns {Palette}
+     */
+    function getPalette(id) {
+        if (!CONFIG.palettes[id]) id = 'default';
+        const palette = CONFIG.palettes[id];
+        
+        // Clouds are densest at their center, so the center takes the top of the ramp
+        const toCloudStops = ramp => CONFIG.gradient.opacity.map(({ offset, alpha }) => ({
+            offset,
+            color: `rgba(${interpolateColorStops(ramp, 1 - offset).join(', ')}, ${alpha})`
+        }));
+        
+        return {
+            id,
+            label: palette.label,
+            cloudStops: palette.ramp ? toCloudStops(palette.ramp) : CONFIG.gradient.stops,
+            densityStops: palette.ramp || CONFIG.density.colorStops,
+            originCloudStops: toCloudStops(palette.originRamp),
+            originDensityStops: palette.originRamp,
+            teamColors: palette.teamColors || CONFIG.teamColors,
+            court: palette.court ? CONFIG.courtColors[palette.court] : CONFIG.colors
+        };
+    }
+
+    // =====================================================
+    // PASSING
+    // =====================================================
+
+    /**
+     * @typedef {Object} PasserStats
+     * @property {string} jerseyNumber - Passer's jersey number ('-' for passes without one)
+     * @property {number} count - Number of rated passes
+     * @property {number} average - Average pass rating
+     * @property {number[]} ratings - Number of passes with each rating, indexed by rating
+     */
+
+    /**
+     * Check whether a point is a rated serve-receive pass
+     * @param {Point} point
+     * @returns {boolean}
+     */
+    function isPass(point) {
+        return typeof point.passRating === 'number';
+    }
+
+    /**
+     * Get the color for a pass quality from CONFIG.passing.colorStops
+     * @param {number} quality - Rating divided by the highest rating (0-1)
+     * @returns {number[]} RGB color
+     */
+    function getPassQualityRgb(quality) {
+        return interpolateColorStops(CONFIG.passing.colorStops, quality);
+    }
+
+    /**
+     * Get pass rating averages per passer and for all passes
+     * @param {Point[]} points
+     * @param {number} maxRating - Highest rating on the session's scale
+     * @returns {{passers: PasserStats[], total: PasserStats}}
+     */
+    function getPassingStats(points, maxRating) {
+        const createStats = jerseyNumber => ({
+            jerseyNumber,
+            count: 0,
+            average: 0,
+            ratings: new Array(maxRating + 1).fill(0)
+        });
+        const add = (stats, rating) => {
+            stats.average = (stats.average * stats.count + rating) / (stats.count + 1);
+            stats.count++;
+            stats.ratings[rating] = (stats.ratings[rating] || 0) + 1;
+        };
+
+        const byPasser = {};
+        const total = createStats('');
+        points.filter(isPass).forEach(point => {
+            const jerseyNumber = point.jerseyNumber || '-';
+            byPasser[jerseyNumber] = byPasser[jerseyNumber] || createStats(jerseyNumber);
+            add(byPasser[jerseyNumber], point.passRating);
+            add(total, point.passRating);
+        });
+
+        // Numbered passers in order, then passes without a passer
+        const passers = Object.values(byPasser).sort((a, b) => {
+            if (a.jerseyNumber === '-') return 1;
+            if (b.jerseyNumber === '-') return -1;
+            return parseInt(a.jerseyNumber, 10) - parseInt(b.jerseyNumber, 10);
+        });
+        return { passers, total };
+    }
+
+    // =====================================================
+    // DENSITY ESTIMATION
+    // =====================================================
+
+    /**
+     * @typedef {Object} DensityGrid
+     * @property {Float32Array} values - Density per cell in points per square meter, row by row
+     * @property {number} cols
+     * @property {number} rows
+     * @property {number} cellSize - Cell width and height in pixels
+     * @property {number} max - Highest cell density
+     */
+
+    /**
+     * @typedef {Object} DensityOptions
+     * @property {number} bandwidth - Kernel standard deviation in meters
+     * @property {string} scale - 'max' to scale colors to the densest cell, 'fixed' for fixedMax
+     * @property {number} fixedMax - Density in points per m² at the top of a fixed scale
+     */
+
+    /**
+     * Estimate point density over the canvas with a Gaussian kernel. Each point adds
+     * a kernel that integrates to 1, so the grid is in points per square meter.
+     * @param {Point[]} points
+     * @param {{width: number, height: number, cellSize: number, scale: number, bandwidth: number, cutoff: number, left: (number|undefined), top: (number|undefined)}} options -
+     *     Canvas size and cell size in pixels, pixels per meter, kernel standard deviation in meters,
+     *     how many standard deviations each kernel reaches, and the grid's top-left corner in pixels
+     *     when it covers only part of the canvas
+     * @returns {DensityGrid}
+     */
+    function computeDensityGrid(points, options) {
+        const { width, height, cellSize, scale, bandwidth, cutoff, left = 0, top = 0 } = options;
+        assert(bandwidth > 0, 'Bandwidth must be positive');
+
+        const cols = Math.ceil(width / cellSize);
+        const rows = Math.ceil(height / cellSize);
+        const values = new Float32Array(cols * rows);
+        const sigma = bandwidth * scale; // pixels
+        const reach = sigma * cutoff;
+        const norm = 1 / (2 * Math.PI * bandwidth * bandwidth);
+
+        points.forEach(point => {
+            const x = point.x - left;
+            const y = point.y - top;
+            const minCol = Math.max(0, Math.floor((x - reach) / cellSize));
+            const maxCol = Math.min(cols - 1, Math.floor((x + reach) / cellSize));
+            const minRow = Math.max(0, Math.floor((y - reach) / cellSize));
+            const maxRow = Math.min(rows - 1, Math.floor((y + reach) / cellSize));
+            for (let row = minRow; row <= maxRow; row++) {
+                const dy = (row + 0.5) * cellSize - y;
+                for (let col = minCol; col <= maxCol; col++) {
+                    const dx = (col + 0.5) * cellSize - x;
+                    const distanceSquared = dx * dx + dy * dy;
+                    if (distanceSquared > reach * reach) continue;
+                    values[row * cols + col] += norm * Math.exp(-distanceSquared / (2 * sigma * sigma));
+                }
+            }
+        });
+
+        let max = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] > max) max = values[i];
+        }
+        return { values, cols, rows, cellSize, max };
+    }
+
+    /**
+     * Estimate where two point sets differ. Each set's density is divided by its number of
+     * points, so the sets compare by where their points go rather than how many there are.
+     * Cells hold B's share minus A's share, per square meter; max is the largest difference
+     * either way.
+     * @param {Point[]} pointsA
+     * @param {Point[]} pointsB
+     * @param {Object} options - As for computeDensityGrid
+     * @returns {DensityGrid}
+     */
+    function computeDensityDifference(pointsA, pointsB, options) {
+        const a = computeDensityGrid(pointsA, options);
+        const b = computeDensityGrid(pointsB, options);
+        const values = new Float32Array(a.values.length);
+        let max = 0;
+        for (let i = 0; i < values.length; i++) {
+            const shareA = pointsA.length > 0 ? a.values[i] / pointsA.length : 0;
+            const shareB = pointsB.length > 0 ? b.values[i] / pointsB.length : 0;
+            values[i] = shareB - shareA;
+            if (Math.abs(values[i]) > max) max = Math.abs(values[i]);
+        }
+        return { values, cols: a.cols, rows: a.rows, cellSize: a.cellSize, max };
+    }
+
+    // =====================================================
+    // HEATMAP RASTERIZATION
+    // =====================================================
+
+    // These functions only use CONFIG and each other, so the heatmap worker can run copies of them.
+
+    /**
+     * What the heatmap layer is drawn from. It holds only plain data so it can be posted to the worker.
+     * @typedef {Object} HeatmapJob
+     * @property {string} style - 'clouds', 'density', 'difference' (layers A then B) or 'passQuality'
+     * @property {number} width - Canvas width in geometry units
+     * @property {number} height - Canvas height in geometry units
+     * @property {number} ratio - Backing store pixels per geometry unit at zoom 1
+     * @property {View} view - The layer covers only this part of the canvas, at ratio times its zoom, so it stays sharp when zoomed in
+     * @property {number} scale - Geometry units per meter
+     * @property {number} bandwidth - Density kernel standard deviation in meters
+     * @property {number|null} fixedMax - Density at the top of a fixed color scale, null to scale to the densest cell
+     * @property {number|null} maxRating - Highest pass rating, for passQuality
+     * @property {Array<{source: (string|undefined), positions: Array<{x: number, y: number, passRating: (number|undefined)}>, cloudStops: (Object[]|undefined), colorStops: (ColorStop[]|undefined)}>} layers
+     */
+
+    /**
+     * Image data that doesn't need a canvas to create
+     * @typedef {Object} RasterImage
+     * @property {Uint8ClampedArray} data - RGBA, row by row
+     * @property {number} width
+     * @property {number} height
+     */
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @returns {RasterImage} Transparent image
+     */
+    function createRasterImage(width, height) {
+        return { data: new Uint8ClampedArray(width * height * 4), width, height };
+    }
+
+    /**
+     * Paint a pixel, blended over what is already there ("source-over")
+     * @param {Uint8ClampedArray} data
+     * @param {number} i - Index of the pixel's red byte
+     * @param {number[]} color - RGB color
+     * @param {number} alpha - Opacity (0-1)
+     */
+    function blendPixel(data, i, color, alpha) {
+        const below = data[i + 3] / 255 * (1 - alpha);
+        const outAlpha = alpha + below;
+        if (outAlpha === 0) return;
+        for (let c = 0; c < 3; c++) {
+            data[i + c] = (color[c] * alpha + data[i + c] * below) / outAlpha;
+        }
+        data[i + 3] = Math.round(255 * outAlpha);
+    }
+
+    /**
+     * Paint a grid cell
+     * @param {RasterImage} image
+     * @param {number} cellSize - Cell width and height in pixels
+     * @param {number} row
+     * @param {number} col
+     * @param {number[]} color - RGB color
+     * @param {number} alpha - Opacity (0-1)
+     */
+    function blendCell(image, cellSize, row, col, color, alpha) {
+        const bottom = Math.min(image.height, (row + 1) * cellSize);
+        const right = Math.min(image.width, (col + 1) * cellSize);
+        for (let y = row * cellSize; y < bottom; y++) {
+            for (let x = col * cellSize; x < right; x++) {
+                blendPixel(image.data, (y * image.width + x) * 4, color, alpha);
+            }
+        }
+    }
+
+    /**
+     * Get the part of the canvas a job's layer covers, divided into cells of a number of
+     * backing store pixels, so maps drawn cell by cell are as sharp as the screen at any zoom
+     * @param {HeatmapJob} job
+     * @param {number} cellPixels - Cell width and height in backing store pixels
+     * @returns {{left: number, top: number, width: number, height: number, cellSize: number}} In geometry units
+     */
+    function getViewGrid(job, cellPixels) {
+        const { zoom, panX, panY } = job.view;
+        return {
+            left: panX,
+            top: panY,
+            width: job.width / zoom,
+            height: job.height / zoom,
+            cellSize: cellPixels / (job.ratio * zoom)
+        };
+    }
+
+    /**
+     * Draw kernel density estimates of the job's layers, each colored on its own ramp and
+     * blended over the ones before it. The top of each ramp is its densest cell on the whole
+     * canvas (so zooming doesn't change the colors), or a fixed density so charts can be compared.
+     * @param {RasterImage} image - The view, sized to the backing store
+     * @param {HeatmapJob} job
+     * @returns {number[]} Density at the top of each layer's color scale
+     */
+    function rasterizeDensity(image, job) {
+        const { cellSize, cutoff, maxAlpha, fadeBelow } = CONFIG.density;
+        const kernel = { scale: job.scale, bandwidth: job.bandwidth, cutoff };
+        return job.layers.map(({ positions, colorStops }) => {
+            const grid = computeDensityGrid(positions, { ...kernel, ...getViewGrid(job, cellSize) });
+            const scaleMax = job.fixedMax === null
+                ? computeDensityGrid(positions, { ...kernel, width: job.width, height: job.height, cellSize }).max
+                : job.fixedMax;
+            if (grid.max === 0) return scaleMax;
+            
+            for (let row = 0; row < grid.rows; row++) {
+                for (let col = 0; col < grid.cols; col++) {
+                    const t = Math.min(1, grid.values[row * grid.cols + col] / scaleMax);
+                    if (t <= 0) continue;
+                    blendCell(image, cellSize, row, col, interpolateColorStops(colorStops, t), maxAlpha * Math.min(1, t / fadeBelow));
+                }
+            }
+            return scaleMax;
+        });
+    }
+
+    /**
+     * Draw where the job's two layers differ on the diverging comparison ramp: one end where
+     * set A has the larger share of its points, the other where set B does.
+     * @param {RasterImage} image - The view, sized to the backing store
+     * @param {HeatmapJob} job
+     * @returns {number} Largest difference on the whole canvas, in share of points per m²
+     */
+    function rasterizeDifference(image, job) {
+        const { cellSize, cutoff, maxAlpha, fadeBelow } = CONFIG.density;
+        const [pointsA, pointsB] = job.layers.map(layer => layer.positions);
+        const kernel = { scale: job.scale, bandwidth: job.bandwidth, cutoff };
+        const max = computeDensityDifference(pointsA, pointsB, { ...kernel, width: job.width, height: job.height, cellSize }).max;
+        if (max === 0) return 0;
+        
+        const grid = computeDensityDifference(pointsA, pointsB, { ...kernel, ...getViewGrid(job, cellSize) });
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.cols; col++) {
+                // -1 (A) to 1 (B); the view is sampled more finely, so it can pass the canvas max
+                const t = Math.max(-1, Math.min(1, grid.values[row * grid.cols + col] / max));
+                if (t === 0) continue;
+                const color = interpolateColorStops(CONFIG.comparison.colorStops, (t + 1) / 2);
+                blendCell(image, cellSize, row, col, color, maxAlpha * Math.min(1, Math.abs(t) / fadeBelow));
+            }
+        }
+        return max;
+    }
+
+    /**
+     * Draw the pass quality map: each cell is colored by the average rating of the passes
+     * around it (weighted by distance over the cloud radius) and fades out where there are
+     * few passes, so the color shows quality rather than density
+     * @param {RasterImage} image - The view, sized to the backing store
+     * @param {HeatmapJob} job - One layer of rated passes
+     */
+    function rasterizePassQuality(image, job) {
+        const passes = job.layers[0].positions;
+        if (passes.length === 0) return;
+        
+        const { cellSize, maxAlpha, fullDensity } = CONFIG.passing;
+        const radius = CONFIG.drawing.cloudRadius;
+        const twoSigmaSquared = 2 * (radius / 2) * (radius / 2);
+        const view = getViewGrid(job, cellSize);
+        
+        for (let row = 0; row * cellSize < image.height; row++) {
+            for (let col = 0; col * cellSize < image.width; col++) {
+                const cx = view.left + (col + 0.5) * view.cellSize;
+                const cy = view.top + (row + 0.5) * view.cellSize;
+                let weight = 0;
+                let weightedRating = 0;
+                passes.forEach(pass => {
+                    const distanceSquared = (pass.x - cx) ** 2 + (pass.y - cy) ** 2;
+                    if (distanceSquared > radius * radius) return;
+                    const w = Math.exp(-distanceSquared / twoSigmaSquared);
+                    weight += w;
+                    weightedRating += w * pass.passRating;
+                });
+                if (weight === 0) continue;
+                
+                const alpha = maxAlpha * Math.min(1, weight / fullDensity);
+                blendCell(image, cellSize, row, col, getPassQualityRgb(weightedRating / weight / job.maxRating), alpha);
+            }
+        }
+    }
+
+    /**
+     * Draw a heatmap cloud at each position with a radial gradient
+     * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Drawing in geometry units
+     * @param {Array<{positions: Array<{x: number, y: number}>, cloudStops: {offset: number, color: string}[]}>} layers
+     */
+    function drawClouds(ctx, layers) {
+        const radius = CONFIG.drawing.cloudRadius;
+        layers.forEach(({ positions, cloudStops }) => {
+            positions.forEach(({ x, y }) => {
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                cloudStops.forEach(stop => {
+                    gradient.addColorStop(stop.offset, stop.color);
+                });
+                ctx.fillStyle = gradient;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+    }
+
+    /**
+     * Draw heatmap clouds into image data, for workers without OffscreenCanvas. Each layer's
+     * cloud is computed once and stamped at every position.
+     * @param {HeatmapJob} job
+     * @returns {RasterImage} The view, sized to the backing store (width and height times ratio)
+     */
+    function rasterizeClouds(job) {
+        const { zoom, panX, panY } = job.view;
+        const scale = job.ratio * zoom;
+        const image = createRasterImage(Math.round(job.width * job.ratio), Math.round(job.height * job.ratio));
+        const radius = CONFIG.drawing.cloudRadius * scale;
+        const reach = Math.ceil(radius);
+        const size = reach * 2 + 1;
+        
+        job.layers.forEach(({ positions, cloudStops }) => {
+            // Cloud stops are 'rgba(r, g, b, a)' strings
+            const stops = cloudStops.map(stop => {
+                const [r, g, b, a = 1] = stop.color.match(/[\d.]+/g).map(Number);
+                return { offset: stop.offset, color: [r, g, b], alpha: a };
+            });
+            const stamp = [];
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dx = -reach; dx <= reach; dx++) {
+                    const t = Math.hypot(dx, dy) / radius;
+                    const upper = stops.findIndex(stop => stop.offset >= t);
+                    if (t > 1 || upper < 0) {
+                        stamp.push(null);
+                    } else if (upper === 0) {
+                        stamp.push(stops[0]);
+                    } else {
+                        const from = stops[upper - 1];
+                        const to = stops[upper];
+                        const blend = (t - from.offset) / (to.offset - from.offset);
+                        stamp.push({
+                            color: from.color.map((c, i) => c + (to.color[i] - c) * blend),
+                            alpha: from.alpha + (to.alpha - from.alpha) * blend
+                        });
+                    }
+                }
+            }
+            
+            positions.forEach(({ x, y }) => {
+                const centerX = Math.round((x - panX) * scale);
+                const centerY = Math.round((y - panY) * scale);
+                for (let sy = 0; sy < size; sy++) {
+                    const py = centerY + sy - reach;
+                    if (py < 0 || py >= image.height) continue;
+                    for (let sx = 0; sx < size; sx++) {
+                        const px = centerX + sx - reach;
+                        const pixel = stamp[sy * size + sx];
+                        if (px < 0 || px >= image.width || !pixel || pixel.alpha <= 0) continue;
+                        blendPixel(image.data, (py * image.width + px) * 4, pixel.color, pixel.alpha);
+                    }
+                }
+            });
+        });
+        return image;
+    }
+
+    /**
+     * Draw a heatmap layer into image data
+     * @param {HeatmapJob} job
+     * @returns {{image: RasterImage, scaleMaxes: number[]}} The view, sized to the backing store,
+     *     and the top of each density layer's color scale or the largest difference
+     */
+    function rasterizeHeatmap(job) {
+        if (job.style === 'clouds') {
+            return { image: rasterizeClouds(job), scaleMaxes: [] };
+        }
+        const image = createRasterImage(Math.round(job.width * job.ratio), Math.round(job.height * job.ratio));
+        let scaleMaxes = [];
+        if (job.style === 'density') {
+            scaleMaxes = rasterizeDensity(image, job);
+        } else if (job.style === 'difference') {
+            scaleMaxes = [rasterizeDifference(image, job)];
+        } else {
+            rasterizePassQuality(image, job);
+        }
+        return { image, scaleMaxes };
+    }
+
+    // =====================================================
+    // ZONE STATISTICS
+    // =====================================================
+
+    /**
+     * @typedef {Object} ZoneCell
+     * @property {string|null} team - Court side ('us' or 'opp'), null when only one court is shown
+     * @property {string} label - Zone number, or column letter and row number in a grid
+     * @property {number} x - Left edge in pixels
+     * @property {number} y - Top edge in pixels
+     * @property {number} width - In pixels
+     * @property {number} height - In pixels
+     */
+
+    /**
+     * @typedef {Object} ZoneStats
+     * @property {Array<ZoneCell & {count: number, percent: number}>} cells
+     * @property {number} out - Points outside every cell (off the court)
+     * @property {number} total - All points counted, the base of the percentages
+     */
+
+    /**
+     * Count the points whose position (the landing end of a line) falls in each zone cell.
+     * Points on a shared edge count toward the first cell.
+     * @param {Point[]} points - Points to count, usually the filtered ones
+     * @param {ZoneCell[]} cells
+     * @returns {ZoneStats}
+     */
+    function getZoneStats(points, cells) {
+        const counts = cells.map(() => 0);
+        let out = 0;
+        points.forEach(point => {
+            const index = cells.findIndex(cell =>
+                point.x >= cell.x && point.x <= cell.x + cell.width &&
+                point.y >= cell.y && point.y <= cell.y + cell.height
+            );
+            if (index >= 0) {
+                counts[index]++;
+            } else {
+                out++;
+            }
+        });
+        
+        const total = points.length;
+        return {
+            cells: cells.map((cell, i) => ({
+                ...cell,
+                count: counts[i],
+                percent: total > 0 ? counts[i] / total * 100 : 0
+            })),
+            out,
+            total
+        };
+    }
+
+    /**
+     * Lay out zone statistics as table rows, header row first, for display and export.
+     * The court column is left out when only one court is shown.
+     * @param {ZoneStats} stats
+     * @returns {string[][]}
+     */
+    function getZoneTableRows(stats) {
+        const hasCourts = stats.cells.some(cell => cell.team);
+        const format = count => `${(stats.total > 0 ? count / stats.total * 100 : 0).toFixed(1)}%`;
+        const row = (court, zone, count) => (hasCourts ? [court] : []).concat([zone, String(count), format(count)]);
+        
+        const rows = [(hasCourts ? ['Court'] : []).concat(['Zone', 'Points', 'Percent'])];
+        stats.cells.forEach(cell => rows.push(row(cell.team === 'us' ? 'Us' : 'Opp', cell.label, cell.count)));
+        rows.push(row('', 'Out', stats.out));
+        rows.push(row('', 'Total', stats.total));
+        return rows;
+    }
+
+    // =====================================================
+    // POINT EDITING
+    // =====================================================
+
+    /**
+     * @typedef {Object} PointHit
+     * @property {number} index - Index of the point in the points array
+     * @property {string} handle - Part that was hit: 'start' or 'end' of a line (a dot is its 'end'), or 'line' for the whole line
+     */
+
+    /**
+     * Distance from a position to a line segment
+     * @returns {number}
+     */
+    function distanceToSegment(x, y, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+        return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+    }
+
+    /**
+     * Find the visible point under a position. Dots and line ends win over line bodies,
+     * and points drawn later (on top) win ties.
+     * @param {Point[]} points
+     * @param {number} x
+     * @param {number} y
+     * @param {PointFilters|null} filters - Points hidden by the filters can't be hit
+     * @param {boolean} showLines - Whether lines are drawn (hidden lines can only be hit at their end)
+     * @returns {PointHit|null}
+     */
+    function hitTestPoints(points, x, y, filters, showLines) {
+        const tolerance = CONFIG.editing.hitTolerance;
+        let best = null;
+        let lineHit = null;
+
+        for (let i = points.length - 1; i >= 0; i--) {
+            const point = points[i];
+            if (!pointMatchesFilters(point, filters)) continue;
+
+            const handles = [{ handle: 'end', x: point.x, y: point.y }];
+            if (point.line && showLines) {
+                handles.push({ handle: 'start', x: point.line.startX, y: point.line.startY });
+            }
+            handles.forEach(h => {
+                const distance = Math.hypot(x - h.x, y - h.y);
+                if (distance <= tolerance && (!best || distance < best.distance)) {
+                    best = { index: i, handle: h.handle, distance };
+                }
+            });
+
+            if (!lineHit && point.line && showLines &&
+                distanceToSegment(x, y, point.line.startX, point.line.startY, point.line.endX, point.line.endY) <= tolerance) {
+                lineHit = { index: i, handle: 'line' };
+            }
+        }
+
+        if (best) return { index: best.index, handle: best.handle };
+        return lineHit;
+    }
+
+    /**
+     * Move part of a point, keeping it on the canvas
+     * @param {Point} point
+     * @param {string} handle - 'start', 'end' or 'line' (see PointHit)
+     * @param {number} dx - Pixels to move right
+     * @param {number} dy - Pixels to move down
+     * @param {number} maxX - Canvas width
+     * @param {number} maxY - Canvas height
+     * @returns {Point} Moved copy of the point
+     */
+    function movePoint(point, handle, dx, dy, maxX, maxY) {
+        const moved = { ...point, line: point.line ? { ...point.line } : point.line };
+        const clampX = value => sanitizeCoordinate(value, maxX);
+        const clampY = value => sanitizeCoordinate(value, maxY);
+
+        if (handle === 'start' || handle === 'line') {
+            moved.line.startX = clampX(point.line.startX + dx);
+            moved.line.startY = clampY(point.line.startY + dy);
+        }
+        if (handle === 'end' || handle === 'line') {
+            moved.x = clampX(point.x + dx);
+            moved.y = clampY(point.y + dy);
+            if (moved.line) {
+                moved.line.endX = moved.x;
+                moved.line.endY = moved.y;
+            }
+        }
+        return moved;
+    }
+
+    // =====================================================
+    // GEOMETRY CALCULATOR CLASS
+    // =====================================================
+    
+    /**
+     * Band of color across a court, from where the previous band ends
+     * @typedef {Object} CourtFill
+     * @property {number} to - Meters from the net where the band ends
+     * @property {string} color - A palette court color name (e.g. insideAbove) or a CSS color
+     */
+    
+    /**
+     * Dimensions and markings of a court, in meters. The court the app draws is one of
+     * these on each side of the net.
+     * @typedef {Object} CourtTemplate
+     * @property {string} label - Shown when picking a court and in the mode banner
+     * @property {number} width - Sideline to sideline
+     * @property {number} depth - Net to end line
+     * @property {number} freeZone - Shown beside and behind the court, and across the net on one-court layouts
+     * @property {number} netWidth - Net between the posts, drawn as the dashed center line
+     * @property {number|null} attackLine - Distance from the net, or null for none. Splits the front and
+     *     back row zones (at a third of the depth without one) and is extended past the sidelines.
+     * @property {number[]} zoneLines - Other lines across the court, in meters from the net
+     * @property {CourtFill[]} fills - Court colors from the net back to the end line
+     */
+    
+    /**
+     * Get the court template of a session. Files store the whole template; files from before
+     * templates store a CONFIG.courts key, and older files have no court and are indoor.
+     * @param {CourtTemplate|string|undefined} court
+     * @returns {CourtTemplate}
+     */
+    function getCourtTemplate(court) {
+        if (court === undefined) return CONFIG.courts.indoor;
+        if (typeof court === 'string') return CONFIG.courts[court];
+        const { label, width, depth, freeZone, netWidth, attackLine = null, zoneLines = [], fills = [] } = court;
+        return { label, width, depth, freeZone, netWidth, attackLine, zoneLines, fills };
+    }
+    
+    /**
+     * Check whether two sessions were recorded on the same court
+     * @param {CourtTemplate} a
+     * @param {CourtTemplate} b
+     * @returns {boolean}
+     */
+    function isSameCourt(a, b) {
+        const { label: labelA, ...courtA } = a;
+        const { label: labelB, ...courtB } = b;
+        return JSON.stringify(courtA) === JSON.stringify(courtB);
+    }
+    
+    /**
+     * Calculates all grid geometry based on configuration
+     */
+    class GridGeometry {
+        /**
+         * @param {AppConfig} config
+         * @param {string} [mode] - A CONFIG.modes key
+         * @param {CourtTemplate} [court]
+         */
+        constructor(config, mode = 'simpleHeatmap', court = config.courts.indoor) {
+            assert(config && typeof config === 'object', 'Config must be an object');
+            assert(CONFIG.validation.validModes.includes(mode), `Invalid mode: ${mode}`);
+            assert(court && court.width > 0 && court.depth > 0, 'Court must be a court template');
+            
+            this.config = config;
+            this.mode = mode;
+            this.court = court;
+            
+            Logger.debug('GridGeometry initialized with mode:', mode, 'court:', court.label);
+        }
+        
+        get size() {
+            // Meters across the canvas: the court and the free zone on both sides
+            return this.court.width + 2 * this.court.freeZone;
+        }
+        
+        get scale() {
+            // The canvas width always shows the court and its free zones
+            return this.config.grid.canvasSize / this.size;
+        }
+        
+        get canvasWidth() {
+            return this.config.grid.canvasSize;
+        }
+        
+        get canvasHeight() {
+            // For charting mode: a margin behind the top court, both courts and the bottom free zone
+            if (this.mode === 'heatmapCharting') {
+                return this.innerEndY + this.court.freeZone * this.scale;
+            }
+            // Serve mode extends below the bottom end line to show the service zone
+            if (this.mode === 'serving') {
+                return this.innerEndY + this.config.serving.serveZoneDepth * this.scale;
+            }
+            // The free zone across the net, the court and the free zone behind it
+            return (2 * this.court.freeZone + this.court.depth) * this.scale;
+        }
+        
+        get hasTwoCourts() {
+            // Line modes show both courts with the net across the middle
+            return this.config.modes[this.mode].lines;
+        }
+        
+        get hasAttackLine() {
+            return this.court.attackLine !== null;
+        }
+        
+        get innerOffset() {
+            // Inner square is always centered horizontally, inside the free zone
+            return this.court.freeZone;
+        }
+        
+        get verticalOffset() {
+            // With both courts shown, shift everything down so the top court fits above the net
+            if (!this.hasTwoCourts) return 0;
+            return (this.config.grid.farCourtMargin + this.court.depth - this.court.freeZone) * this.scale;
+        }
+        
+        get innerStart() {
+            return this.innerOffset * this.scale;
+        }
+        
+        get innerStartY() {
+            return this.innerStart + this.verticalOffset;
+        }
+        
+        get innerEnd() {
+            return (this.innerOffset + this.court.width) * this.scale;
+        }
+        
+        get innerEndY() {
+            return this.innerStartY + this.innerDepth;
+        }
+        
+        get innerWidth() {
+            return this.innerEnd - this.innerStart;
+        }
+        
+        get innerDepth() {
+            return this.court.depth * this.scale;
+        }
+        
+        get frontRowDepth() {
+            // Courts without an attack line split front and back row at a third of the court
+            return (this.hasAttackLine ? this.court.attackLine : this.court.depth / 3) * this.scale;
+        }
+        
+        get horizontalLineY() {
+            return this.innerStartY + this.frontRowDepth;
+        }
+        
+        get newRectWidth() {
+            return this.innerWidth;
+        }
+        
+        get newRectHeight() {
+            // The part of the opponent's court shown above the net on one-court layouts
+            return this.court.freeZone * this.scale;
+        }
+        
+        get newRectX() {
+            return (this.config.grid.canvasSize - this.newRectWidth) / 2;
+        }
+        
+        get newRectY() {
+            return this.innerStartY - this.newRectHeight;
+        }
+        
+        get dashedLineWidth() {
+            return this.court.netWidth * this.scale;
+        }
+        
+        get centerLineY() {
+            return this.newRectY + this.newRectHeight;
+        }
+        
+        get centerLineX1() {
+            return (this.config.grid.canvasSize - this.dashedLineWidth) / 2;
+        }
+        
+        get centerLineX2() {
+            return this.centerLineX1 + this.dashedLineWidth;
+        }
+        
+        get attackLineExtensionLength() {
+            return ((this.dashedLineWidth - this.innerWidth) / 2) 
+                   * this.config.zones.attackLineExtensionMultiplier;
+        }
+        
+        /**
+         * Convert pixel coordinates to meters, across from the left edge of the free zone
+         * and down from the net
+         * @param {number} px - X coordinate in pixels
+         * @param {number} py - Y coordinate in pixels
+         * @returns {{x: string, y: string}}
+         */
+        pixelsToMeters(px, py) {
+            return {
+                x: (px / this.scale).toFixed(2),
+                y: ((py - this.centerLineY) / this.scale).toFixed(2)
+            };
+        }
+        
+        /**
+         * Find the court side and zone (1-6) under a point in charting mode.
+         * "Us" is the bottom court and "Opp" the top court; zones are numbered from each
+         * team's own view of the net (front row 4-3-2, back row 5-6-1). Points in the
+         * free zone count toward the nearest zone.
+         * @param {number} x - X coordinate in pixels
+         * @param {number} y - Y coordinate in pixels
+         * @returns {{team: string, zone: number}|null} Null unless both courts are shown
+         */
+        getCourtZone(x, y) {
+            if (!this.hasTwoCourts) return null;
+
+            const zoneWidth = this.innerWidth / 3;
+            const column = Math.min(2, Math.max(0, Math.floor((x - this.innerStart) / zoneWidth)));
+            const team = y >= this.centerLineY ? 'us' : 'opp';
+            const depth = Math.abs(y - this.centerLineY);
+            const isFrontRow = depth < this.frontRowDepth;
+
+            // Columns from each team's left: Opp faces down the screen, so their left is our right
+            const teamColumn = team === 'us' ? column : 2 - column;
+            const zone = isFrontRow ? [4, 3, 2][teamColumn] : [5, 6, 1][teamColumn];
+            return { team, zone };
+        }
+
+        /**
+         * Get the center of a zone (1-9) or sub-zone (A-D) on one side of the court.
+         * Zones are numbered from each team's own view of the net, like getCourtZone.
+         * @param {string} team - 'us' (bottom court) or 'opp' (top court)
+         * @param {number} zone - Zone from CONFIG.zoneEntry.layout
+         * @param {string|null} [subZone] - Key of CONFIG.zoneEntry.subZones
+         * @returns {{x: number, y: number, size: number}} Center and smaller side of the (sub-)zone in pixels
+         */
+        getZoneCenter(team, zone, subZone = null) {
+            const { layout, subZones } = this.config.zoneEntry;
+            const row = layout.findIndex(zones => zones.includes(zone));
+            assert(row >= 0, `Invalid zone: ${zone}`);
+            assert(subZone === null || subZones[subZone], `Invalid sub-zone: ${subZone}`);
+            
+            const cellWidth = this.innerWidth / layout[row].length;
+            const cellDepth = this.innerDepth / layout.length;
+            let across = (layout[row].indexOf(zone) + 0.5) * cellWidth; // from the team's left sideline
+            let depth = (row + 0.5) * cellDepth; // from the net
+            if (subZone) {
+                across += subZones[subZone].across * cellWidth / 4;
+                depth += subZones[subZone].depth * cellDepth / 4;
+            }
+            const cell = Math.min(cellWidth, cellDepth);
+            
+            // Opp faces down the screen, so their left is our right
+            return {
+                x: team === 'us' ? this.innerStart + across : this.innerEnd - across,
+                y: team === 'us' ? this.centerLineY + depth : this.centerLineY - depth,
+                size: subZone ? cell / 2 : cell
+            };
+        }
+
+        /**
+         * Split each court into the cells of the zone overlay. Like getCourtZone, cells run
+         * from each team's own left sideline and from the net back to the end line.
+         * @param {string} layout - Key of CONFIG.zoneOverlay.layouts
+         * @param {number} [columns] - Cells across each court (grid layout)
+         * @param {number} [rows] - Cells from the net to the end line (grid layout)
+         * @returns {ZoneCell[]}
+         */
+        getZoneCells(layout, columns = 3, rows = 3) {
+            assert(this.config.zoneOverlay.layouts[layout], `Invalid zone layout: ${layout}`);
+            
+            const courtDepth = this.innerEndY - this.centerLineY;
+            let labels;
+            let rowDepths;
+            if (layout === 'six') {
+                const frontDepth = this.frontRowDepth;
+                labels = [[4, 3, 2], [5, 6, 1]];
+                rowDepths = [frontDepth, courtDepth - frontDepth];
+            } else if (layout === 'nine') {
+                labels = this.config.zoneEntry.layout;
+                rowDepths = labels.map(() => courtDepth / labels.length);
+            } else {
+                labels = Array.from({ length: rows }, (_, row) =>
+                    Array.from({ length: columns }, (_, column) => String.fromCharCode(65 + column) + (row + 1))
+                );
+                rowDepths = labels.map(() => courtDepth / rows);
+            }
+            
+            const teams = this.hasTwoCourts ? ['opp', 'us'] : ['us'];
+            const cells = [];
+            teams.forEach(team => {
+                let depth = 0;
+                labels.forEach((rowLabels, row) => {
+                    const width = this.innerWidth / rowLabels.length;
+                    const height = rowDepths[row];
+                    rowLabels.forEach((label, column) => {
+                        // Opp faces down the screen, so their left is our right
+                        cells.push({
+                            team: this.hasTwoCourts ? team : null,
+                            label: String(label),
+                            x: team === 'us' ? this.innerStart + column * width : this.innerEnd - (column + 1) * width,
+                            y: team === 'us' ? this.centerLineY + depth : this.centerLineY - depth - height,
+                            width,
+                            height
+                        });
+                    });
+                    depth += height;
+                });
+            });
+            return cells;
+        }
+
+        /**
+         * Move a serve origin into the service zone: on or behind the bottom end line,
+         * between the sidelines
+         * @param {number} x - X coordinate in pixels
+         * @param {number} y - Y coordinate in pixels
+         * @returns {{x: number, y: number}}
+         */
+        clampServeOrigin(x, y) {
+            return {
+                x: Math.min(this.innerEnd, Math.max(this.innerStart, x)),
+                y: Math.min(this.canvasHeight, Math.max(this.innerEndY, y))
+            };
+        }
+
+        /**
+         * Check if coordinates are within grid bounds
+         * @param {number} x - X coordinate in pixels
+         * @param {number} y - Y coordinate in pixels
+         * @returns {boolean}
+         */
+        isWithinBounds(x, y) {
+            return x >= 0 && x <= this.canvasWidth && 
+                   y >= 0 && y <= this.canvasHeight;
+        }
+    }
+
+    // =====================================================
+    // CANVAS MANAGER CLASS
+    // =====================================================
+    
+    /**
+     * Zoom and pan of the court canvases
+     * @typedef {Object} View
+     * @property {number} zoom - 1 shows the whole canvas
+     * @property {number} panX - Geometry units at the left edge of the view
+     * @property {number} panY - Geometry units at the top edge of the view
+     */
+    
+    /** @type {View} */
+    const DEFAULT_VIEW = Object.freeze({ zoom: 1, panX: 0, panY: 0 });
+    
+    /**
+     * Keep the zoom in range and the view inside the canvas
+     * @param {View} view
+     * @param {number} width - Canvas width in geometry units
+     * @param {number} height - Canvas height in geometry units
+     * @param {number} maxZoom
+     * @returns {View}
+     */
+    function clampView(view, width, height, maxZoom) {
+        const zoom = Math.min(maxZoom, Math.max(1, view.zoom));
+        return {
+            zoom,
+            panX: Math.min(width - width / zoom, Math.max(0, view.panX)),
+            panY: Math.min(height - height / zoom, Math.max(0, view.panY))
+        };
+    }
+    
+    /**
+     * Zoom a view so the geometry point under one display position ends up under another
+     * (the same one to zoom in place, or a different one to pan)
+     * @param {View} view
+     * @param {number} zoom - New zoom
+     * @param {{x: number, y: number}} anchor - Display position, in geometry units of the whole canvas
+     * @param {{x: number, y: number}} [target=anchor] - Where the anchored point is shown afterwards
+     * @returns {View} Not clamped
+     */
+    function zoomViewAt(view, zoom, anchor, target = anchor) {
+        const x = view.panX + anchor.x / view.zoom;
+        const y = view.panY + anchor.y / view.zoom;
+        return { zoom, panX: x - target.x / zoom, panY: y - target.y / zoom };
+    }
+    
+    /**
+     * Manages canvas operations with error handling.
+     * Drawing uses geometry units (GridGeometry pixels); the canvas is scaled on screen
+     * and its backing store matches the screen's pixel density, so drawings stay sharp.
+     * The view zooms and pans the drawing without changing those units.
+     */
+    class CanvasManager {
+        /**
+         * @param {string|HTMLCanvasElement} canvasId - Element id, or a canvas outside the page for an offscreen layer
+         * @throws {Error} If canvas element not found
+         */
+        constructor(canvasId) {
+            this.canvas = typeof canvasId === 'string' ? document.getElementById(canvasId) : canvasId;
+            if (!this.canvas) {
+                throw new Error(`Canvas element '${canvasId}' not found`);
+            }
+            this.ctx = this.canvas.getContext('2d');
+            if (!this.ctx) {
+                throw new Error(`Could not get 2d context for canvas '${canvasId}'`);
+            }
+            this.width = this.canvas.width; // In geometry units
+            this.height = this.canvas.height;
+            this.imageCanvas = null; // Offscreen canvas for drawImageData and moveToView
+            this.displayScale = 1; // CSS pixels per geometry unit
+            this.ratio = 1; // Backing store pixels per geometry unit
+            /** @type {View} */
+            this.view = DEFAULT_VIEW;
+            this.generation = 0; // Bumped when a resize or view change leaves the drawing out of date
+        }
+        
+        /**
+         * Resize the canvas. This clears it.
+         * @param {number} width - In geometry units
+         * @param {number} height - In geometry units
+         * @param {number} displayScale - CSS pixels per geometry unit
+         */
+        resize(width, height, displayScale) {
+            this.displayScale = displayScale;
+            this.ratio = displayScale * (window.devicePixelRatio || 1);
+            this.generation++;
+            this.width = width;
+            this.height = height;
+            this.canvas.width = Math.round(width * this.ratio);
+            this.canvas.height = Math.round(height * this.ratio);
+            this.canvas.style.width = `${width * displayScale}px`;
+            this.canvas.style.height = `${height * displayScale}px`;
+            this.applyTransform();
+        }
+        
+        /**
+         * Zoom and pan later drawing. Existing drawing is not redrawn.
+         * @param {View} view
+         */
+        setView(view) {
+            this.view = view;
+            this.generation++;
+            this.applyTransform();
+        }
+        
+        applyTransform() {
+            const { zoom, panX, panY } = this.view;
+            const scale = this.ratio * zoom;
+            this.ctx.setTransform(scale, 0, 0, scale, -panX * scale, -panY * scale);
+        }
+        
+        clear() {
+            // Clear the whole backing store, whatever the view
+            this.ctx.save();
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.restore();
+        }
+        
+        getWidth() {
+            return this.width;
+        }
+        
+        getHeight() {
+            return this.height;
+        }
+        
+        getBoundingRect() {
+            return this.canvas.getBoundingClientRect();
+        }
+        
+        /**
+         * Map a pointer position on screen to geometry units of the whole canvas, ignoring the view
+         * @param {MouseEvent} event
+         * @returns {{x: number, y: number}}
+         */
+        getDisplayPoint(event) {
+            const rect = this.getBoundingRect();
+            const scaleX = rect.width > 0 ? this.width / rect.width : 1;
+            const scaleY = rect.height > 0 ? this.height / rect.height : 1;
+            return {
+                x: (event.clientX - rect.left) * scaleX,
+                y: (event.clientY - rect.top) * scaleY
+            };
+        }
+        
+        /**
+         * Map a pointer position on screen to geometry units through the view
+         * @param {MouseEvent} event
+         * @returns {{x: number, y: number}}
+         */
+        getCanvasPoint(event) {
+            const { x, y } = this.getDisplayPoint(event);
+            const { zoom, panX, panY } = this.view;
+            return { x: panX + x / zoom, y: panY + y / zoom };
+        }
+        
+        /**
+         * Draw image data over the whole canvas, stretched to fit. putImageData
+         * ignores the canvas scaling, so the data goes through an offscreen canvas.
+         * @param {ImageData|RasterImage} image - E.g. sized width x height
+         * @param {boolean} [ignoreView=false] - The image shows the current view, so copy it with drawBackingImage
+         */
+        drawImageData(image, ignoreView = false) {
+            if (!this.imageCanvas) {
+                this.imageCanvas = document.createElement('canvas');
+            }
+            this.imageCanvas.width = image.width;
+            this.imageCanvas.height = image.height;
+            const imageCtx = this.imageCanvas.getContext('2d');
+            const imageData = imageCtx.createImageData(image.width, image.height);
+            imageData.data.set(image.data);
+            imageCtx.putImageData(imageData, 0, 0);
+            if (ignoreView) {
+                this.drawBackingImage(this.imageCanvas);
+            } else {
+                this.drawImage(this.imageCanvas);
+            }
+        }
+        
+        /**
+         * Draw an image over the whole canvas, stretched to fit
+         * @param {CanvasImageSource} image - E.g. an offscreen layer's canvas or an ImageBitmap
+         */
+        drawImage(image) {
+            this.ctx.drawImage(image, 0, 0, this.width, this.height);
+        }
+        
+        /**
+         * Copy an image over the whole backing store, ignoring the view
+         * @param {CanvasImageSource} image - Drawn with the same view, e.g. a layer of the same size
+         */
+        drawBackingImage(image) {
+            this.ctx.save();
+            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+            this.ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.restore();
+        }
+        
+        /**
+         * Zoom and pan, moving the existing drawing with the view so it stays in place
+         * until it is redrawn. It is stretched where the view zooms in, and parts that
+         * were outside the old view are left empty.
+         * @param {View} view
+         */
+        moveToView(view) {
+            if (!this.imageCanvas) {
+                this.imageCanvas = document.createElement('canvas');
+            }
+            this.imageCanvas.width = this.canvas.width;
+            this.imageCanvas.height = this.canvas.height;
+            this.imageCanvas.getContext('2d').drawImage(this.canvas, 0, 0);
+            
+            const { zoom, panX, panY } = this.view;
+            this.setView(view);
+            this.clear();
+            this.ctx.drawImage(this.imageCanvas, panX, panY, this.width / zoom, this.height / zoom);
+        }
+        
+        setCursor(cursorStyle) {
+            this.canvas.style.cursor = cursorStyle;
+        }
+    }
+
+    // =====================================================
+    // SESSION STATE CLASS
+    // =====================================================
+    
+    /**
+     * @typedef {Object} Point
+     * @property {number} x - X coordinate in pixels
+     * @property {number} y - Y coordinate in pixels
+     * @property {number} rotation - Rotation number (1-6)
+     * @property {Object} [line] - Optional line data for charting mode
+     * @property {number} [line.startX] - Line start X coordinate
+     * @property {number} [line.startY] - Line start Y coordinate
+     * @property {number} [line.endX] - Line end X coordinate
+     * @property {number} [line.endY] - Line end Y coordinate
+     * @property {string} [jerseyNumber] - Optional jersey number label for the line or passer (stored as string to support leading zeros or non-numeric identifiers)
+     * @property {string|null} [team] - Team for the line ('us', 'opp' or null when not tracked)
+     * @property {string|null} [outcome] - Rally outcome id from CONFIG.outcomes (null when not tagged)
+     * @property {string|null} [skillType] - Skill type id from CONFIG.skillTypes (null when not tagged)
+     * @property {number} [set] - Set number the point was charted in
+     * @property {number} [rally] - Rally index within the set
+     * @property {{us: number, opp: number}} [score] - Score before the rally
+     * @property {number} [passRating] - Serve-receive pass rating (passing mode), 0 up to the session's passScale
+     */
+    
+    /**
+     * @typedef {Object} RallyResult
+     * @property {number} set - Set number
+     * @property {number} rally - Rally index within the set
+     * @property {string} winner - 'us' or 'opp'
+     * @property {{us: number, opp: number}} scoreBefore
+     * @property {{us: number, opp: number}} scoreAfter
+     * @property {string|null} serving - Team that served the rally ('us', 'opp' or null if not known)
+     * @property {boolean} sideOut - True if the receiving team won the rally and rotated
+     */
+    
+    /**
+     * @typedef {Object} MatchState
+     * @property {number} setNumber - Current set (1-based)
+     * @property {number} rallyIndex - Current rally within the set (1-based)
+     * @property {{us: number, opp: number}} score - Current score in the set
+     * @property {Array<{setNumber: number, us: number, opp: number}>} sets - Final scores of completed sets
+     * @property {RallyResult[]} rallies - Log of completed rallies
+     * @property {string|null} serving - Team serving the current rally ('us', 'opp' or null if not known)
+     * @property {{us: number, opp: number}} rotations - Current rotation (1-6) of each team
+     */
+    
+    /**
+     * @typedef {Object} Command
+     * An invertible change to the session, stored as plain JSON in the undo/redo stacks.
+     * @property {string} type - 'insert', 'remove', 'update', 'replaceAll', 'match', 'roster', 'lineup' or 'group'
+     * @property {number} [index] - Point index for insert, remove and update
+     * @property {Point} [point] - Point inserted or removed
+     * @property {Point|Point[]|Object|null} [before] - Point (update), all points (replaceAll), match position (match),
+     *     roster (roster) or lineup (lineup, null if none) before the change
+     * @property {Point|Point[]|Object|null} [after] - Point (update), all points (replaceAll), match position (match),
+     *     roster (roster) or lineup (lineup, null removes it) after the change
+     * @property {string} [team] - Team whose lineup a lineup command sets
+     * @property {number} [setNumber] - Set whose lineup a lineup command sets
+     * @property {RallyResult|null} [rally] - Rally logged by a match command
+     * @property {{team: string, before: number, after: number}} [rotation] - Rotation set by hand in a match command
+     * @property {string} [label] - Description of a group
+     * @property {Command[]} [commands] - Commands in a group, in the order they are applied
+     */
+    
+    /**
+     * @typedef {Object} Player
+     * @property {string} number - Jersey number (0-99, stored as string like point jersey numbers)
+     * @property {string} name - Player name
+     * @property {string} position - Position from CONFIG.roster.positions ('' if not set)
+     */
+    
+    /**
+     * @typedef {Object} Roster
+     * @property {Player[]} us
+     * @property {Player[]} opp
+     */
+    
+    /**
+     * Create an empty roster for both teams
+     * @returns {Roster}
+     */
+    function createRoster() {
+        return { us: [], opp: [] };
+    }
+    
+    /**
+     * Find a player on the roster
+     * @param {Roster} roster
+     * @param {string|null} team - 'us', 'opp', or null to search both teams
+     * @param {string|null} number - Jersey number
+     * @returns {Player|null}
+     */
+    function findPlayer(roster, team, number) {
+        if (!roster || number === null || number === undefined || number === '') return null;
+        const teams = team ? [team] : ['us', 'opp'];
+        for (const t of teams) {
+            const player = (roster[t] || []).find(p => p.number === String(number));
+            if (player) return player;
+        }
+        return null;
+    }
+    
+    /**
+     * @typedef {Object} Substitution
+     * @property {string} out - Jersey number leaving the court
+     * @property {string} in - Jersey number entering the court
+     * @property {number} rally - Rally index when the substitution was entered
+     */
+
+    /**
+     * @typedef {Object} Lineup
+     * @property {string[]} starters - Jersey numbers in zones 1-6 for rotation 1 ('' if not set)
+     * @property {string} libero - Libero jersey number ('' if none)
+     * @property {string[]} liberoFor - Players the libero replaces while they are in the back row
+     * @property {Substitution[]} substitutions - Substitutions in the order they were made
+     */
+
+    /**
+     * Create empty lineups for both teams (keyed by set number)
+     * @returns {{us: Object<string, Lineup>, opp: Object<string, Lineup>}}
+     */
+    function createLineups() {
+        return { us: {}, opp: {} };
+    }
+
+    /**
+     * Create an empty lineup
+     * @returns {Lineup}
+     */
+    function createLineup() {
+        return { starters: ['', '', '', '', '', ''], libero: '', liberoFor: [], substitutions: [] };
+    }
+
+    /**
+     * Get the players on court by starting slot, with substitutions applied
+     * @param {Lineup} lineup
+     * @returns {string[]} Jersey numbers for slots 1-6
+     */
+    function getOnCourtSlots(lineup) {
+        const slots = [...lineup.starters];
+        lineup.substitutions.forEach(sub => {
+            const slot = slots.indexOf(sub.out);
+            if (slot !== -1) slots[slot] = sub.in;
+        });
+        return slots;
+    }
+
+    /**
+     * Get the player standing in a court zone for a rotation.
+     * In rotation 1 the starters stand in their own zones; each rotation moves every
+     * player one zone clockwise, so zone z holds the starter from slot z + (rotation - 1).
+     * The libero replaces the players listed in liberoFor while they are in the back row (zones 1, 5, 6).
+     * @param {Lineup|null} lineup
+     * @param {number} rotation - Rotation (1-6)
+     * @param {number} zone - Court zone (1-6)
+     * @returns {string|null} Jersey number, or null if the lineup doesn't say
+     */
+    function getPlayerInZone(lineup, rotation, zone) {
+        if (!lineup) return null;
+        const slots = getOnCourtSlots(lineup);
+        const number = slots[(zone - 1 + rotation - 1) % 6];
+        if (!number) return null;
+
+        if (lineup.libero && [1, 5, 6].includes(zone) && lineup.liberoFor.includes(number)) {
+            return lineup.libero;
+        }
+        return number;
+    }
+
+    /**
+     * Create the match state for a new session
+     * @returns {MatchState}
+     */
+    function createMatchState() {
+        return {
+            setNumber: 1,
+            rallyIndex: 1,
+            score: { us: 0, opp: 0 },
+            sets: [],
+            rallies: [],
+            serving: null,
+            rotations: { us: 1, opp: 1 }
+        };
+    }
+    
+    /**
+     * Copy the match position (everything except the rally log and rotations) for undo/redo.
+     * Rotations are left out so undoing a rally only reverses its own side-out rotation,
+     * not rotation changes made by hand since.
+     * @param {MatchState} match
+     * @returns {Object}
+     */
+    function snapshotMatchPosition(match) {
+        return {
+            setNumber: match.setNumber,
+            rallyIndex: match.rallyIndex,
+            score: { ...match.score },
+            sets: match.sets.map(set => ({ ...set })),
+            serving: match.serving
+        };
+    }
+
+    /**
+     * Step a rotation forward (1→2→...→6→1) or backward
+     * @param {number} rotation - Rotation (1-6)
+     * @param {number} [steps=1] - Negative to step backward
+     * @returns {number}
+     */
+    function advanceRotation(rotation, steps = 1) {
+        const { minRotation, maxRotation } = CONFIG.validation;
+        const count = maxRotation - minRotation + 1;
+        return ((rotation - minRotation + steps) % count + count) % count + minRotation;
+    }
+    
+    // =====================================================
+    // UNDOABLE COMMANDS
+    // =====================================================
+
+    /**
+     * Applies and reverses Commands against a SessionState.
+     * Commands in a group apply in order and revert in reverse order, so each one's
+     * index refers to the points as they are after the commands before it.
+     */
+    const Commands = {
+        /**
+         * Apply a command
+         * @param {SessionState} state
+         * @param {Command} command
+         */
+        apply(state, command) {
+            switch (command.type) {
+                case 'insert':
+                    state.points.splice(command.index, 0, command.point);
+                    break;
+                case 'remove':
+                    state.points.splice(command.index, 1);
+                    break;
+                case 'update':
+                    state.points[command.index] = command.after;
+                    break;
+                case 'replaceAll':
+                    state.points = [...command.after];
+                    break;
+                case 'match':
+                    state.restoreMatchPosition(command.after);
+                    if (command.rally) state.match.rallies.push(command.rally);
+                    if (command.rally && command.rally.sideOut) {
+                        const team = command.rally.winner;
+                        state.match.rotations[team] = advanceRotation(state.match.rotations[team]);
+                    }
+                    if (command.rotation) {
+                        state.match.rotations[command.rotation.team] = command.rotation.after;
+                    }
+                    break;
+                case 'roster':
+                    state.roster = { us: [...command.after.us], opp: [...command.after.opp] };
+                    break;
+                case 'lineup':
+                    Commands.setLineup(state, command.team, command.setNumber, command.after);
+                    break;
+                case 'group':
+                    command.commands.forEach(c => Commands.apply(state, c));
+                    break;
+                default:
+                    Logger.warn('Unknown command type:', command.type);
+            }
+        },
+
+        /**
+         * Reverse a command
+         * @param {SessionState} state
+         * @param {Command} command
+         */
+        revert(state, command) {
+            switch (command.type) {
+                case 'insert':
+                    state.points.splice(command.index, 1);
+                    break;
+                case 'remove':
+                    state.points.splice(command.index, 0, command.point);
+                    break;
+                case 'update':
+                    state.points[command.index] = command.before;
+                    break;
+                case 'replaceAll':
+                    state.points = [...command.before];
+                    break;
+                case 'match':
+                    state.restoreMatchPosition(command.before);
+                    if (command.rally) state.match.rallies.pop();
+                    if (command.rally && command.rally.sideOut) {
+                        const team = command.rally.winner;
+                        state.match.rotations[team] = advanceRotation(state.match.rotations[team], -1);
+                    }
+                    if (command.rotation) {
+                        state.match.rotations[command.rotation.team] = command.rotation.before;
+                    }
+                    break;
+                case 'roster':
+                    state.roster = { us: [...command.before.us], opp: [...command.before.opp] };
+                    break;
+                case 'lineup':
+                    Commands.setLineup(state, command.team, command.setNumber, command.before);
+                    break;
+                case 'group':
+                    [...command.commands].reverse().forEach(c => Commands.revert(state, c));
+                    break;
+                default:
+                    Logger.warn('Unknown command type:', command.type);
+            }
+        },
+
+        /**
+         * Store or remove a team's lineup for a set
+         * @param {SessionState} state
+         * @param {string} team - 'us' or 'opp'
+         * @param {number} setNumber
+         * @param {Lineup|null} lineup - Null removes the lineup
+         */
+        setLineup(state, team, setNumber, lineup) {
+            if (lineup) {
+                state.lineups[team][setNumber] = lineup;
+            } else {
+                delete state.lineups[team][setNumber];
+            }
+        },
+
+        /**
+         * Get every point stored in a command (for migrating older point formats)
+         * @param {Command} command
+         * @returns {Point[]}
+         */
+        getPoints(command) {
+            switch (command.type) {
+                case 'insert':
+                case 'remove':
+                    return [command.point];
+                case 'update':
+                    return [command.before, command.after];
+                case 'replaceAll':
+                    return [...command.before, ...command.after];
+                case 'group':
+                    return command.commands.flatMap(c => Commands.getPoints(c));
+                default:
+                    return [];
+            }
+        },
+
+        /**
+         * Convert undo/redo stacks saved before commands (entries with an 'action' of 'add' or
+         * 'clear') to commands. 'add' entries didn't record an index, so the stacks are
+         * replayed against a copy of the points to find it.
+         * @param {Point[]} points - Current points
+         * @param {Array<Object>} undoStack - Oldest first
+         * @param {Array<Object>} redoStack - Oldest first (the top is the next redo)
+         * @returns {{undoStack: Command[], redoStack: Command[]}}
+         */
+        fromLegacyStacks(points, undoStack, redoStack) {
+            const toCommand = (entry, index) => {
+                switch (entry.action) {
+                    case 'add':
+                        return { type: 'insert', index, point: entry.point };
+                    case 'clear':
+                        return { type: 'replaceAll', before: entry.points || [], after: [] };
+                    default:
+                        return entry; // Already a command
+                }
+            };
+
+            // Only point commands change the point count, so match commands can be
+            // skipped while replaying. Commands inside groups are replayed against
+            // throwaway match, roster and lineup state.
+            const pointState = points => ({
+                points, match: createMatchState(), roster: createRoster(), lineups: createLineups(), restoreMatchPosition() {}
+            });
+
+            // Undo stack: walk back from the latest entry, undoing each 'add' (always the last point)
+            const undoState = pointState([...points]);
+            const undoCommands = [];
+            for (let i = undoStack.length - 1; i >= 0; i--) {
+                const command = toCommand(undoStack[i], undoState.points.length - 1);
+                if (command.type !== 'match') Commands.revert(undoState, command);
+                undoCommands.unshift(command);
+            }
+
+            // Redo stack: walk forward from the next redo, redoing each 'add' (always appended)
+            const redoState = pointState([...points]);
+            const redoCommands = [];
+            for (let i = redoStack.length - 1; i >= 0; i--) {
+                const command = toCommand(redoStack[i], redoState.points.length);
+                if (command.type !== 'match') Commands.apply(redoState, command);
+                redoCommands.unshift(command);
+            }
+
+            return { undoStack: undoCommands, redoStack: redoCommands };
+        }
+    };
+    
     /**
      * Manages session state with immutable operations
      */
-    class SessionState {
+    class SessionState {
+        constructor() {
+            this.name = '';
+            this.mode = 'simpleHeatmap'; // A CONFIG.modes key
+            this.court = CONFIG.courts.indoor; // CourtTemplate the points were recorded on
+            this.passScale = CONFIG.passing.defaultScale; // Highest pass rating (passing mode)
+            this.points = [];
+            this.match = createMatchState();
+            this.roster = createRoster();
+            this.lineups = createLineups();
+            this.undoStack = [];
+            this.redoStack = [];
+            this.isViewOnly = false;
+            this.migrationInfo = null; // Store migration messages for user notification
+            // trackRotation is managed by HeatmapApp, not stored in session state
+        }
+        
+        /**
+         * Trim undo stack to maximum size if auto-trim is enabled
+         */
+        trimUndoStack() {
+            const maxSize = CONFIG.validation.maxUndoStackSize;
+            const autoTrim = CONFIG.validation.autoTrimUndoStack;
+            
+            if (autoTrim && maxSize > 0 && this.undoStack.length > maxSize) {
+                // Remove oldest entries
+                this.undoStack = this.undoStack.slice(-maxSize);
+            }
+        }
+        
+        /**
+         * Trim redo stack to maximum size if auto-trim is enabled
+         */
+        trimRedoStack() {
+            const maxSize = CONFIG.validation.maxUndoStackSize;
+            const autoTrim = CONFIG.validation.autoTrimUndoStack;
+            
+            if (autoTrim && maxSize > 0 && this.redoStack.length > maxSize) {
+                // Remove oldest entries
+                this.redoStack = this.redoStack.slice(-maxSize);
+            }
+        }
+        
+        /**
+         * Record an already-applied command as the next undo step
+         * @param {Command} command
+         */
+        recordCommand(command) {
+            this.undoStack.push(command);
+            this.trimUndoStack();
+            this.redoStack = [];
+        }
+        
+        /**
+         * Apply a command and record it as one undo step
+         * @param {Command} command
+         */
+        execute(command) {
+            assert(command && typeof command.type === 'string', 'Command must have a type');
+            Commands.apply(this, command);
+            this.recordCommand(command);
+        }
+        
+        /**
+         * Apply several commands as a single undo step
+         * @param {string} label - Description of the change
+         * @param {Command[]} commands - Applied in order; indexes refer to the points after the previous command
+         * @returns {boolean} True if anything was applied
+         */
+        executeGroup(label, commands) {
+            if (commands.length === 0) return false;
+            this.execute({ type: 'group', label, commands });
+            return true;
+        }
+        
+        /**
+         * Add a point to the session
+         * @param {Point} point
+         */
+        addPoint(point) {
+            assert(point && typeof point === 'object', 'Point must be an object');
+            assert(typeof point.x === 'number' && typeof point.y === 'number', 'Point must have numeric x/y');
+            assert(typeof point.rotation === 'number', 'Point must have rotation');
+            
+            this.execute({ type: 'insert', index: this.points.length, point });
+        }
+        
+        /**
+         * Remove the last point
+         * @returns {Point|null}
+         */
+        removeLastPoint() {
+            if (this.points.length === 0) return null;
+            return this.deletePoint(this.points.length - 1);
+        }
+        
+        /**
+         * Replace a point (e.g. after moving it)
+         * @param {number} index
+         * @param {Point} point - New version of the point
+         */
+        updatePoint(index, point) {
+            assert(index >= 0 && index < this.points.length, `Invalid point index: ${index}`);
+            assert(typeof point.x === 'number' && typeof point.y === 'number', 'Point must have numeric x/y');
+            
+            this.execute({ type: 'update', index, before: this.points[index], after: point });
+        }
+        
+        /**
+         * Delete a single point
+         * @param {number} index
+         * @returns {Point} The deleted point
+         */
+        deletePoint(index) {
+            assert(index >= 0 && index < this.points.length, `Invalid point index: ${index}`);
+            
+            const point = this.points[index];
+            this.execute({ type: 'remove', index, point });
+            return point;
+        }
+        
+        /**
+         * Replace several points as one undoable edit
+         * @param {Array<{index: number, point: Point}>} updates
+         * @returns {boolean} True if anything changed
+         */
+        updatePoints(updates) {
+            const commands = updates.map(({ index, point }) => {
+                assert(index >= 0 && index < this.points.length, `Invalid point index: ${index}`);
+                return { type: 'update', index, before: this.points[index], after: point };
+            });
+            return this.executeGroup(`Edit ${commands.length} point(s)`, commands);
+        }
+        
+        /**
+         * Delete several points as one undoable step
+         * @param {number[]} indexes
+         * @returns {boolean} True if anything was deleted
+         */
+        deletePoints(indexes) {
+            // Remove from the end so the remaining indexes stay valid
+            const commands = [...new Set(indexes)].sort((a, b) => b - a).map(index => {
+                assert(index >= 0 && index < this.points.length, `Invalid point index: ${index}`);
+                return { type: 'remove', index, point: this.points[index] };
+            });
+            return this.executeGroup(`Delete ${commands.length} point(s)`, commands);
+        }
+        
+        /**
+         * Clear all points
+         */
+        clearAllPoints() {
+            if (this.points.length > 0) {
+                this.execute({ type: 'replaceAll', before: [...this.points], after: [] });
+            }
+        }
+        
+        /**
+         * Get the match context to record on a new point
+         * @returns {{set: number, rally: number, score: {us: number, opp: number}}}
+         */
+        getMatchContext() {
+            return {
+                set: this.match.setNumber,
+                rally: this.match.rallyIndex,
+                score: { ...this.match.score }
+            };
+        }
+        
+        /**
+         * Apply a change to the match position as one undoable action
+         * @param {Function} change - Mutates this.match and optionally returns a RallyResult to log
+         */
+        changeMatch(change) {
+            const before = snapshotMatchPosition(this.match);
+            const rally = change(this.match) || null;
+            if (rally) {
+                this.match.rallies.push(rally);
+            }
+            const after = snapshotMatchPosition(this.match);
+            
+            // Already applied by change(), so only record it
+            this.recordCommand({ type: 'match', before, after, rally });
+        }
+        
+        /**
+         * Award the current rally to a team and move on to the next rally
+         * @param {string} winner - 'us' or 'opp'
+         * @returns {RallyResult}
+         */
+        awardRally(winner) {
+            assert(winner === 'us' || winner === 'opp', `Invalid rally winner: ${winner}`);
+            
+            let result = null;
+            this.changeMatch(match => {
+                const scoreBefore = { ...match.score };
+                match.score[winner]++;
+                
+                // The receiving team winning the rally is a side-out: they rotate and serve next
+                const sideOut = match.serving !== null && match.serving !== winner;
+                if (sideOut) {
+                    match.rotations[winner] = advanceRotation(match.rotations[winner]);
+                }
+                
+                result = {
+                    set: match.setNumber,
+                    rally: match.rallyIndex,
+                    winner,
+                    scoreBefore,
+                    scoreAfter: { ...match.score },
+                    serving: match.serving,
+                    sideOut
+                };
+                match.serving = winner;
+                match.rallyIndex++;
+                return result;
+            });
+            return result;
+        }
+        
+        /**
+         * Set which team serves the current rally
+         * @param {string|null} team - 'us', 'opp' or null if not known
+         */
+        setServing(team) {
+            assert(team === null || team === 'us' || team === 'opp', `Invalid serving team: ${team}`);
+            this.changeMatch(match => {
+                match.serving = team;
+            });
+        }
+        
+        /**
+         * Correct a team's rotation by hand, as one undoable action
+         * @param {string} team - 'us' or 'opp'
+         * @param {number} rotation - Rotation (1-6)
+         */
+        setRotation(team, rotation) {
+            assert(team === 'us' || team === 'opp', `Invalid team: ${team}`);
+            const position = snapshotMatchPosition(this.match);
+            const before = this.match.rotations[team];
+            this.match.rotations[team] = rotation;
+            
+            // Already applied, so only record it
+            this.recordCommand({ type: 'match', before: position, after: position, rally: null, rotation: { team, before, after: rotation } });
+        }
+        
+        /**
+         * Move on to the next rally without changing the score (e.g. a replayed rally)
+         */
+        advanceRally() {
+            this.changeMatch(match => {
+                match.rallyIndex++;
+            });
+        }
+        
+        /**
+         * Finish the current set and start the next one at 0-0
+         */
+        startNewSet() {
+            this.changeMatch(match => {
+                match.sets.push({ setNumber: match.setNumber, us: match.score.us, opp: match.score.opp });
+                match.setNumber++;
+                match.rallyIndex = 1;
+                match.score = { us: 0, opp: 0 };
+            });
+        }
+        
+        /**
+         * Restore a match position from an undo/redo command
+         * @param {Object} position - Snapshot from snapshotMatchPosition
+         */
+        restoreMatchPosition(position) {
+            const restored = snapshotMatchPosition(position);
+            this.match.setNumber = restored.setNumber;
+            this.match.rallyIndex = restored.rallyIndex;
+            this.match.score = restored.score;
+            this.match.sets = restored.sets;
+            this.match.serving = restored.serving === undefined ? null : restored.serving;
+        }
+        
+        /**
+         * Undo last action
+         * @returns {boolean} True if undo was successful
+         */
+        undo() {
+            if (this.undoStack.length === 0) return false;
+            
+            // Only move the command once it has run, so a failure leaves the stacks as they were
+            const command = this.undoStack[this.undoStack.length - 1];
+            Commands.revert(this, command);
+            this.undoStack.pop();
+            this.redoStack.push(command);
+            this.trimRedoStack();
+            
+            return true;
+        }
+        
+        /**
+         * Redo last undone action
+         * @returns {boolean} True if redo was successful
+         */
+        redo() {
+            if (this.redoStack.length === 0) return false;
+            
+            const command = this.redoStack[this.redoStack.length - 1];
+            Commands.apply(this, command);
+            this.redoStack.pop();
+            this.undoStack.push(command);
+            this.trimUndoStack();
+            
+            return true;
+        }
+        
+        /**
+         * Check if undo is available
+         * @returns {boolean}
+         */
+        canUndo() {
+            return this.undoStack.length > 0;
+        }
+    
+        // Rotation tracking is controlled by HeatmapApp
+        
+        /**
+         * Check if redo is available
+         * @returns {boolean}
+         */
+        canRedo() {
+            return this.redoStack.length > 0;
+        }
+        
+        /**
+         * Get point count
+         * @returns {number}
+         */
+        getPointCount() {
+            return this.points.length;
+        }
+        
+        /**
+         * Get all points
+         * @returns {Point[]}
+         */
+        getPoints() {
+            return [...this.points];
+        }
+        
+        /**
+         * Load session data
+         * @param {Object} data
+         * @param {boolean} viewOnly
+         */
+        load(data, viewOnly) {
+            this.name = data.name || 'Loaded Session';
+            this.mode = data.mode;
+            this.court = getCourtTemplate(data.court);
+            this.passScale = data.passScale || CONFIG.passing.defaultScale;
+            this.points = data.points || [];
+            // Files saved before match tracking start at set 1, 0-0
+            this.match = data.match ? { ...createMatchState(), ...data.match } : createMatchState();
+            this.match.rotations = { ...createMatchState().rotations, ...this.match.rotations };
+            this.roster = { ...createRoster(), ...data.roster };
+            this.lineups = { ...createLineups(), ...data.lineups };
+            
+            // Migrate older files: add explicit null jerseyNumber for lines without jersey numbers
+            let pointsMigrated = 0;
+            let teamMigrated = 0;
+            this.points.forEach(point => {
+                if (point.line && !point.hasOwnProperty('jerseyNumber')) {
+                    point.jerseyNumber = null;
+                    pointsMigrated++;
+                }
+                if (point.line && !point.hasOwnProperty('team')) {
+                    point.team = null;
+                    teamMigrated++;
+                }
+            });
+            
+            // Files saved before undoable commands store 'add'/'clear' actions
+            const stacks = Commands.fromLegacyStacks(this.points, data.undoStack || [], data.redoStack || []);
+            this.undoStack = stacks.undoStack;
+            this.redoStack = stacks.redoStack;
+            
+            // Migrate undo/redo stacks
+            const migrateStack = (stack) => {
+                let jerseyCount = 0;
+                let teamCount = 0;
+                stack.flatMap(command => Commands.getPoints(command)).forEach(point => {
+                    if (!point || !point.line) return;
+                    if (!point.hasOwnProperty('jerseyNumber')) {
+                        point.jerseyNumber = null;
+                        jerseyCount++;
+                    }
+                    if (!point.hasOwnProperty('team')) {
+                        point.team = null;
+                        teamCount++;
+                    }
+                });
+                return { jersey: jerseyCount, team: teamCount };
+            };
+            
+            const undoResults = migrateStack(this.undoStack);
+            const redoResults = migrateStack(this.redoStack);
+            const totalMigrated = pointsMigrated + undoResults.jersey + redoResults.jersey;
+            const totalTeamMigrated = teamMigrated + undoResults.team + redoResults.team;
+            
+            // Notify user if data was migrated
+            if (totalMigrated > 0 || totalTeamMigrated > 0) {
+                const messages = [];
+                
+                if (totalMigrated > 0) {
+                    Logger.info(`Migrated ${totalMigrated} line(s) to include jersey number tracking`);
+                    const parts = [];
+                    if (pointsMigrated > 0) parts.push(`${pointsMigrated} current`);
+                    if (undoResults.jersey > 0) parts.push(`${undoResults.jersey} undo`);
+                    if (redoResults.jersey > 0) parts.push(`${redoResults.jersey} redo`);
+                    messages.push(`${totalMigrated} charting line(s) migrated to include jersey number tracking (${parts.join(', ')})`);
+                }
+                
+                if (totalTeamMigrated > 0) {
+                    Logger.info(`Migrated ${totalTeamMigrated} line(s) to include team tracking`);
+                    messages.push(`${totalTeamMigrated} charting line(s) migrated to include team tracking`);
+                }
+                
+                this.migrationInfo = messages.length > 0 ? `File updated:\n${messages.join('\n')}` : null;
+            }
+            
+            this.isViewOnly = viewOnly;
+        }
+        
+        /**
+         * Reset session
+         * @param {string} name
+         * @param {string} mode
+         * @param {number} [passScale] - Highest pass rating, for passing mode
+         * @param {CourtTemplate} [court]
+         */
+        reset(name, mode, passScale = CONFIG.passing.defaultScale, court = CONFIG.courts.indoor) {
+            this.name = name || 'Untitled Session';
+            this.mode = mode || 'simpleHeatmap';
+            this.court = court;
+            this.passScale = passScale;
+            this.points = [];
+            this.match = createMatchState();
+            this.roster = createRoster();
+            this.lineups = createLineups();
+            this.undoStack = [];
+            this.redoStack = [];
+            this.isViewOnly = false;
+        }
+        
+        /**
+         * Replace the roster for both teams
+         * @param {Roster} roster
+         */
+        setRoster(roster) {
+            assert(Array.isArray(roster.us) && Array.isArray(roster.opp), 'Roster must have us/opp player arrays');
+            this.execute({ type: 'roster', before: this.roster, after: roster });
+        }
+        
+        /**
+         * Get a team's lineup for a set
+         * @param {string} team - 'us' or 'opp'
+         * @param {number} [setNumber] - Defaults to the current set
+         * @returns {Lineup|null}
+         */
+        getLineup(team, setNumber = this.match.setNumber) {
+            return this.lineups[team][setNumber] || null;
+        }
+        
+        /**
+         * Replace both teams' lineups for a set as one undo step
+         * @param {number} setNumber
+         * @param {{us: Lineup|null, opp: Lineup|null}} lineups - Null removes a team's lineup
+         */
+        setLineups(setNumber, lineups) {
+            const commands = ['us', 'opp'].map(team => {
+                const lineup = lineups[team];
+                assert(!lineup || (Array.isArray(lineup.starters) && lineup.starters.length === 6), 'Lineup must have 6 starters');
+                return { type: 'lineup', team, setNumber, before: this.getLineup(team, setNumber), after: lineup };
+            });
+            this.executeGroup(`Set ${setNumber} lineups`, commands);
+        }
+        
+        /**
+         * Export session data
+         * @returns {Object}
+         */
+        export() {
+            return {
+                version: CONFIG.version,
+                name: this.name,
+                mode: this.mode,
+                court: this.court,
+                passScale: this.passScale,
+                points: this.points,
+                match: this.match,
+                roster: this.roster,
+                lineups: this.lineups,
+                undoStack: this.undoStack,
+                redoStack: this.redoStack,
+                savedAt: new Date().toISOString()
+            };
+        }
+    }
+
+    // =====================================================
+    // GRID RENDERER CLASS
+    // =====================================================
+    
+    /**
+     * Handles all grid rendering operations
+     */
+    class GridRenderer {
+        /**
+         * @param {CanvasManager} canvasManager
+         * @param {GridGeometry} geometry
+         * @param {AppConfig} config
+         */
+        constructor(canvasManager, geometry, config) {
+            this.canvas = canvasManager;
+            this.geometry = geometry;
+            this.config = config;
+            this.ctx = canvasManager.ctx;
+            this.palette = getPalette('default'); // Set by HeatmapApp
+        }
+        
+        /**
+         * Draw the complete grid
+         */
+        draw() {
+            if (!this.ctx) {
+                console.error('Canvas context not available');
+                return;
+            }
+            this.canvas.clear();
+            this.drawBackgrounds();
+            this.drawGridLines();
+            this.drawShapes();
+            this.drawDashedLines();
+        }
+        
+        /**
+         * Draw background color zones
+         */
+        drawBackgrounds() {
+            const g = this.geometry;
+            
+            // Outside area (teal)
+            this.ctx.fillStyle = this.palette.court.outside;
+            this.ctx.fillRect(0, 0, g.canvasWidth, g.canvasHeight);
+            
+            if (g.hasTwoCourts) {
+                this.drawChartingBackgrounds();
+            } else {
+                this.drawSimpleHeatmapBackgrounds();
+            }
+        }
+        
+        /**
+         * Draw backgrounds for simple heatmap mode
+         */
+        drawSimpleHeatmapBackgrounds() {
+            const g = this.geometry;
+            
+            this.drawCourtBackground(g.innerStartY);
+            
+            // New rectangle (light gray)
+            this.ctx.fillStyle = this.palette.court.newRect;
+            this.ctx.fillRect(g.newRectX, g.newRectY, g.newRectWidth, g.newRectHeight);
+        }
+        
+        /**
+         * Draw backgrounds for charting mode
+         */
+        drawChartingBackgrounds() {
+            const g = this.geometry;
+            const centerY = g.centerLineY;
+            
+            // Bottom section (below center line)
+            this.drawCourtBackground(centerY);
+            
+            // Top section (above center line) - the opponent's court (gray)
+            this.ctx.fillStyle = this.palette.court.newRect;
+            this.ctx.fillRect(g.innerStart, centerY - g.innerDepth, g.innerWidth, g.innerDepth);
+        }
+        
+        /**
+         * Fill the bottom court with the court template's bands, from the net back
+         * @param {number} netY - Y of the net in pixels
+         */
+        drawCourtBackground(netY) {
+            const g = this.geometry;
+            let from = 0;
+            g.court.fills.forEach(fill => {
+                // Palette color names follow the palette; anything else is a CSS color
+                this.ctx.fillStyle = this.palette.court[fill.color] || fill.color;
+                this.ctx.fillRect(g.innerStart, netY + from * g.scale, g.innerWidth, (fill.to - from) * g.scale);
+                from = fill.to;
+            });
+        }
+        
+        /**
+         * Draw meter grid lines
+         */
+        drawGridLines() {
+            const g = this.geometry;
+            
+            this.ctx.strokeStyle = this.config.grid.gridLineColor;
+            this.ctx.lineWidth = this.config.grid.gridLineWidth;
+            this.ctx.setLineDash([]);
+            
+            // Horizontal lines (one per meter across the court and free zones)
+            for (let i = 0; i <= g.size; i++) {
+                const pos = i * g.scale;
+                this.ctx.beginPath();
+                this.ctx.moveTo(pos, 0);
+                this.ctx.lineTo(pos, g.canvasHeight);
+                this.ctx.stroke();
+            }
+            
+            // Vertical lines (height depends on mode)
+            const verticalGridSize = g.canvasHeight / g.scale;
+            for (let i = 0; i <= verticalGridSize; i++) {
+                const pos = i * g.scale;
+                this.ctx.beginPath();
+                this.ctx.moveTo(0, pos);
+                this.ctx.lineTo(g.canvasWidth, pos);
+                this.ctx.stroke();
+            }
+        }
+        
+        /**
+         * Draw main shapes (inner square, new rectangle, horizontal line)
+         */
+        drawShapes() {
+            const g = this.geometry;
+            
+            this.ctx.strokeStyle = this.palette.court.innerSquareBorder;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([]);
+            
+            if (g.hasTwoCourts) {
+                this.drawChartingShapes();
+            } else {
+                this.drawSimpleHeatmapShapes();
+            }
+        }
+        
+        /**
+         * Draw shapes for simple heatmap mode
+         */
+        drawSimpleHeatmapShapes() {
+            const g = this.geometry;
+            
+            // Inner square
+            this.ctx.strokeRect(g.innerStart, g.innerStartY, g.innerWidth, g.innerDepth);
+            
+            // New rectangle
+            this.ctx.strokeRect(g.newRectX, g.newRectY, g.newRectWidth, g.newRectHeight);
+            
+            // Attack line and zone lines
+            this.getCourtLineDepths().forEach(depth => this.drawCourtLine(g.centerLineY + depth));
+        }
+        
+        /**
+         * Draw shapes for charting mode
+         */
+        drawChartingShapes() {
+            const g = this.geometry;
+            const centerY = g.centerLineY;
+            
+            // Bottom court
+            this.ctx.strokeRect(g.innerStart, centerY, g.innerWidth, g.innerDepth);
+            
+            // Top court (mirrored)
+            this.ctx.strokeRect(g.innerStart, centerY - g.innerDepth, g.innerWidth, g.innerDepth);
+            
+            // Attack lines and zone lines on both sides of the net
+            this.getCourtLineDepths().forEach(depth => {
+                this.drawCourtLine(centerY + depth);
+                this.drawCourtLine(centerY - depth);
+            });
+        }
+        
+        /**
+         * Get where the court template's attack line and zone lines cross the court
+         * @returns {number[]} Distances from the net in pixels
+         */
+        getCourtLineDepths() {
+            const g = this.geometry;
+            const lines = g.hasAttackLine ? [g.court.attackLine, ...g.court.zoneLines] : g.court.zoneLines;
+            return lines.map(meters => meters * g.scale);
+        }
+        
+        /**
+         * Draw a line across the court between the sidelines
+         * @param {number} y - Y coordinate in pixels
+         */
+        drawCourtLine(y) {
+            const g = this.geometry;
+            this.ctx.beginPath();
+            this.ctx.moveTo(g.innerStart, y);
+            this.ctx.lineTo(g.innerEnd, y);
+            this.ctx.stroke();
+        }
+        
+        /**
+         * Draw dashed lines with circles
+         */
+        drawDashedLines() {
+            this.drawCenterLine();
+            this.drawAttackLineExtensions();
+            if (this.geometry.mode === 'serving') {
+                this.drawServiceZone();
+            }
+        }
+        
+        /**
+         * Draw the sideline extensions that bound the service zone behind the bottom end line
+         */
+        drawServiceZone() {
+            const g = this.geometry;
+            
+            this.ctx.strokeStyle = this.palette.court.dashedLine;
+            this.ctx.lineWidth = this.config.drawing.dashedLineStroke;
+            this.ctx.setLineDash([this.config.drawing.dashLength, this.config.drawing.dashLength]);
+            
+            [g.innerStart, g.innerEnd].forEach(x => {
+                this.ctx.beginPath();
+                this.ctx.moveTo(x, g.innerEndY);
+                this.ctx.lineTo(x, g.canvasHeight);
+                this.ctx.stroke();
+            });
+            
+            this.ctx.setLineDash([]);
+        }
+        
+        /**
+         * Draw center line between rectangles
+         */
+        drawCenterLine() {
+            const g = this.geometry;
+            
+            this.ctx.strokeStyle = this.palette.court.dashedLine;
+            this.ctx.lineWidth = this.config.drawing.dashedLineStroke;
+            this.ctx.setLineDash([this.config.drawing.dashLength, this.config.drawing.dashLength]);
+            
+            this.ctx.beginPath();
+            this.ctx.moveTo(g.centerLineX1, g.centerLineY);
+            this.ctx.lineTo(g.centerLineX2, g.centerLineY);
+            this.ctx.stroke();
+            
+            // Draw circles at ends
+            this.ctx.setLineDash([]);
+            this.ctx.fillStyle = this.palette.court.dashedLine;
+            const radius = (this.config.drawing.circleDiameter / 2) * this.config.drawing.circleScale;
+            
+            this.ctx.beginPath();
+            this.ctx.arc(g.centerLineX1, g.centerLineY, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            this.ctx.beginPath();
+            this.ctx.arc(g.centerLineX2, g.centerLineY, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        
+        /**
+         * Draw attack line extensions
+         */
+        drawAttackLineExtensions() {
+            const g = this.geometry;
+            if (!g.hasAttackLine) return;
+            
+            this.ctx.strokeStyle = this.palette.court.dashedLine;
+            this.ctx.lineWidth = this.config.drawing.dashedLineStroke;
+            this.ctx.setLineDash([this.config.drawing.dashLength, this.config.drawing.dashLength]);
+            
+            // Both attack lines with two courts, the bottom one otherwise
+            const attackLineYs = g.hasTwoCourts
+                ? [g.centerLineY + g.frontRowDepth, g.centerLineY - g.frontRowDepth]
+                : [g.horizontalLineY];
+            
+            attackLineYs.forEach(y => {
+                // Left extension
+                this.ctx.beginPath();
+                this.ctx.moveTo(g.innerStart - g.attackLineExtensionLength, y);
+                this.ctx.lineTo(g.innerStart, y);
+                this.ctx.stroke();
+                
+                // Right extension
+                this.ctx.beginPath();
+                this.ctx.moveTo(g.innerEnd + g.attackLineExtensionLength, y);
+                this.ctx.lineTo(g.innerEnd, y);
+                this.ctx.stroke();
+            });
+            
+            this.ctx.setLineDash([]);
+        }
+    }
+
+    // =====================================================
+    // HEATMAP WORKER
+    // =====================================================
+    
+    /**
+     * Handle render requests in the heatmap worker. Clouds are drawn with gradients on an
+     * OffscreenCanvas where the browser has one, and into image data otherwise.
+     * @param {DedicatedWorkerGlobalScope} scope
+     */
+    function heatmapWorkerMain(scope) {
+        scope.onmessage = event => {
+            const { id, job } = event.data;
+            try {
+                if (job.style === 'clouds' && typeof OffscreenCanvas !== 'undefined') {
+                    const canvas = new OffscreenCanvas(Math.round(job.width * job.ratio), Math.round(job.height * job.ratio));
+                    const ctx = canvas.getContext('2d');
+                    const { zoom, panX, panY } = job.view;
+                    const scale = job.ratio * zoom;
+                    ctx.setTransform(scale, 0, 0, scale, -panX * scale, -panY * scale);
+                    drawClouds(ctx, job.layers);
+                    const bitmap = canvas.transferToImageBitmap();
+                    scope.postMessage({ id, bitmap, scaleMaxes: [] }, [bitmap]);
+                    return;
+                }
+                const { image, scaleMaxes } = rasterizeHeatmap(job);
+                scope.postMessage({ id, image, scaleMaxes }, [image.data.buffer]);
+            } catch (error) {
+                scope.postMessage({ id, error: error.message });
+            }
+        };
+    }
+    
+    /**
+     * Build the heatmap worker's script from the rasterization functions, so the worker
+     * and the main thread run the same code
+     * @returns {string}
+     */
+    function createHeatmapWorkerSource() {
+        const functions = [
+            assert,
+            interpolateColorStops,
+            getPassQualityRgb,
+            computeDensityGrid,
+            computeDensityDifference,
+            getViewGrid,
+            createRasterImage,
+            blendPixel,
+            blendCell,
+            rasterizeDensity,
+            rasterizeDifference,
+            rasterizePassQuality,
+            drawClouds,
+            rasterizeClouds,
+            rasterizeHeatmap,
+            heatmapWorkerMain
+        ];
+        return [
+            `'use strict';`,
+            `const CONFIG = ${JSON.stringify(CONFIG)};`,
+            ...functions.map(fn => fn.toString()),
+            'heatmapWorkerMain(self);'
+        ].join('\n\n');
+    }
+    
+    /**
+     * Renders heatmap layers in a Web Worker, one at a time. A new render cancels the one
+     * in progress; a worker can't be interrupted, so it is replaced.
+     */
+    class HeatmapWorker {
+        /**
+         * Start a heatmap worker, if the browser allows it
+         * @returns {HeatmapWorker|null}
+         */
+        static create() {
+            if (typeof Worker === 'undefined' || typeof Blob === 'undefined') return null;
+            try {
+                return new HeatmapWorker();
+            } catch (error) {
+                Logger.warn('Heatmap worker not available, drawing on the main thread:', error);
+                return null;
+            }
+        }
+        
+        /**
+         * @throws {Error} If the worker can't be started (e.g. blocked by a content security policy)
+         */
         constructor() {
-            this.name = '';
-            this.mode = 'simpleHeatmap'; // 'simpleHeatmap' or 'heatmapCharting'
-            this.points = [];
-            this.undoStack = [];
-            this.redoStack = [];
-            this.isViewOnly = false;
-            this.migrationInfo = null; // Store migration messages for user notification
-            // trackRotation is managed by HeatmapApp, not stored in session state
+            const source = new Blob([createHeatmapWorkerSource()], { type: 'text/javascript' });
+            this.url = URL.createObjectURL(source);
+            this.worker = null;
+            this.pending = null; // {id, resolve, reject} of the render in progress
+            this.nextId = 1;
+            this.start();
+        }
+        
+        start() {
+            this.worker = new Worker(this.url);
+            this.worker.onmessage = event => this.handleMessage(event.data);
+            this.worker.onerror = event => {
+                event.preventDefault();
+                this.fail(new Error(event.message || 'Heatmap worker error'));
+            };
+        }
+        
+        /**
+         * Render a heatmap layer
+         * @param {HeatmapJob} job
+         * @returns {Promise<{image: (RasterImage|undefined), bitmap: (ImageBitmap|undefined), scaleMaxes: number[]}|null>}
+         *     The layer, or null if a newer render cancelled this one
+         */
+        render(job) {
+            this.cancel();
+            return new Promise((resolve, reject) => {
+                const id = this.nextId++;
+                this.pending = { id, resolve, reject };
+                this.worker.postMessage({ id, job });
+            });
+        }
+        
+        /**
+         * @returns {boolean} True while a render is in progress
+         */
+        isBusy() {
+            return this.pending !== null;
+        }
+        
+        /**
+         * Stop the render in progress, if any
+         */
+        cancel() {
+            if (!this.pending) return;
+            const { resolve } = this.pending;
+            this.pending = null;
+            this.worker.terminate();
+            this.start();
+            resolve(null);
+        }
+        
+        /**
+         * @param {{id: number, error: (string|undefined)}} data
+         */
+        handleMessage(data) {
+            if (!this.pending || data.id !== this.pending.id) return;
+            if (data.error) {
+                this.fail(new Error(data.error));
+                return;
+            }
+            const { resolve } = this.pending;
+            this.pending = null;
+            resolve(data);
+        }
+        
+        /**
+         * @param {Error} error
+         */
+        fail(error) {
+            if (!this.pending) return;
+            const { reject } = this.pending;
+            this.pending = null;
+            reject(error);
+        }
+        
+        terminate() {
+            const pending = this.pending;
+            this.pending = null;
+            this.worker.terminate();
+            URL.revokeObjectURL(this.url);
+            if (pending) pending.resolve(null);
+        }
+    }
+
+    // =====================================================
+    // HEATMAP RENDERER CLASS
+    // =====================================================
+    
+    /**
+     * Handles heatmap cloud and dot rendering
+     */
+    class HeatmapRenderer {
+        /**
+         * @param {CanvasManager} heatmapCanvas
+         * @param {CanvasManager} overlayCanvas
+         * @param {AppConfig} config
+         */
+        constructor(heatmapCanvas, overlayCanvas, config) {
+            this.heatmapCanvas = heatmapCanvas;
+            this.overlayCanvas = overlayCanvas;
+            this.config = config;
+            // The heatmap is drawn offscreen for the current view and copied to its canvas, so it
+            // is only redrawn when its points, settings or the view change, not for every new line
+            this.heatmapLayer = new CanvasManager(document.createElement('canvas'));
+            this.heatmapCtx = this.heatmapLayer.ctx;
+            this.overlayCtx = overlayCanvas.ctx;
+            this.layerState = null; // What the heatmap layer shows, or will once the worker is done: {key, comparison, sets}
+            this.overlayState = null; // What the overlay canvas shows: {key, roster, generation, points, hasSelection}
+            this.roster = createRoster(); // Used to add player names to labels (set by HeatmapApp)
+            this.selection = null; // PointHit of the selected point, highlighted on redraw (set by HeatmapApp)
+            this.passScale = null; // Highest pass rating in passing mode, null otherwise (set by HeatmapApp)
+            this.geometry = null; // GridGeometry of the session (set by HeatmapApp)
+            this.density = null; // DensityOptions for the density style, null for clouds (set by HeatmapApp)
+            this.densityScaleMax = {}; // Density at the top of each source's color scale in the last redraw, for the legend
+            this.heatmapSource = 'landing'; // 'landing', 'origin' or 'both' for lines (set by HeatmapApp)
+            /** @type {Comparison|null} */
+            this.comparison = null; // Sets to draw a difference map of, in place of the heatmap (set by HeatmapApp)
+            this.differenceScaleMax = 0; // Largest difference in the last difference map, for the legend
+            this.palette = getPalette('default'); // Set by HeatmapApp
+            /** @type {HeatmapWorker|null} */
+            this.worker = null; // Draws the heatmap layer off the main thread; null to draw it here (set by HeatmapApp)
+            this.onLayerDrawn = null; // Called after the worker's layer is shown, e.g. to update legends (set by HeatmapApp)
+        }
+        
+        /**
+         * Get the position sets the heatmap is drawn from. Lines can be shown at their
+         * landing (the point position), their origin (the line start), or both; points
+         * without a line only have a landing.
+         * @param {Point[]} points - Filtered points
+         * @returns {Array<{source: string, positions: Array<{x: number, y: number}>, cloudStops: Object[], colorStops: ColorStop[]}>}
+         */
+        getHeatmapLayers(points) {
+            const source = this.geometry && this.geometry.hasTwoCourts ? this.heatmapSource : 'landing';
+            const layers = [];
+            // Origins go underneath so landings stay on top when both are shown
+            if (source !== 'landing') {
+                layers.push({
+                    source: 'origin',
+                    positions: points.filter(point => point.line).map(point => ({ x: point.line.startX, y: point.line.startY })),
+                    cloudStops: this.palette.originCloudStops,
+                    colorStops: this.palette.originDensityStops
+                });
+            }
+            if (source !== 'origin') {
+                layers.push({
+                    source: 'landing',
+                    positions: points.map(point => ({ x: point.x, y: point.y })),
+                    cloudStops: this.palette.cloudStops,
+                    colorStops: this.palette.densityStops
+                });
+            }
+            return layers;
+        }
+        
+        /**
+         * Get the color for a pass quality
+         * @param {number} quality - Pass rating as a fraction of the highest rating (0-1)
+         * @param {number} [alpha]
+         * @returns {string}
+         */
+        getPassQualityColor(quality, alpha = 1) {
+            const color = getPassQualityRgb(quality);
+            return `rgba(${color[0]}, ${color[1]}, ${color[2]}, ${alpha})`;
+        }
+        
+        /**
+         * Draw a pass as a dot in its rating's color
+         * @param {Point} point
+         * @param {number} maxRating
+         */
+        drawPassMarker(point, maxRating) {
+            const ctx = this.overlayCtx;
+            ctx.fillStyle = this.getPassQualityColor(point.passRating / maxRating);
+            ctx.strokeStyle = this.config.drawing.dotColor;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, this.config.drawing.markerSize, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+        
+        /**
+         * Get the line/label color for a team
+         * @param {string|null} team - 'us', 'opp' or null
+         * @returns {string}
+         */
+        getTeamColor(team) {
+            if (team === 'us') return this.palette.teamColors.us;
+            if (team === 'opp') return this.palette.teamColors.opp;
+            return this.palette.teamColors.noTeam;
+        }
+        
+        /**
+         * Draw a dot at position
+         * @param {number} x
+         * @param {number} y
+         */
+        drawDot(x, y) {
+            this.overlayCtx.fillStyle = this.config.drawing.dotColor;
+            this.overlayCtx.beginPath();
+            this.overlayCtx.arc(x, y, this.config.drawing.dotRadius, 0, Math.PI * 2);
+            this.overlayCtx.fill();
+        }
+        
+        /**
+         * Draw a line from start to end position
+         * @param {number} startX
+         * @param {number} startY
+         * @param {number} endX
+         * @param {number} endY
+         * @param {string|null} team - 'us', 'opp' or null
+         * @param {number[]} [dash] - Line dash pattern (empty for solid)
+         */
+        drawLine(startX, startY, endX, endY, team, dash = []) {
+            this.overlayCtx.strokeStyle = this.getTeamColor(team);
+            this.overlayCtx.lineWidth = this.config.drawing.chartingLineWidth;
+            this.overlayCtx.setLineDash(dash);
+            this.overlayCtx.beginPath();
+            this.overlayCtx.moveTo(startX, startY);
+            this.overlayCtx.lineTo(endX, endY);
+            this.overlayCtx.stroke();
+            this.overlayCtx.setLineDash([]);
         }
         
         /**
-         * Trim undo stack to maximum size if auto-trim is enabled
+         * Get the line dash pattern for a point's skill type, or serve type for serves
+         * @param {{skillType: (string|null|undefined), serveType: (string|null|undefined)}} tags - A point or the tags assigned to the next one
+         * @returns {number[]} Dash pattern (empty for solid)
          */
-        trimUndoStack() {
-            const maxSize = CONFIG.validation.maxUndoStackSize;
-            const autoTrim = CONFIG.validation.autoTrimUndoStack;
-            
-            if (autoTrim && maxSize > 0 && this.undoStack.length > maxSize) {
-                // Remove oldest entries
-                this.undoStack = this.undoStack.slice(-maxSize);
-            }
+        getLineDash(tags) {
+            const typeConfig = this.config.skillTypes.find(t => t.id === tags.skillType) ||
+                this.config.serving.serveTypes.find(t => t.id === tags.serveType);
+            return typeConfig ? typeConfig.dash : [];
         }
         
         /**
-         * Trim redo stack to maximum size if auto-trim is enabled
+         * Draw the marker for a point's outcome, or serve result for serves
+         * @param {Point} point
          */
-        trimRedoStack() {
-            const maxSize = CONFIG.validation.maxUndoStackSize;
-            const autoTrim = CONFIG.validation.autoTrimUndoStack;
-            
-            if (autoTrim && maxSize > 0 && this.redoStack.length > maxSize) {
-                // Remove oldest entries
-                this.redoStack = this.redoStack.slice(-maxSize);
+        drawOutcomeMarker(point) {
+            const outcomeConfig = this.config.outcomes.find(o => o.id === point.outcome) ||
+                this.config.serving.results.find(r => r.id === point.serveResult);
+            if (!outcomeConfig) return;
+            
+            const { x, y, team } = point;
+            const ctx = this.overlayCtx;
+            const size = this.config.drawing.markerSize;
+            
+            ctx.strokeStyle = this.getTeamColor(team);
+            ctx.lineWidth = this.config.drawing.markerLineWidth;
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            
+            switch (outcomeConfig.marker) {
+                case 'cross':
+                    ctx.moveTo(x - size, y - size);
+                    ctx.lineTo(x + size, y + size);
+                    ctx.moveTo(x + size, y - size);
+                    ctx.lineTo(x - size, y + size);
+                    break;
+                case 'ring':
+                    ctx.arc(x, y, size, 0, Math.PI * 2);
+                    break;
+                case 'square':
+                    ctx.rect(x - size, y - size, size * 2, size * 2);
+                    break;
+                case 'triangle':
+                    ctx.moveTo(x, y - size);
+                    ctx.lineTo(x + size, y + size);
+                    ctx.lineTo(x - size, y + size);
+                    ctx.closePath();
+                    break;
+                case 'diamond':
+                    ctx.moveTo(x, y - size);
+                    ctx.lineTo(x + size, y);
+                    ctx.lineTo(x, y + size);
+                    ctx.lineTo(x - size, y);
+                    ctx.closePath();
+                    break;
+                default:
+                    Logger.warn('Unknown outcome marker:', outcomeConfig.marker);
+                    return;
             }
+            
+            ctx.stroke();
         }
         
         /**
-         * Add a point to the session
-         * @param {Point} point
+         * Draw a jersey number with rotation at position
+         * @param {string} jerseyNumber - Jersey number label (may include the player name)
+         * @param {number} rotation
+         * @param {number} x
+         * @param {number} y
+         * @param {number} endX
+         * @param {number} endY
          */
-        addPoint(point) {
-            assert(point && typeof point === 'object', 'Point must be an object');
-            assert(typeof point.x === 'number' && typeof point.y === 'number', 'Point must have numeric x/y');
-            assert(typeof point.rotation === 'number', 'Point must have rotation');
+        drawJerseyNumber(jerseyNumber, rotation, x, y, endX, endY, team) {
+            this.overlayCtx.font = this.config.drawing.numberFont;
+            this.overlayCtx.fillStyle = this.getTeamColor(team);
+            this.overlayCtx.textBaseline = 'middle'; // Center vertically by default
             
-            this.points.push(point);
-            this.undoStack.push({ action: 'add', point });
-            this.trimUndoStack();
-            this.redoStack = [];
+            // Create display text with rotation suffix
+            let displayText = '';
+            if (jerseyNumber && rotation) {
+                displayText = `${jerseyNumber} - R${rotation}`;
+            } else if (jerseyNumber && !rotation) {
+                displayText = `${jerseyNumber}`;
+            } else if (!jerseyNumber && rotation) {
+                displayText = `R${rotation}`;
+            } else {
+                displayText = '';
+            }
+            if (!displayText) return;
+            
+            // Calculate line direction
+            const dx = endX - x;
+            const dy = endY - y;
+            const absDx = Math.abs(dx);
+            const absDy = Math.abs(dy);
+            
+            let textX, textY;
+            
+            // Determine if line is primarily vertical or horizontal
+            if (absDy > absDx * 2) {
+                // Vertical line (more than 2:1 ratio)
+                this.overlayCtx.textAlign = 'center';
+                textX = x;
+                if (dy > 0) {
+                    // Drawing downward - place above
+                    textY = y + this.config.drawing.numberOffsetY;
+                } else {
+                    // Drawing upward - place below
+                    textY = y - this.config.drawing.numberOffsetY;
+                }
+            } else if (absDx > absDy * 2) {
+                // Horizontal line (more than 2:1 ratio)
+                textY = y; // Center vertically
+                if (dx > 0) {
+                    // Drawing to the right - place on left
+                    this.overlayCtx.textAlign = 'right';
+                    textX = x - this.config.drawing.numberOffsetX;
+                } else {
+                    // Drawing to the left - place on right
+                    this.overlayCtx.textAlign = 'left';
+                    textX = x + this.config.drawing.numberOffsetX;
+                }
+            } else {
+                // Diagonal line - offset opposite to the direction of the line
+                this.overlayCtx.textAlign = 'center';
+                
+                // Offset in the opposite direction of the line
+                if (dx > 0 && dy > 0) {
+                    // Line goes down-right, offset up-left
+                    textX = x - this.config.drawing.numberOffsetX;
+                    textY = y + this.config.drawing.numberOffsetY;
+                } else if (dx < 0 && dy > 0) {
+                    // Line goes down-left, offset up-right
+                    textX = x + this.config.drawing.numberOffsetX;
+                    textY = y + this.config.drawing.numberOffsetY;
+                } else if (dx > 0 && dy < 0) {
+                    // Line goes up-right, offset down-left
+                    textX = x - this.config.drawing.numberOffsetX;
+                    textY = y - this.config.drawing.numberOffsetY;
+                } else {
+                    // Line goes up-left, offset down-right
+                    textX = x + this.config.drawing.numberOffsetX;
+                    textY = y - this.config.drawing.numberOffsetY;
+                }
+            }
+            
+            this.overlayCtx.fillText(displayText, textX, textY);
+            
+            // Reset to defaults
+            this.overlayCtx.textAlign = 'left';
+            this.overlayCtx.textBaseline = 'alphabetic';
         }
         
         /**
-         * Remove the last point
-         * @returns {Point|null}
+         * Redraw all points. Layers are only redrawn when the points they show or their
+         * settings changed; points added at the end are drawn on top of what is there.
+         * @param {Point[]} points
+         * @param {PointFilters|null} filters - Optional filters; points that do not match are skipped
+         * @param {boolean} showLines - Whether to show lines and jersey numbers
          */
-        removeLastPoint() {
-            return this.points.pop() || null;
+        redrawAll(points, filters = null, showLines = true) {
+            if (!this.heatmapCtx || !this.overlayCtx) {
+                console.error('Canvas contexts not available');
+                return;
+            }
+            
+            const filtered = points.filter(point => pointMatchesFilters(point, filters));
+            let shown = filtered;
+            let heatmapSets;
+            if (this.comparison) {
+                // A comparison draws its difference map, with the lines and dots of both sets over it
+                const setA = getComparisonPoints(this.comparison.a, points, filters);
+                const setB = getComparisonPoints(this.comparison.b, points, filters);
+                const compared = new Set([...setA, ...setB]);
+                shown = points.filter(point => compared.has(point));
+                heatmapSets = [setA, setB];
+            } else if (this.passScale) {
+                // Passing mode colors the heatmap by pass quality instead of stacking clouds
+                heatmapSets = [filtered.filter(isPass)];
+            } else {
+                heatmapSets = [filtered];
+            }
+            
+            this.updateHeatmapLayer(heatmapSets);
+            this.heatmapCanvas.clear();
+            this.heatmapCanvas.drawBackingImage(this.heatmapLayer.canvas);
+            
+            this.updateOverlay(points, shown, showLines);
         }
         
         /**
-         * Clear all points
+         * Get the settings the heatmap layer is drawn with, other than its points
+         * @returns {string}
          */
-        clearAllPoints() {
-            if (this.points.length > 0) {
-                this.undoStack.push({ action: 'clear', points: [...this.points] });
-                this.trimUndoStack();
-                this.redoStack = [];
-            }
-            this.points = [];
+        getHeatmapKey() {
+            return JSON.stringify({
+                palette: this.palette.id,
+                passScale: this.passScale,
+                density: this.density,
+                source: this.heatmapSource,
+                hasTwoCourts: !!(this.geometry && this.geometry.hasTwoCourts),
+                view: this.heatmapLayer.view
+            });
         }
         
         /**
-         * Undo last action
-         * @returns {boolean} True if undo was successful
+         * Bring the offscreen heatmap layer up to date
+         * @param {Point[][]} sets - Points the heatmap is drawn from: sets A and B of a comparison, or one set
          */
-        undo() {
-            if (this.undoStack.length === 0) return false;
+        updateHeatmapLayer(sets) {
+            const layer = this.heatmapLayer;
+            const canvas = this.heatmapCanvas;
+            if (layer.width !== canvas.width || layer.height !== canvas.height || layer.ratio !== canvas.ratio) {
+                layer.resize(canvas.width, canvas.height, canvas.displayScale);
+                this.layerState = null;
+            }
+            if (layer.view !== canvas.view) {
+                // The layer is drawn for the view, so zoomed-in clouds are sharp. A worker
+                // render takes a while, so until then the old layer moves with the view.
+                if (this.worker) {
+                    layer.moveToView(canvas.view);
+                } else {
+                    layer.setView(canvas.view);
+                }
+            }
             
-            const action = this.undoStack.pop();
-            this.redoStack.push(action);
-            this.trimRedoStack();
+            const key = this.getHeatmapKey();
+            const cached = this.layerState;
+            let change = 'changed';
+            if (cached && cached.key === key && cached.comparison === this.comparison) {
+                const changes = sets.map((set, i) => getPointListChange(cached.sets[i], set));
+                if (changes.every(c => c === 'same')) {
+                    change = 'same';
+                } else if (sets.length === 1 && changes[0] === 'appended') {
+                    change = 'appended';
+                }
+            }
+            this.layerState = { key, comparison: this.comparison, sets };
             
-            if (action.action === 'add') {
-                this.points.pop();
-            } else if (action.action === 'clear') {
-                this.points = [...action.points];
+            if (change === 'same') return;
+            
+            // New clouds can go on top, unless the worker is still drawing the layer;
+            // every other style depends on all the points
+            const stacksClouds = !this.comparison && !this.passScale && !this.density;
+            if (change === 'appended' && stacksClouds && !(this.worker && this.worker.isBusy())) {
+                const layers = this.getHeatmapLayers(sets[0].slice(cached.sets[0].length));
+                if (layers.length === 1) {
+                    drawClouds(this.heatmapCtx, layers);
+                    return;
+                }
             }
             
-            return true;
+            const job = this.createHeatmapJob(sets);
+            if (this.worker) {
+                this.requestLayer(job);
+            } else {
+                this.drawLayer(job);
+            }
         }
         
         /**
-         * Redo last undone action
-         * @returns {boolean} True if redo was successful
+         * Describe the heatmap layer for the current settings
+         * @param {Point[][]} sets - As for updateHeatmapLayer
+         * @returns {HeatmapJob}
          */
-        redo() {
-            if (this.redoStack.length === 0) return false;
-            
-            const action = this.redoStack.pop();
-            this.undoStack.push(action);
-            this.trimUndoStack();
-            
-            if (action.action === 'add') {
-                this.points.push(action.point);
-            } else if (action.action === 'clear') {
-                this.points = [];
+        createHeatmapJob(sets) {
+            const toPositions = points => points.map(point => ({ x: point.x, y: point.y, passRating: point.passRating }));
+            let style;
+            let layers;
+            if (this.comparison) {
+                style = 'difference';
+                layers = sets.map(set => ({ positions: toPositions(set) }));
+            } else if (this.passScale) {
+                style = 'passQuality';
+                layers = [{ positions: toPositions(sets[0]) }];
+            } else {
+                style = this.density ? 'density' : 'clouds';
+                layers = this.getHeatmapLayers(sets[0]);
             }
-            
-            return true;
+            return {
+                style,
+                width: this.heatmapLayer.width,
+                height: this.heatmapLayer.height,
+                ratio: this.heatmapLayer.ratio,
+                view: this.heatmapLayer.view,
+                scale: this.geometry.scale,
+                bandwidth: this.density ? this.density.bandwidth : this.config.density.bandwidth.default,
+                fixedMax: this.density && this.density.scale === 'fixed' ? this.density.fixedMax : null,
+                maxRating: this.passScale,
+                layers
+            };
         }
         
         /**
-         * Check if undo is available
-         * @returns {boolean}
+         * Draw the heatmap layer on the main thread
+         * @param {HeatmapJob} job
          */
-        canUndo() {
-            return this.undoStack.length > 0;
+        drawLayer(job) {
+            this.heatmapLayer.clear();
+            if (job.style === 'clouds') {
+                drawClouds(this.heatmapCtx, job.layers);
+                this.setScaleMaxes(job, []);
+                return;
+            }
+            const { image, scaleMaxes } = rasterizeHeatmap(job);
+            this.heatmapLayer.drawImageData(image, true);
+            this.setScaleMaxes(job, scaleMaxes);
         }
-    
-        // Rotation tracking is controlled by HeatmapApp
         
         /**
-         * Check if redo is available
-         * @returns {boolean}
+         * Draw the heatmap layer in the worker, and show it when it is done. The layer
+         * on screen stays until then, so the page keeps responding with large sessions.
+         * @param {HeatmapJob} job
          */
-        canRedo() {
-            return this.redoStack.length > 0;
+        requestLayer(job) {
+            const worker = this.worker;
+            worker.render(job).then(result => {
+                if (!result) return; // A newer render replaced this one
+                this.heatmapLayer.clear();
+                // The layer comes back drawn for the view
+                if (result.bitmap) {
+                    this.heatmapLayer.drawBackingImage(result.bitmap);
+                    result.bitmap.close();
+                } else {
+                    this.heatmapLayer.drawImageData(result.image, true);
+                }
+                this.setScaleMaxes(job, result.scaleMaxes);
+                this.showLayer();
+            }).catch(error => {
+                Logger.warn('Heatmap worker failed, drawing on the main thread:', error);
+                if (this.worker === worker) {
+                    worker.terminate();
+                    this.worker = null;
+                }
+                this.drawLayer(job);
+                this.showLayer();
+            });
         }
         
         /**
-         * Get point count
-         * @returns {number}
+         * Copy a layer finished by the worker to the screen
          */
-        getPointCount() {
-            return this.points.length;
+        showLayer() {
+            this.heatmapCanvas.clear();
+            this.heatmapCanvas.drawBackingImage(this.heatmapLayer.canvas);
+            if (this.onLayerDrawn) this.onLayerDrawn();
         }
         
         /**
-         * Get all points
-         * @returns {Point[]}
+         * Keep the tops of the color scales for the legends
+         * @param {HeatmapJob} job
+         * @param {number[]} scaleMaxes - From rasterizeHeatmap
          */
-        getPoints() {
-            return [...this.points];
+        setScaleMaxes(job, scaleMaxes) {
+            this.densityScaleMax = {};
+            if (job.style === 'density') {
+                scaleMaxes.forEach((scaleMax, i) => {
+                    this.densityScaleMax[job.layers[i].source] = scaleMax;
+                });
+            } else if (job.style === 'difference') {
+                this.differenceScaleMax = scaleMaxes[0];
+            }
         }
         
         /**
-         * Load session data
-         * @param {Object} data
-         * @param {boolean} viewOnly
+         * Bring the lines, dots, markers and labels on the overlay canvas up to date
+         * @param {Point[]} points - All points, which the selection indexes
+         * @param {Point[]} shown - Points to draw, in order
+         * @param {boolean} showLines
          */
-        load(data, viewOnly) {
-            this.name = data.name || 'Loaded Session';
-            this.mode = data.mode;
-            this.points = data.points || [];
-            
-            // Migrate older files: add explicit null jerseyNumber for lines without jersey numbers
-            let pointsMigrated = 0;
-            let teamMigrated = 0;
-            this.points.forEach(point => {
-                if (point.line && !point.hasOwnProperty('jerseyNumber')) {
-                    point.jerseyNumber = null;
-                    pointsMigrated++;
-                }
-                if (point.line && !point.hasOwnProperty('team')) {
-                    point.team = null;
-                    teamMigrated++;
-                }
-            });
-            
-            this.undoStack = data.undoStack || [];
-            this.redoStack = data.redoStack || [];
-            
-            // Migrate undo/redo stacks
-            const migrateStack = (stack) => {
-                if (!stack || !Array.isArray(stack)) return { jersey: 0, team: 0 };
-                let jerseyCount = 0;
-                let teamCount = 0;
-                stack.forEach(action => {
-                    if (action.action === 'add' && action.point) {
-                        if (action.point.line && !action.point.hasOwnProperty('jerseyNumber')) {
-                            action.point.jerseyNumber = null;
-                            jerseyCount++;
-                        }
-                        if (action.point.line && !action.point.hasOwnProperty('team')) {
-                            action.point.team = null;
-                            teamCount++;
-                        }
-                    } else if (action.action === 'clear' && action.points) {
-                        action.points.forEach(point => {
-                            if (point.line && !point.hasOwnProperty('jerseyNumber')) {
-                                point.jerseyNumber = null;
-                                jerseyCount++;
-                            }
-                            if (point.line && !point.hasOwnProperty('team')) {
-                                point.team = null;
-                                teamCount++;
-                            }
-                        });
-                    }
-                });
-                return { jersey: jerseyCount, team: teamCount };
-            };
-            
-            const undoResults = migrateStack(this.undoStack);
-            const redoResults = migrateStack(this.redoStack);
-            pointsMigrated += undoResults.jersey + redoResults.jersey;
-            teamMigrated += undoResults.team + redoResults.team;ults.jersey;
-            const totalTeamMigrated = teamMigrated;
+        updateOverlay(points, shown, showLines) {
+            const key = JSON.stringify({ showLines, palette: this.palette.id, passScale: this.passScale });
+            const selected = this.selection && points[this.selection.index];
+            const hasSelection = !!selected && shown.includes(selected);
+            const cached = this.overlayState;
+            const change = cached && cached.key === key && cached.roster === this.roster &&
+                cached.generation === this.overlayCanvas.generation && !cached.hasSelection && !hasSelection
+                ? getPointListChange(cached.points, shown)
+                : 'changed';
+            this.overlayState = { key, roster: this.roster, generation: this.overlayCanvas.generation, points: shown, hasSelection };
+            
+            if (change === 'same') return;
+            if (change === 'appended') {
+                shown.slice(cached.points.length).forEach(point => this.drawPointMarks(point, showLines));
+                return;
+            }
             
-            // Notify user if data was migrated
-            if (totalMigrated > 0 || totalTeamMigrated > 0) {
-                const messages = [];
-                
-                if (totalMigrated > 0) {
-                    Logger.info(`Migrated ${totalMigrated} line(s) to include jersey number tracking`);
-                    const parts = [];
-                    if (pointsMigrated > 0) parts.push(`${pointsMigrated} current`);
-                    if (undoResults.jersey > 0) parts.push(`${undoResults.jersey} undo`);
-                    if (redoResults.jersey > 0) parts.push(`${redoResults.jersey} redo`);
-                    messages.push(`${totalMigrated} charting line(s) migrated to include jersey number tracking (${parts.join(', ')})`);
-                }
-                
-                if (totalTeamMigrated > 0) {
-                    Logger.info(`Migrated ${totalTeamMigrated} line(s) to include team tracking`);
-                    messages.push(`${totalTeamMigrated} charting line(s) migrated to include team tracking`);
+            this.overlayCanvas.clear();
+            shown.forEach(point => this.drawPointMarks(point, showLines));
+            if (hasSelection) {
+                this.drawSelection(selected, this.selection.handle, showLines);
+            }
+        }
+        
+        /**
+         * Draw a point's line, label, dot and marker, or its rating marker for a pass
+         * @param {Point} point
+         * @param {boolean} showLines
+         */
+        drawPointMarks(point, showLines) {
+            if (this.passScale && isPass(point)) {
+                this.drawPassMarker(point, this.passScale);
+                if (point.jerseyNumber && showLines) {
+                    // Label the passer to the left of the dot
+                    const player = findPlayer(this.roster, null, point.jerseyNumber);
+                    const jerseyLabel = player && player.name ? `${point.jerseyNumber} ${player.name}` : point.jerseyNumber;
+                    this.drawJerseyNumber(jerseyLabel, point.rotation, point.x, point.y, point.x + 1, point.y, null);
                 }
-                
-                this.migrationInfo = messages.length > 0 ? `File updated:\n${messages.join('\n')}` : null;
+                return;
             }
             
-            this.isViewOnly = viewOnly;
+            // Draw line first if it exists and lines are visible
+            if (point.line && showLines) {
+                this.drawLine(point.line.startX, point.line.startY, point.line.endX, point.line.endY, point.team, this.getLineDash(point));
+                // Draw jersey number with rotation when tracked; if rotation untracked, only jersey
+                const rotationForDisplay = (point.rotation === null || point.rotation === undefined) ? null : point.rotation;
+                const player = findPlayer(this.roster, point.team, point.jerseyNumber);
+                const jerseyLabel = player && player.name ? `${point.jerseyNumber} ${player.name}` : (point.jerseyNumber || '');
+                this.drawJerseyNumber(jerseyLabel, rotationForDisplay, point.line.startX, point.line.startY, point.line.endX, point.line.endY, point.team);
+            }
+            this.drawDot(point.x, point.y);
+            this.drawOutcomeMarker(point);
         }
         
         /**
-         * Reset session
-         * @param {string} name
-         * @param {string} mode
+         * Highlight the selected point, filling in the handle being moved
+         * @param {Point} point
+         * @param {string} handle - 'start', 'end' or 'line'
+         * @param {boolean} showLines
          */
-        reset(name, mode) {
-            this.name = name || 'Untitled Session';
-            this.mode = mode || 'simpleHeatmap';
-            this.points = [];
-            this.undoStack = [];
-            this.redoStack = [];
-            this.isViewOnly = false;
+        drawSelection(point, handle, showLines) {
+            const ctx = this.overlayCtx;
+            const radius = this.config.drawing.selectionHandleRadius;
+            
+            ctx.strokeStyle = this.config.drawing.selectionColor;
+            ctx.fillStyle = this.config.drawing.selectionColor;
+            ctx.lineWidth = this.config.drawing.markerLineWidth;
+            ctx.setLineDash([]);
+            
+            const handles = [{ handle: 'end', x: point.x, y: point.y }];
+            if (point.line && showLines) {
+                handles.push({ handle: 'start', x: point.line.startX, y: point.line.startY });
+                ctx.beginPath();
+                ctx.moveTo(point.line.startX, point.line.startY);
+                ctx.lineTo(point.line.endX, point.line.endY);
+                ctx.stroke();
+            }
+            
+            handles.forEach(h => {
+                ctx.beginPath();
+                ctx.arc(h.x, h.y, radius, 0, Math.PI * 2);
+                if (h.handle === handle || handle === 'line') {
+                    ctx.fill();
+                } else {
+                    ctx.stroke();
+                }
+            });
         }
         
         /**
-         * Export session data
-         * @returns {Object}
+         * Clear all drawings
          */
-        export() {
-            return {
-                version: CONFIG.version,
-                name: this.name,
-                mode: this.mode,
-                points: this.points,
-                undoStack: this.undoStack,
-                redoStack: this.redoStack,
-                savedAt: new Date().toISOString()
-            };
+        clear() {
+            if (this.worker) {
+                this.worker.cancel();
+            }
+            this.heatmapLayer.clear();
+            this.heatmapCanvas.clear();
+            this.overlayCanvas.clear();
+            this.layerState = null;
+            this.overlayState = null;
         }
     }
 
     // =====================================================
-    // GRID RENDERER CLASS
+    // ZONE OVERLAY RENDERER CLASS
     // =====================================================
     
     /**
-     * Handles all grid rendering operations
+     * Draws zone cells with their share of the points on their own canvas layer
      */
-    class GridRenderer {
+    class ZoneRenderer {
         /**
          * @param {CanvasManager} canvasManager
-         * @param {GridGeometry} geometry
          * @param {AppConfig} config
          */
-        constructor(canvasManager, geometry, config) {
+        constructor(canvasManager, config) {
             this.canvas = canvasManager;
-            this.geometry = geometry;
             this.config = config;
             this.ctx = canvasManager.ctx;
         }
         
         /**
-         * Draw the complete grid
+         * Draw the zone cells, each with its percentage and count of points
+         * @param {ZoneStats} stats
          */
-        draw() {
-            if (!this.ctx) {
-                console.error('Canvas context not available');
-                return;
-            }
+        draw(stats) {
             this.canvas.clear();
-            this.drawBackgrounds();
-            this.drawGridLines();
-            this.drawShapes();
-            this.drawDashedLines();
+            const { lineColor, lineDash, labelBackground, textColor, percentFont, detailFont } = this.config.zoneOverlay;
+            const ctx = this.ctx;
+            
+            ctx.strokeStyle = lineColor;
+            ctx.lineWidth = 1;
+            ctx.setLineDash(lineDash);
+            stats.cells.forEach(cell => ctx.strokeRect(cell.x, cell.y, cell.width, cell.height));
+            ctx.setLineDash([]);
+            
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            stats.cells.forEach(cell => {
+                const centerX = cell.x + cell.width / 2;
+                const centerY = cell.y + cell.height / 2;
+                const percent = `${Math.round(cell.percent)}%`;
+                const detail = `${cell.label} · ${cell.count}`;
+                
+                ctx.font = percentFont;
+                const percentWidth = ctx.measureText(percent).width;
+                ctx.font = detailFont;
+                const boxWidth = Math.max(percentWidth, ctx.measureText(detail).width) + 8;
+                ctx.fillStyle = labelBackground;
+                ctx.fillRect(centerX - boxWidth / 2, centerY - 16, boxWidth, 30);
+                
+                ctx.fillStyle = textColor;
+                ctx.font = percentFont;
+                ctx.fillText(percent, centerX, centerY - 6);
+                ctx.font = detailFont;
+                ctx.fillText(detail, centerX, centerY + 8);
+            });
+        }
+        
+        clear() {
+            this.canvas.clear();
+        }
+    }
+
+    // =====================================================
+    // UI MANAGER CLASS
+    // =====================================================
+    
+    /**
+     * Manages UI elements and updates
+     */
+    class UIManager {
+        constructor() {
+            this.elements = {};
+            this.eventListeners = [];
         }
         
         /**
-         * Draw background color zones
+         * Initialize a UI element with error handling
+         * @param {string} id
+         * @param {string} [errorMessage]
+         * @returns {HTMLElement}
+         * @throws {Error} If element not found
          */
-        drawBackgrounds() {
-            const g = this.geometry;
-            
-            // Outside area (teal)
-            this.ctx.fillStyle = this.config.colors.outside;
-            this.ctx.fillRect(0, 0, g.canvasWidth, g.canvasHeight);
-            
-            if (g.mode === 'heatmapCharting') {
-                this.drawChartingBackgrounds();
-            } else {
-                this.drawSimpleHeatmapBackgrounds();
+        initElement(id, errorMessage) {
+            const element = document.getElementById(id);
+            if (!element) {
+                const msg = errorMessage || `UI element '${id}' not found`;
+                console.error(msg);
+                throw new Error(msg);
             }
+            this.elements[id] = element;
+            return element;
         }
         
         /**
-         * Draw backgrounds for simple heatmap mode
+         * Get an initialized element
+         * @param {string} id
+         * @returns {HTMLElement}
          */
-        drawSimpleHeatmapBackgrounds() {
-            const g = this.geometry;
-            
-            // Inside above horizontal line (orange)
-            this.ctx.fillStyle = this.config.colors.insideAbove;
-            this.ctx.fillRect(g.innerStart, g.innerStartY, g.innerWidth, g.horizontalLineY - g.innerStartY);
-            
-            // Inside below horizontal line (light orange)
-            this.ctx.fillStyle = this.config.colors.insideBelow;
-            this.ctx.fillRect(g.innerStart, g.horizontalLineY, g.innerWidth, g.innerEndY - g.horizontalLineY);
+        getElement(id) {
+            return this.elements[id];
+        }
+        
+        /**
+         * Add a managed event listener
+         * @param {HTMLElement} element
+         * @param {string} event
+         * @param {Function} handler
+         */
+        addEventListener(element, event, handler, options) {
+            element.addEventListener(event, handler, options);
+            this.eventListeners.push({ element, event, handler, options });
+        }
+        
+        /**
+         * Update point count display
+         * @param {number} count
+         */
+        updatePointCount(count) {
+            const span = this.elements.clickCount;
+            if (span) span.textContent = `Points: ${count}`;
+        }
+        
+        /**
+         * Update coordinates display
+         * @param {string} text
+         */
+        updateCoordinates(text) {
+            const span = this.elements.coordinates;
+            if (span) span.textContent = text;
+        }
+        
+        /**
+         * Update jersey number input display
+         * @param {string} text
+         * @param {Player|null} [player] - Roster player matching the number
+         * @param {boolean} [notOnRoster] - True if the team has a roster and the number isn't on it
+         */
+        updateJerseyNumberInput(text, player = null, notOnRoster = false) {
+            const span = this.elements.jerseyNumberInput;
+            if (!span) return;
             
-            // New rectangle (light gray)
-            this.ctx.fillStyle = this.config.colors.newRect;
-            this.ctx.fillRect(g.newRectX, g.newRectY, g.newRectWidth, g.newRectHeight);
+            span.textContent = text ? (player && player.name ? `${text} ${player.name}` : text) : '-';
+            span.title = notOnRoster ? `#${text} is not on the roster` : (span.textContent === '-' ? '' : span.textContent);
+            span.classList.toggle('not-on-roster', notOnRoster);
         }
         
         /**
-         * Draw backgrounds for charting mode
+         * Update jersey number list display
+         * @param {Point[]} points
+         * @param {Set<string>} activeFilters
+         * @param {Roster} [roster] - Roster used to show player names
          */
-        drawChartingBackgrounds() {
-            const g = this.geometry;
-            const centerY = g.centerLineY;
+        updateJerseyNumberList(points, activeFilters = null, roster = null) {
+            const listEl = this.elements.jerseyNumberList;
+            if (!listEl) return;
             
-            // Bottom section (below center line)
-            // Inside above horizontal line (orange)
-            this.ctx.fillStyle = this.config.colors.insideAbove;
-            this.ctx.fillRect(g.innerStart, centerY, g.innerWidth, g.horizontalLineY - centerY);
+            // Count occurrences of each jersey number, and collect player names per number
+            const jerseyNumberCounts = {};
+            const playerNames = {};
+            let blankCount = 0;
+            
+            points.forEach(point => {
+                if (point.line || isPass(point)) {
+                    // Check for null or undefined jersey number
+                    if (point.jerseyNumber !== null && point.jerseyNumber !== undefined) {
+                        const num = point.jerseyNumber;
+                        jerseyNumberCounts[num] = (jerseyNumberCounts[num] || 0) + 1;
+                        
+                        const player = findPlayer(roster, point.team, num);
+                        if (player && player.name) {
+                            playerNames[num] = playerNames[num] || new Set();
+                            playerNames[num].add(player.name);
+                        }
+                    } else {
+                        blankCount++;
+                    }
+                }
+            });
+            
+            // Sort jersey numbers in ascending order
+            const sortedJerseyNumbers = Object.keys(jerseyNumberCounts)
+                .map(n => parseInt(n, 10))
+                .sort((a, b) => a - b);
+            
+            // Build the list HTML
+            let html = '';
             
-            // Inside below horizontal line (light orange)
-            this.ctx.fillStyle = this.config.colors.insideBelow;
-            this.ctx.fillRect(g.innerStart, g.horizontalLineY, g.innerWidth, g.innerEndY - g.horizontalLineY);
+            // Add blank lines at top if any exist
+            if (blankCount > 0) {
+                const isActive = activeFilters && activeFilters.has('-');
+                html += `<button class="jersey-number-list-item${isActive ? ' active' : ''}" data-jersey-number="-">- [${blankCount}]</button>`;
+            }
+            
+            // Add lines with jersey numbers
+            sortedJerseyNumbers.forEach(num => {
+                const count = jerseyNumberCounts[num];
+                const isActive = activeFilters && activeFilters.has(String(num));
+                const names = playerNames[num] ? ` ${escapeHtml([...playerNames[num]].join('/'))}` : '';
+                html += `<button class="jersey-number-list-item${isActive ? ' active' : ''}" data-jersey-number="${num}" title="${num}${names} [${count}]">${num}${names} [${count}]</button>`;
+            });
             
-            // Top section (above center line) - mirrored
-            // 3x9 rectangle (gray)
-            const topSmallRectHeight = 3 * g.scale;
-            const topSmallRectY = centerY - topSmallRectHeight;
-            this.ctx.fillStyle = this.config.colors.newRect;
-            this.ctx.fillRect(g.newRectX, topSmallRectY, g.newRectWidth, topSmallRectHeight);
+            listEl.innerHTML = html;
             
-            // 6x9 rectangle (gray) above the 3x9
-            const topLargeRectHeight = 6 * g.scale;
-            const topLargeRectY = topSmallRectY - topLargeRectHeight;
-            this.ctx.fillStyle = this.config.colors.newRect;
-            this.ctx.fillRect(g.newRectX, topLargeRectY, g.newRectWidth, topLargeRectHeight);
+            // Show/hide clear filters button - only show if more than the minimum filters are active
+            const clearBtn = this.elements.clearJerseyFiltersBtn;
+            if (clearBtn) {
+                clearBtn.style.display = (activeFilters && activeFilters.size >= CONFIG.validation.minJerseyFiltersForClear) ? 'flex' : 'none';
+            }
         }
         
         /**
-         * Draw meter grid lines
+         * Update rotation list display
+         * @param {number} assignedRotation - Currently assigned rotation (1-6)
+         * @param {Set<number>} filteredRotations - Set of filtered rotations
+         * @param {boolean} isViewOnly - Whether in view-only mode
          */
-        drawGridLines() {
-            const g = this.geometry;
-            
-            this.ctx.strokeStyle = this.config.grid.gridLineColor;
-            this.ctx.lineWidth = this.config.grid.gridLineWidth;
-            this.ctx.setLineDash([]);
+        updateRotationList(assignedRotation, filteredRotations, isViewOnly = false) {
+            const listEl = this.elements.rotationList;
+            if (!listEl) return;
             
-            // Horizontal lines (width is always 15m)
-            for (let i = 0; i <= this.config.grid.size; i++) {
-                const pos = i * g.scale;
-                this.ctx.beginPath();
-                this.ctx.moveTo(pos, 0);
-                this.ctx.lineTo(pos, g.canvasHeight);
-                this.ctx.stroke();
+            let html = '';
+            for (let i = 1; i <= 6; i++) {
+                const isAssigned = !isViewOnly && this.app && this.app.trackRotation && assignedRotation === i;
+                const isFiltered = filteredRotations && filteredRotations.has(i);
+                const classes = [];
+                if (isAssigned) classes.push('assigned');
+                if (this.app && !this.app.trackRotation) classes.push('disabled');
+                if (isFiltered) classes.push('filtered');
+                const className = classes.length > 0 ? ' ' + classes.join(' ') : '';
+                html += `<button class="rotation-list-item${className}" data-rotation="${i}">R${i}</button>`;
             }
             
-            // Vertical lines (height depends on mode)
-            const verticalGridSize = g.mode === 'heatmapCharting' ? 22 : this.config.grid.size;
-            for (let i = 0; i <= verticalGridSize; i++) {
-                const pos = i * g.scale;
-                this.ctx.beginPath();
-                this.ctx.moveTo(0, pos);
-                this.ctx.lineTo(g.canvasWidth, pos);
-                this.ctx.stroke();
+            listEl.innerHTML = html;
+            
+            // Show/hide clear filters button - only show if at least one filter is active
+            const clearBtn = this.elements.clearRotationFiltersBtn;
+            if (clearBtn) {
+                clearBtn.style.display = (filteredRotations && filteredRotations.size > 0) ? 'flex' : 'none';
+            }
+        }
+
+        /**
+         * Update a tag list display (see TAG_FIELDS)
+         * @param {string} field - Point property the list tags
+         * @param {Point[]} points
+         * @param {string|null} assignedTag - Tag id assigned to new points
+         * @param {Set<string>} activeFilters - Tag ids currently filtered ('-' for untagged)
+         * @param {boolean} isViewOnly - Whether in view-only mode
+         */
+        updateTagList(field, points, assignedTag, activeFilters, isViewOnly = false) {
+            const { options, listId, clearBtnId } = TAG_FIELDS[field];
+            const listEl = this.elements[listId];
+            if (!listEl) return;
+
+            // Count occurrences of each tag
+            const tagCounts = {};
+            let blankCount = 0;
+            points.forEach(point => {
+                const value = point[field];
+                if (value === null || value === undefined) {
+                    blankCount++;
+                } else {
+                    tagCounts[value] = (tagCounts[value] || 0) + 1;
+                }
+            });
+
+            let html = '';
+
+            // Untagged points can only be filtered, not assigned
+            if (blankCount > 0) {
+                const isFiltered = activeFilters && activeFilters.has('-');
+                html += `<button class="tag-list-item${isFiltered ? ' filtered' : ''}" data-tag="-">- [${blankCount}]</button>`;
+            }
+
+            options.forEach(option => {
+                const classes = [];
+                if (!isViewOnly && assignedTag === option.id) classes.push('assigned');
+                if (activeFilters && activeFilters.has(option.id)) classes.push('filtered');
+                const className = classes.length > 0 ? ' ' + classes.join(' ') : '';
+                const count = tagCounts[option.id] || 0;
+                const title = option.key ? ` title="Hotkey: ${option.key.toUpperCase()}"` : '';
+                html += `<button class="tag-list-item${className}" data-tag="${option.id}"${title}>${option.label} [${count}]</button>`;
+            });
+
+            listEl.innerHTML = html;
+
+            const clearBtn = this.elements[clearBtnId];
+            if (clearBtn) {
+                clearBtn.style.display = (activeFilters && activeFilters.size > 0) ? 'inline-flex' : 'none';
             }
         }
         
         /**
-         * Draw main shapes (inner square, new rectangle, horizontal line)
+         * Update set filter list display
+         * @param {Point[]} points
+         * @param {Set<number|string>} activeFilters
          */
-        drawShapes() {
-            const g = this.geometry;
-            
-            this.ctx.strokeStyle = this.config.colors.innerSquareBorder;
-            this.ctx.lineWidth = 2;
-            this.ctx.setLineDash([]);
+        updateSetList(points, activeFilters) {
+            const setCounts = {};
+            let blankCount = 0;
+            points.forEach(point => {
+                if (point.set === null || point.set === undefined) {
+                    blankCount++;
+                } else {
+                    setCounts[point.set] = (setCounts[point.set] || 0) + 1;
+                }
+            });
             
-            if (g.mode === 'heatmapCharting') {
-                this.drawChartingShapes();
-            } else {
-                this.drawSimpleHeatmapShapes();
+            const entries = [];
+            if (blankCount > 0) {
+                entries.push({ value: '-', label: '-', count: blankCount });
             }
+            Object.keys(setCounts)
+                .map(n => parseInt(n, 10))
+                .sort((a, b) => a - b)
+                .forEach(setNumber => {
+                    entries.push({ value: setNumber, label: `Set ${setNumber}`, count: setCounts[setNumber] });
+                });
+            
+            this.renderFilterList('setFilterList', 'clearSetFiltersBtn', entries, activeFilters);
         }
         
         /**
-         * Draw shapes for simple heatmap mode
+         * Update score situation filter list display
+         * @param {Point[]} points
+         * @param {Set<string>} activeFilters
          */
-        drawSimpleHeatmapShapes() {
-            const g = this.geometry;
-            
-            // Inner square
-            this.ctx.strokeRect(g.innerStart, g.innerStartY, g.innerWidth, g.innerWidth);
+        updateSituationList(points, activeFilters) {
+            const situationCounts = {};
+            points.forEach(point => {
+                const situation = getScoreSituation(point);
+                if (situation) {
+                    situationCounts[situation] = (situationCounts[situation] || 0) + 1;
+                }
+            });
             
-            // New rectangle
-            this.ctx.strokeRect(g.newRectX, g.newRectY, g.newRectWidth, g.newRectHeight);
+            const entries = CONFIG.match.situations.map(situation => ({
+                value: situation.id,
+                label: situation.label,
+                count: situationCounts[situation.id] || 0
+            }));
             
-            // Horizontal line
-            this.ctx.beginPath();
-            this.ctx.moveTo(g.innerStart, g.horizontalLineY);
-            this.ctx.lineTo(g.innerEnd, g.horizontalLineY);
-            this.ctx.stroke();
+            this.renderFilterList('situationFilterList', 'clearSituationFiltersBtn', entries, activeFilters);
         }
         
         /**
-         * Draw shapes for charting mode
+         * Update team filter list display
+         * @param {Point[]} points
+         * @param {Set<string>} activeFilters
          */
-        drawChartingShapes() {
-            const g = this.geometry;
-            const centerY = g.centerLineY;
-            
-            // Bottom section rectangles and line
-            const bottomSmallRectHeight = 3 * g.scale;
-            const bottomLargeRectHeight = 6 * g.scale;
-            
-            // Bottom 3x9 rectangle
-            this.ctx.strokeRect(g.newRectX, centerY, g.newRectWidth, bottomSmallRectHeight);
-            
-            // Bottom 6x9 rectangle
-            this.ctx.strokeRect(g.newRectX, centerY + bottomSmallRectHeight, g.newRectWidth, bottomLargeRectHeight);
-            
-            // Bottom horizontal line
-            this.ctx.beginPath();
-            this.ctx.moveTo(g.innerStart, centerY + bottomSmallRectHeight);
-            this.ctx.lineTo(g.innerEnd, centerY + bottomSmallRectHeight);
-            this.ctx.stroke();
-            
-            // Top section rectangles and line (mirrored)
-            const topSmallRectHeight = 3 * g.scale;
-            const topLargeRectHeight = 6 * g.scale;
-            const topSmallRectY = centerY - topSmallRectHeight;
-            const topLargeRectY = topSmallRectY - topLargeRectHeight;
-            
-            // Top 3x9 rectangle
-            this.ctx.strokeRect(g.newRectX, topSmallRectY, g.newRectWidth, topSmallRectHeight);
+        updateTeamList(points, activeFilters) {
+            const teamCounts = { us: 0, opp: 0 };
+            let blankCount = 0;
+            points.forEach(point => {
+                if (point.line && point.team) {
+                    teamCounts[point.team]++;
+                } else {
+                    blankCount++;
+                }
+            });
             
-            // Top 6x9 rectangle
-            this.ctx.strokeRect(g.newRectX, topLargeRectY, g.newRectWidth, topLargeRectHeight);
+            const entries = [];
+            if (blankCount > 0) {
+                entries.push({ value: '-', label: '-', count: blankCount });
+            }
+            entries.push({ value: 'us', label: 'Us', count: teamCounts.us });
+            entries.push({ value: 'opp', label: 'Opp', count: teamCounts.opp });
             
-            // Top horizontal line (attack line)
-            const topAttackLineY = topSmallRectY;
-            this.ctx.beginPath();
-            this.ctx.moveTo(g.innerStart, topAttackLineY);
-            this.ctx.lineTo(g.innerEnd, topAttackLineY);
-            this.ctx.stroke();
+            this.renderFilterList('teamFilterList', 'clearTeamFiltersBtn', entries, activeFilters);
         }
         
         /**
-         * Draw dashed lines with circles
+         * Fill the court picker of the start dialog
+         * @param {Object<string, CourtTemplate>} courts - CONFIG.courts
          */
-        drawDashedLines() {
-            this.drawCenterLine();
-            this.drawAttackLineExtensions();
+        renderCourtOptions(courts) {
+            const select = this.elements.courtSelect;
+            if (!select) return;
+            select.innerHTML = Object.entries(courts)
+                .map(([id, court]) => `<option value="${id}">${escapeHtml(court.label)} (${court.width}m x ${court.depth}m)</option>`)
+                .join('');
         }
         
         /**
-         * Draw center line between rectangles
+         * Fill the palette picker
+         * @param {Object} palettes - CONFIG.palettes
          */
-        drawCenterLine() {
-            const g = this.geometry;
-            
-            this.ctx.strokeStyle = this.config.colors.dashedLine;
-            this.ctx.lineWidth = this.config.drawing.dashedLineStroke;
-            this.ctx.setLineDash([this.config.drawing.dashLength, this.config.drawing.dashLength]);
-            
-            this.ctx.beginPath();
-            this.ctx.moveTo(g.centerLineX1, g.centerLineY);
-            this.ctx.lineTo(g.centerLineX2, g.centerLineY);
-            this.ctx.stroke();
-            
-            // Draw circles at ends
-            this.ctx.setLineDash([]);
-            this.ctx.fillStyle = this.config.colors.dashedLine;
-            const radius = (this.config.drawing.circleDiameter / 2) * this.config.drawing.circleScale;
-            
-            this.ctx.beginPath();
-            this.ctx.arc(g.centerLineX1, g.centerLineY, radius, 0, Math.PI * 2);
-            this.ctx.fill();
-            
-            this.ctx.beginPath();
-            this.ctx.arc(g.centerLineX2, g.centerLineY, radius, 0, Math.PI * 2);
-            this.ctx.fill();
+        renderPaletteOptions(palettes) {
+            const select = this.elements.paletteSelect;
+            if (!select) return;
+            select.innerHTML = Object.entries(palettes)
+                .map(([id, palette]) => `<option value="${id}">${escapeHtml(palette.label)}</option>`)
+                .join('');
         }
         
         /**
-         * Draw attack line extensions
+         * Show the current palette in the picker and hand its team colors to the stylesheet
+         * @param {Palette} palette
          */
-        drawAttackLineExtensions() {
-            const g = this.geometry;
-            
-            this.ctx.strokeStyle = this.config.colors.dashedLine;
-            this.ctx.lineWidth = this.config.drawing.dashedLineStroke;
-            this.ctx.setLineDash([this.config.drawing.dashLength, this.config.drawing.dashLength]);
-            
-            if (g.mode === 'heatmapCharting') {
-                // Bottom attack line extensions
-                const bottomAttackLineY = g.centerLineY + (3 * g.scale);
-                
-                // Left extension
-                this.ctx.beginPath();
-                this.ctx.moveTo(g.innerStart - g.attackLineExtensionLength, bottomAttackLineY);
-                this.ctx.lineTo(g.innerStart, bottomAttackLineY);
-                this.ctx.stroke();
-                
-                // Right extension
-                this.ctx.beginPath();
-                this.ctx.moveTo(g.innerEnd + g.attackLineExtensionLength, bottomAttackLineY);
-                this.ctx.lineTo(g.innerEnd, bottomAttackLineY);
-                this.ctx.stroke();
-                
-                // Top attack line extensions (mirrored)
-                const topAttackLineY = g.centerLineY - (3 * g.scale);
-                
-                // Left extension
-                this.ctx.beginPath();
-                this.ctx.moveTo(g.innerStart - g.attackLineExtensionLength, topAttackLineY);
-                this.ctx.lineTo(g.innerStart, topAttackLineY);
-                this.ctx.stroke();
-                
-                // Right extension
-                this.ctx.beginPath();
-                this.ctx.moveTo(g.innerEnd + g.attackLineExtensionLength, topAttackLineY);
-                this.ctx.lineTo(g.innerEnd, topAttackLineY);
-                this.ctx.stroke();
-            } else {
-                // Simple heatmap mode - single set of extensions
-                // Left extension
-                this.ctx.beginPath();
-                this.ctx.moveTo(g.innerStart - g.attackLineExtensionLength, g.horizontalLineY);
-                this.ctx.lineTo(g.innerStart, g.horizontalLineY);
-                this.ctx.stroke();
-                
-                // Right extension
-                this.ctx.beginPath();
-                this.ctx.moveTo(g.innerEnd + g.attackLineExtensionLength, g.horizontalLineY);
-                this.ctx.lineTo(g.innerEnd, g.horizontalLineY);
-                this.ctx.stroke();
-            }
+        applyPalette(palette) {
+            const select = this.elements.paletteSelect;
+            if (select) select.value = palette.id;
             
-            this.ctx.setLineDash([]);
+            const root = document.documentElement.style;
+            root.setProperty('--team-us', palette.teamColors.us);
+            root.setProperty('--team-opp', palette.teamColors.opp);
         }
-    }
-
-    // =====================================================
-    // HEATMAP RENDERER CLASS
-    // =====================================================
-    
-    /**
-     * Handles heatmap cloud and dot rendering
-     */
-    class HeatmapRenderer {
+        
         /**
-         * @param {CanvasManager} heatmapCanvas
-         * @param {CanvasManager} overlayCanvas
-         * @param {AppConfig} config
+         * Update the heatmap style controls
+         * @param {string} style - 'clouds' or 'density'
+         * @param {DensityOptions} options
+         * @param {boolean} isAvailable - False in passing mode, which draws pass quality instead
+         * @param {string|null} source - Heatmap source ('landing', 'origin' or 'both'), null outside line modes
          */
-        constructor(heatmapCanvas, overlayCanvas, config) {
-            this.heatmapCanvas = heatmapCanvas;
-            this.overlayCanvas = overlayCanvas;
-            this.config = config;
-            this.heatmapCtx = heatmapCanvas.ctx;
-            this.overlayCtx = overlayCanvas.ctx;
+        updateDensityControls(style, options, isAvailable, source) {
+            const styleControl = this.elements.heatmapStyleControl;
+            if (styleControl) styleControl.style.display = isAvailable ? '' : 'none';
+            const sourceControl = this.elements.heatmapSourceControl;
+            if (sourceControl) sourceControl.style.display = source ? '' : 'none';
+            const sourceSelect = this.elements.heatmapSourceSelect;
+            if (sourceSelect && source) sourceSelect.value = source;
+            
+            const styleSelect = this.elements.heatmapStyleSelect;
+            if (styleSelect) styleSelect.value = style;
+            const controls = this.elements.densityControls;
+            if (controls) controls.style.display = isAvailable && style === 'density' ? 'inline-flex' : 'none';
+            
+            const bandwidthInput = this.elements.bandwidthInput;
+            if (bandwidthInput) bandwidthInput.value = String(options.bandwidth);
+            const bandwidthValue = this.elements.bandwidthValue;
+            if (bandwidthValue) bandwidthValue.textContent = `${options.bandwidth.toFixed(2)}m`;
+            const scaleSelect = this.elements.densityScaleSelect;
+            if (scaleSelect) scaleSelect.value = options.scale;
+            const maxInput = this.elements.densityMaxInput;
+            if (maxInput) {
+                maxInput.style.display = options.scale === 'fixed' ? '' : 'none';
+                if (document.activeElement !== maxInput) maxInput.value = String(options.fixedMax);
+            }
         }
         
         /**
-         * Draw a heatmap cloud at position
-         * @param {number} x
-         * @param {number} y
+         * Show the density color ramps with the densities they stand for
+         * @param {Array<{label: string, scaleMax: number, colorStops: ColorStop[]}>} scales - One per heatmap source;
+         *     labels are only shown when there is more than one
+         * @param {boolean} isFixed - Densities above a fixed scale are drawn at the top color
          */
-        drawCloud(x, y) {
-            const gradient = this.heatmapCtx.createRadialGradient(
-                x, y, 0, 
-                x, y, this.config.drawing.cloudRadius
-            );
+        updateDensityLegend(scales, isFixed) {
+            const legend = this.elements.densityLegend;
+            if (!legend) return;
+            if (scales.length === 0) {
+                legend.innerHTML = '';
+                return;
+            }
             
-            this.config.gradient.stops.forEach(stop => {
-                gradient.addColorStop(stop.offset, stop.color);
+            const format = value => value >= 10 ? value.toFixed(0) : value >= 1 ? value.toFixed(1) : value.toFixed(2);
+            const html = scales.map(({ label, scaleMax, colorStops }) => {
+                const ramp = colorStops
+                    .map(stop => `rgb(${stop.color.join(', ')}) ${stop.offset * 100}%`)
+                    .join(', ');
+                return `
+                ${scales.length > 1 ? `<span class="legend-name">${escapeHtml(label)}</span>` : ''}
+                <span class="legend-label">0</span>
+                <span class="legend-ramp" style="background: linear-gradient(to right, ${ramp});"></span>
+                <span class="legend-label">${scaleMax > 0 ? (isFixed ? '≥ ' : '') + format(scaleMax) : '-'}</span>`;
             });
-            
-            this.heatmapCtx.fillStyle = gradient;
-            this.heatmapCtx.beginPath();
-            this.heatmapCtx.arc(x, y, this.config.drawing.cloudRadius, 0, Math.PI * 2);
-            this.heatmapCtx.fill();
+            legend.innerHTML = `${html.join('')}
+                <span class="legend-unit">points/m²</span>`;
         }
         
         /**
-         * Draw a dot at position
-         * @param {number} x
-         * @param {number} y
+         * Show the sets being compared and the difference map legend, or hide them
+         * @param {{sets: Array<{label: string, count: number}>, scaleMax: number, colorStops: ColorStop[]}|null} comparison -
+         *     Sets A and B, the largest difference in share of points per m², and the diverging ramp; null when not comparing
          */
-        drawDot(x, y) {
-            this.overlayCtx.fillStyle = this.config.drawing.dotColor;
-            this.overlayCtx.beginPath();
-            this.overlayCtx.arc(x, y, this.config.drawing.dotRadius, 0, Math.PI * 2);
-            this.overlayCtx.fill();
-        }
-        
-        /**
-         * Draw a line from start to end position
-         * @param {number} startX
-         * @param {number} startY
-         * @param {number} endX
-         * @param {number} endY
-         * @param {string} [color] - Optional color override
-         */
-        drawLine(startX, startY, endX, endY, team) {
-            // Determine color based on team
-            let color;
-            if (team === 'us') {
-                color = this.config.teamColors.us;
-            } else if (team === 'opp') {
-                color = this.config.teamColors.opp;
-            } else {
-                color = this.config.teamColors.noTeam;
+        updateComparison(comparison) {
+            const compareBtn = this.elements.compareBtn;
+            if (compareBtn) {
+                compareBtn.textContent = comparison ? 'Stop Comparing' : 'Compare Filters';
+                compareBtn.classList.toggle('active', !!comparison);
+            }
+            const info = this.elements.comparisonInfo;
+            const legend = this.elements.comparisonLegend;
+            if (!info || !legend) return;
+            if (!comparison) {
+                info.style.display = 'none';
+                legend.style.display = 'none';
+                return;
             }
             
-            this.overlayCtx.strokeStyle = color;
-            this.overlayCtx.lineWidth = this.config.drawing.chartingLineWidth;
-            this.overlayCtx.beginPath();
-            this.overlayCtx.moveTo(startX, startY);
-            this.overlayCtx.lineTo(endX, endY);
-            this.overlayCtx.stroke();
+            const [a, b] = comparison.sets;
+            info.style.display = '';
+            info.textContent = `A: ${a.label} (${a.count}) vs B: ${b.label} (${b.count})`;
+            
+            const ramp = comparison.colorStops
+                .map(stop => `rgb(${stop.color.join(', ')}) ${stop.offset * 100}%`)
+                .join(', ');
+            const percent = (comparison.scaleMax * 100).toFixed(2);
+            legend.style.display = 'inline-flex';
+            legend.innerHTML = `
+                <span class="legend-name">More A</span>
+                <span class="legend-ramp" style="background: linear-gradient(to right, ${ramp});"></span>
+                <span class="legend-name">More B</span>
+                <span class="legend-unit">${comparison.scaleMax > 0 ? `±${percent}% of points/m²` : 'no difference'}</span>`;
         }
         
         /**
-         * Draw a jersey number with rotation at position
-         * @param {string} jerseyNumber
-         * @param {number} rotation
-         * @param {number} x
-         * @param {number} y
-         * @param {number} endX
-         * @param {number} endY
+         * Show the zoom on the reset view button, which is only enabled while zoomed in
+         * @param {View} view
          */
-        drawJerseyNumber(jerseyNumber, rotation, x, y, endX, endY, team) {
-            this.overlayCtx.font = this.config.drawing.numberFont;
-            
-            // Determine color based on team
-            let color;
-            if (team === 'us') {
-                color = this.config.teamColors.us;
-            } else if (team === 'opp') {
-                color = this.config.teamColors.opp;
-            } else {
-                color = this.config.teamColors.noTeam;
-            }
-            
-            this.overlayCtx.fillStyle = color;
-            this.overlayCtx.textBaseline = 'middle'; // Center vertically by default
-            
-            // Create display text with rotation suffix
-            let displayText = '';
-            if (jerseyNumber && rotation) {
-                displayText = `${jerseyNumber} - R${rotation}`;
-            } else if (jerseyNumber && !rotation) {
-                displayText = `${jerseyNumber}`;
-            } else if (!jerseyNumber && rotation) {
-                displayText = `R${rotation}`;
-            } else {
-                displayText = '';
-            }
-            if (!displayText) return;
-            
-            // Calculate line direction
-            const dx = endX - x;
-            const dy = endY - y;
-            const absDx = Math.abs(dx);
-            const absDy = Math.abs(dy);
-            
-            let textX, textY;
-            
-            // Determine if line is primarily vertical or horizontal
-            if (absDy > absDx * 2) {
-                // Vertical line (more than 2:1 ratio)
-                this.overlayCtx.textAlign = 'center';
-                textX = x;
-                if (dy > 0) {
-                    // Drawing downward - place above
-                    textY = y + this.config.drawing.numberOffsetY;
-                } else {
-                    // Drawing upward - place below
-                    textY = y - this.config.drawing.numberOffsetY;
-                }
-            } else if (absDx > absDy * 2) {
-                // Horizontal line (more than 2:1 ratio)
-                textY = y; // Center vertically
-                if (dx > 0) {
-                    // Drawing to the right - place on left
-                    this.overlayCtx.textAlign = 'right';
-                    textX = x - this.config.drawing.numberOffsetX;
-                } else {
-                    // Drawing to the left - place on right
-                    this.overlayCtx.textAlign = 'left';
-                    textX = x + this.config.drawing.numberOffsetX;
-                }
-            } else {
-                // Diagonal line - offset opposite to the direction of the line
-                this.overlayCtx.textAlign = 'center';
-                
-                // Offset in the opposite direction of the line
-                if (dx > 0 && dy > 0) {
-                    // Line goes down-right, offset up-left
-                    textX = x - this.config.drawing.numberOffsetX;
-                    textY = y + this.config.drawing.numberOffsetY;
-                } else if (dx < 0 && dy > 0) {
-                    // Line goes down-left, offset up-right
-                    textX = x + this.config.drawing.numberOffsetX;
-                    textY = y + this.config.drawing.numberOffsetY;
-                } else if (dx > 0 && dy < 0) {
-                    // Line goes up-right, offset down-left
-                    textX = x - this.config.drawing.numberOffsetX;
-                    textY = y - this.config.drawing.numberOffsetY;
-                } else {
-                    // Line goes up-left, offset down-right
-                    textX = x + this.config.drawing.numberOffsetX;
-                    textY = y - this.config.drawing.numberOffsetY;
-                }
+        updateViewControls(view) {
+            const resetViewBtn = this.elements.resetViewBtn;
+            if (!resetViewBtn) return;
+            const zoomed = view.zoom > 1;
+            resetViewBtn.disabled = !zoomed;
+            resetViewBtn.textContent = zoomed ? `Reset View (${Math.round(view.zoom * 100)}%)` : 'Reset View';
+        }
+        
+        /**
+         * Show which cloud colors belong to which heatmap source, or hide the legend
+         * @param {Array<{label: string, cloudStops: Object[]}>|null} sources - Null to hide the legend
+         */
+        updateSourceLegend(sources) {
+            const legend = this.elements.sourceLegend;
+            if (!legend) return;
+            if (!sources) {
+                legend.style.display = 'none';
+                legend.innerHTML = '';
+                return;
             }
             
-            this.overlayCtx.fillText(displayText, textX, textY);
+            // Cloud stops run from the center out, so the ramp reads from the edge in
+            legend.style.display = 'inline-flex';
+            legend.innerHTML = sources.map(({ label, cloudStops }) => {
+                const ramp = cloudStops
+                    .map(stop => `${stop.color} ${(1 - stop.offset) * 100}%`)
+                    .reverse()
+                    .join(', ');
+                return `
+                <span class="legend-name">${escapeHtml(label)}</span>
+                <span class="legend-ramp" style="background: linear-gradient(to right, ${ramp});"></span>`;
+            }).join('');
+        }
+        
+        /**
+         * Update the pass rating buttons
+         * @param {number} maxRating - Highest rating on the session's scale
+         * @param {boolean} hasPendingPass - Whether a reception spot is waiting for its rating
+         * @param {boolean} isViewOnly
+         */
+        updatePassPanel(maxRating, hasPendingPass, isViewOnly) {
+            const listEl = this.elements.passRatingList;
+            if (listEl) {
+                let html = '';
+                for (let r = 0; r <= maxRating; r++) {
+                    const color = `rgb(${getPassQualityRgb(r / maxRating).join(',')})`;
+                    html += `<button class="tag-list-item pass-rating-item" data-rating="${r}" title="Hotkey: ${r}" style="border-color: ${color}"${hasPendingPass && !isViewOnly ? '' : ' disabled'}>${r}</button>`;
+                }
+                listEl.innerHTML = html;
+            }
             
-            // Reset to defaults
-            this.overlayCtx.textAlign = 'left';
-            this.overlayCtx.textBaseline = 'alphabetic';
+            const prompt = this.elements.passPrompt;
+            if (prompt) {
+                prompt.textContent = hasPendingPass
+                    ? `Rate the pass (0-${maxRating}), Esc to cancel`
+                    : 'Click where the serve was received';
+            }
         }
         
         /**
-         * Redraw all points
-         * @param {Point[]} points
-         * @param {Set<string>} jerseyNumberFilters - Optional set of jersey numbers to show
-         * @param {Set<number>} rotationFilters - Optional set of rotations to show
-         * @param {boolean} showLines - Whether to show lines and jersey numbers
+         * Show pass rating averages per passer
+         * @param {{passers: PasserStats[], total: PasserStats}} stats
+         * @param {Roster} [roster] - Roster used to show player names
+         * @param {number} maxRating - Highest rating on the session's scale
          */
-        redrawAll(points, jerseyNumberFilters = null, rotationFilters = null, showLines = true) {
-            if (!this.heatmapCtx || !this.overlayCtx) {
-                console.error('Canvas contexts not available');
+        renderPassingStats(stats, roster, maxRating) {
+            const statsEl = this.elements.passingStats;
+            if (!statsEl) return;
+            if (stats.total.count === 0) {
+                statsEl.innerHTML = '';
                 return;
             }
             
-            this.heatmapCanvas.clear();
-            this.overlayCanvas.clear();
-            
-            points.forEach(point => {
-                // Apply jersey number filter if active
-                if (jerseyNumberFilters !== null && jerseyNumberFilters.size > 0) {
-                    const pointJerseyNumber = (point.line && point.jerseyNumber !== null && point.jerseyNumber !== undefined) ? point.jerseyNumber : '-';
-                    if (!jerseyNumberFilters.has(pointJerseyNumber)) {
-                        return; // Skip this point
-                    }
-                }
-                
-                // Apply rotation filter if active
-                if (rotationFilters !== null && rotationFilters.size > 0) {
-                    // Treat null rotation as '-' and skip unless filter matches
-                    const rotVal = (point.rotation === null || point.rotation === undefined) ? '-' : point.rotation;
-                    if (!rotationFilters.has(rotVal)) {
-                        return; // Skip this point
-                    }
-                }
-                
-                // Draw line first if it exists and lines are visible
-                if (point.line && showLines) {
-                    this.drawLine(point.line.startX, point.line.startY, point.line.endX, point.line.endY, point.team);
-                    // Draw jersey number with rotation when tracked; if rotation untracked, only jersey
-                    const rotationForDisplay = (point.rotation === null || point.rotation === undefined) ? null : point.rotation;
-                    this.drawJerseyNumber(point.jerseyNumber || '', rotationForDisplay, point.line.startX, point.line.startY, point.line.endX, point.line.endY, point.team);
-                }
-                this.drawCloud(point.x, point.y);
-                this.drawDot(point.x, point.y);
+            const ratingHeaders = [];
+            for (let r = 0; r <= maxRating; r++) ratingHeaders.push(`<th>${r}</th>`);
+            const row = (label, passer, className = '') => `
+                <tr${className ? ` class="${className}"` : ''}>
+                    <td>${label}</td>
+                    <td>${passer.count}</td>
+                    <td>${passer.average.toFixed(2)}</td>
+                    ${passer.ratings.map(count => `<td>${count}</td>`).join('')}
+                </tr>`;
+            
+            const rows = stats.passers.map(passer => {
+                const player = findPlayer(roster, null, passer.jerseyNumber === '-' ? null : passer.jerseyNumber);
+                const label = passer.jerseyNumber + (player && player.name ? ` ${player.name}` : '');
+                return row(escapeHtml(label), passer);
             });
+            rows.push(row('All', stats.total, 'passing-total'));
+            
+            statsEl.innerHTML = `
+                <table class="passing-stats-table">
+                    <thead><tr><th>Passer</th><th>Passes</th><th>Avg</th>${ratingHeaders.join('')}</tr></thead>
+                    <tbody>${rows.join('')}</tbody>
+                </table>`;
         }
         
         /**
-         * Clear all drawings
+         * Fill the zone layout picker
+         * @param {Object<string, string>} layouts - CONFIG.zoneOverlay.layouts
          */
-        clear() {
-            this.heatmapCanvas.clear();
-            this.overlayCanvas.clear();
+        renderZoneLayoutOptions(layouts) {
+            const select = this.elements.zoneLayoutSelect;
+            if (!select) return;
+            select.innerHTML = Object.entries(layouts)
+                .map(([id, label]) => `<option value="${id}">${escapeHtml(label)}</option>`)
+                .join('');
         }
-    }
-
-    // =====================================================
-    // UI MANAGER CLASS
-    // =====================================================
-    
-    /**
-     * Manages UI elements and updates
-     */
-    class UIManager {
-        constructor() {
-            this.elements = {};
-            this.eventListeners = [];
+        
+        /**
+         * Update the zone overlay controls
+         * @param {{visible: boolean, layout: string, columns: number, rows: number}} options
+         */
+        updateZoneControls(options) {
+            const checkbox = this.elements.zoneOverlayCheckbox;
+            if (checkbox) checkbox.checked = options.visible;
+            const controls = this.elements.zoneControls;
+            if (controls) controls.style.display = options.visible ? 'inline-flex' : 'none';
+            const layoutSelect = this.elements.zoneLayoutSelect;
+            if (layoutSelect) layoutSelect.value = options.layout;
+            const gridInputs = this.elements.zoneGridInputs;
+            if (gridInputs) gridInputs.style.display = options.layout === 'grid' ? '' : 'none';
+            
+            [['zoneColumnsInput', options.columns], ['zoneRowsInput', options.rows]].forEach(([id, value]) => {
+                const input = this.elements[id];
+                if (input && document.activeElement !== input) input.value = String(value);
+            });
         }
         
         /**
-         * Initialize a UI element with error handling
-         * @param {string} id
-         * @param {string} [errorMessage]
-         * @returns {HTMLElement}
-         * @throws {Error} If element not found
+         * Render the zone table
+         * @param {string[][]|null} rows - Header row first (see getZoneTableRows), null to hide the table
          */
-        initElement(id, errorMessage) {
-            const element = document.getElementById(id);
-            if (!element) {
-                const msg = errorMessage || `UI element '${id}' not found`;
-                console.error(msg);
-                throw new Error(msg);
+        renderZoneStats(rows) {
+            const statsEl = this.elements.zoneStats;
+            if (!statsEl) return;
+            if (!rows) {
+                statsEl.style.display = 'none';
+                statsEl.innerHTML = '';
+                return;
             }
-            this.elements[id] = element;
-            return element;
+            
+            const [header, ...body] = rows;
+            const totalIndex = body.length - 1;
+            statsEl.style.display = 'flex';
+            statsEl.innerHTML = `
+                <table class="zone-stats-table">
+                    <thead><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead>
+                    <tbody>${body.map((row, i) => `
+                        <tr${i === totalIndex ? ' class="zone-total"' : ''}>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>`;
         }
         
         /**
-         * Get an initialized element
-         * @param {string} id
-         * @returns {HTMLElement}
+         * Render a filter-only list (click toggles the filter)
+         * @param {string} listId
+         * @param {string} clearBtnId
+         * @param {Array<{value: (number|string), label: string, count: number}>} entries
+         * @param {Set<number|string>} activeFilters
          */
-        getElement(id) {
-            return this.elements[id];
+        renderFilterList(listId, clearBtnId, entries, activeFilters) {
+            const listEl = this.elements[listId];
+            if (!listEl) return;
+            
+            listEl.innerHTML = entries.map(entry => {
+                const isActive = activeFilters && activeFilters.has(entry.value);
+                return `<button class="tag-list-item filter-list-item${isActive ? ' filtered' : ''}" data-filter-value="${entry.value}">${entry.label} [${entry.count}]</button>`;
+            }).join('');
+            
+            const clearBtn = this.elements[clearBtnId];
+            if (clearBtn) {
+                clearBtn.style.display = (activeFilters && activeFilters.size > 0) ? 'inline-flex' : 'none';
+            }
         }
         
         /**
-         * Add a managed event listener
-         * @param {HTMLElement} element
-         * @param {string} event
-         * @param {Function} handler
+         * Render the roster editor rows for both teams
+         * @param {Roster} roster
          */
-        addEventListener(element, event, handler) {
-            element.addEventListener(event, handler);
-            this.eventListeners.push({ element, event, handler });
+        renderRosterEditor(roster) {
+            ['us', 'opp'].forEach(team => {
+                const listEl = this.elements[team === 'us' ? 'rosterUsList' : 'rosterOppList'];
+                if (!listEl) return;
+                listEl.innerHTML = '';
+                roster[team].forEach(player => this.addRosterEditorRow(team, player));
+            });
         }
         
         /**
-         * Update point count display
-         * @param {number} count
+         * Add a player row to the roster editor
+         * @param {string} team - 'us' or 'opp'
+         * @param {Player} [player] - Player to fill in (blank row if omitted)
          */
-        updatePointCount(count) {
-            const span = this.elements.clickCount;
-            if (span) span.textContent = `Points: ${count}`;
+        addRosterEditorRow(team, player = { number: '', name: '', position: '' }) {
+            const listEl = this.elements[team === 'us' ? 'rosterUsList' : 'rosterOppList'];
+            if (!listEl) return;
+            
+            const positionOptions = ['', ...CONFIG.roster.positions]
+                .map(pos => `<option value="${pos}"${pos === player.position ? ' selected' : ''}>${pos || '-'}</option>`)
+                .join('');
+            
+            const row = document.createElement('div');
+            row.className = 'roster-row';
+            row.innerHTML = `
+                <input type="text" class="roster-number" maxlength="2" placeholder="#" value="${escapeHtml(player.number)}">
+                <input type="text" class="roster-name" maxlength="${CONFIG.roster.maxNameLength}" placeholder="Name" value="${escapeHtml(player.name)}">
+                <select class="roster-position">${positionOptions}</select>
+                <button class="roster-remove-btn" title="Remove player">✕</button>
+            `;
+            listEl.appendChild(row);
         }
         
         /**
-         * Update coordinates display
-         * @param {string} text
+         * Read the roster back from the editor
+         * @returns {{roster: Roster, errors: string[]}} Sanitized roster and any problems found
          */
-        updateCoordinates(text) {
-            const span = this.elements.coordinates;
-            if (span) span.textContent = text;
+        readRosterEditor() {
+            const roster = createRoster();
+            const errors = [];
+            
+            ['us', 'opp'].forEach(team => {
+                const listEl = this.elements[team === 'us' ? 'rosterUsList' : 'rosterOppList'];
+                if (!listEl) return;
+                const teamLabel = team === 'us' ? 'Us' : 'Opp';
+                
+                listEl.querySelectorAll('.roster-row').forEach(row => {
+                    const rawNumber = row.querySelector('.roster-number').value.trim();
+                    const name = sanitizePlayerName(row.querySelector('.roster-name').value);
+                    const position = row.querySelector('.roster-position').value;
+                    
+                    // Skip rows left completely blank
+                    if (!rawNumber && !name) return;
+                    
+                    const number = sanitizeJerseyNumber(rawNumber);
+                    if (!number || number !== rawNumber) {
+                        errors.push(`${teamLabel}: "${rawNumber || name}" needs a jersey number from 0-99`);
+                        return;
+                    }
+                    if (roster[team].some(p => p.number === number)) {
+                        errors.push(`${teamLabel}: #${number} is listed more than once`);
+                        return;
+                    }
+                    roster[team].push({ number, name, position });
+                });
+                
+                roster[team].sort((a, b) => parseInt(a.number, 10) - parseInt(b.number, 10));
+            });
+            
+            return { roster, errors };
         }
-        
+
         /**
-         * Update jersey number input display
-         * @param {string} text
+         * Render the lineup editor for both teams
+         * @param {{us: Lineup, opp: Lineup}} lineups - Lineups to edit
+         * @param {number} setNumber - Set being edited
+         * @param {Roster} roster - Used to show player names
          */
-        updateJerseyNumberInput(text) {
-            const span = this.elements.jerseyNumberInput;
-            if (span) span.textContent = text || '-';
+        renderLineupEditor(lineups, setNumber, roster) {
+            const title = this.elements.lineupTitle;
+            if (title) title.textContent = `Lineup - Set ${setNumber}`;
+
+            ['us', 'opp'].forEach(team => {
+                const editorEl = this.elements[team === 'us' ? 'lineupUsEditor' : 'lineupOppEditor'];
+                if (!editorEl) return;
+                const lineup = lineups[team];
+
+                // Zones laid out as seen from behind the team's own end line
+                const zoneInputs = [4, 3, 2, 5, 6, 1].map(zone => {
+                    const number = lineup.starters[zone - 1];
+                    const player = findPlayer(roster, team, number);
+                    return `
+                        <label class="lineup-zone">
+                            <span>Zone ${zone}</span>
+                            <input type="text" class="lineup-starter" data-zone="${zone}" maxlength="2" placeholder="#"
+                                value="${escapeHtml(number)}" title="${player ? escapeHtml(player.name) : ''}">
+                        </label>`;
+                }).join('');
+
+                editorEl.innerHTML = `
+                    <div class="lineup-zones">${zoneInputs}</div>
+                    <div class="lineup-libero-row">
+                        <label>Libero <input type="text" class="lineup-libero" maxlength="2" placeholder="#" value="${escapeHtml(lineup.libero)}"></label>
+                        <label>Replaces <input type="text" class="lineup-libero-for" placeholder="e.g. 7, 12" value="${escapeHtml(lineup.liberoFor.join(', '))}"></label>
+                    </div>
+                    <div class="lineup-sub-list"></div>
+                    <button class="btn-secondary lineup-add-sub-btn" data-team="${team}">Add Substitution</button>
+                `;
+                lineup.substitutions.forEach(sub => this.addLineupSubRow(team, sub));
+            });
         }
-        
+
         /**
-         * Update jersey number list display
-         * @param {Point[]} points
-         * @param {Set<string>} activeFilters
+         * Add a substitution row to the lineup editor
+         * @param {string} team - 'us' or 'opp'
+         * @param {Substitution} sub
          */
-        updateJerseyNumberList(points, activeFilters = null) {
-            const listEl = this.elements.jerseyNumberList;
+        addLineupSubRow(team, sub) {
+            const editorEl = this.elements[team === 'us' ? 'lineupUsEditor' : 'lineupOppEditor'];
+            const listEl = editorEl ? editorEl.querySelector('.lineup-sub-list') : null;
             if (!listEl) return;
-            
-            // Count occurrences of each jersey number
-            const jerseyNumberCounts = {};
-            let blankCount = 0;
-            
-            points.forEach(point => {
-                if (point.line) {
-                    // Check for null or undefined jersey number
-                    if (point.jerseyNumber !== null && point.jerseyNumber !== undefined) {
-                        const num = point.jerseyNumber;
-                        jerseyNumberCounts[num] = (jerseyNumberCounts[num] || 0) + 1;
-                    } else {
-                        blankCount++;
+
+            const row = document.createElement('div');
+            row.className = 'roster-row lineup-sub-row';
+            row.setAttribute('data-rally', sub.rally);
+            row.innerHTML = `
+                <span class="lineup-sub-rally">Rally ${sub.rally}</span>
+                <input type="text" class="lineup-sub-out" maxlength="2" placeholder="Out" value="${escapeHtml(sub.out)}">
+                <span>→</span>
+                <input type="text" class="lineup-sub-in" maxlength="2" placeholder="In" value="${escapeHtml(sub.in)}">
+                <button class="roster-remove-btn" title="Remove substitution">✕</button>
+            `;
+            listEl.appendChild(row);
+        }
+
+        /**
+         * Read the lineups back from the editor
+         * @returns {{lineups: {us: Lineup|null, opp: Lineup|null}, errors: string[]}} Lineups (null if left blank) and any problems found
+         */
+        readLineupEditor() {
+            const lineups = { us: null, opp: null };
+            const errors = [];
+
+            ['us', 'opp'].forEach(team => {
+                const editorEl = this.elements[team === 'us' ? 'lineupUsEditor' : 'lineupOppEditor'];
+                if (!editorEl) return;
+                const teamLabel = team === 'us' ? 'Us' : 'Opp';
+                const lineup = createLineup();
+
+                // Returns the sanitized number, '' for blank, or null (and records an error) if invalid
+                const readNumber = (input, label) => {
+                    const raw = input.value.trim();
+                    if (!raw) return '';
+                    const number = sanitizeJerseyNumber(raw);
+                    if (!number || number !== raw) {
+                        errors.push(`${teamLabel}: ${label} "${raw}" must be a jersey number from 0-99`);
+                        return null;
+                    }
+                    return number;
+                };
+
+                editorEl.querySelectorAll('.lineup-starter').forEach(input => {
+                    const zone = parseInt(input.getAttribute('data-zone'), 10);
+                    lineup.starters[zone - 1] = readNumber(input, `zone ${zone}`) || '';
+                });
+                lineup.libero = readNumber(editorEl.querySelector('.lineup-libero'), 'libero') || '';
+                lineup.liberoFor = editorEl.querySelector('.lineup-libero-for').value
+                    .split(',')
+                    .map(raw => raw.trim())
+                    .filter(raw => raw)
+                    .map(raw => readNumber({ value: raw }, 'libero replacement'))
+                    .filter(number => number);
+
+                editorEl.querySelectorAll('.lineup-sub-row').forEach(row => {
+                    const out = readNumber(row.querySelector('.lineup-sub-out'), 'substitution');
+                    const inNumber = readNumber(row.querySelector('.lineup-sub-in'), 'substitution');
+                    if (out === '' && inNumber === '') return; // Skip rows left blank
+                    if (!out || !inNumber) {
+                        if (out === '' || inNumber === '') errors.push(`${teamLabel}: each substitution needs a player out and a player in`);
+                        return;
                     }
+                    lineup.substitutions.push({ out, in: inNumber, rally: parseInt(row.getAttribute('data-rally'), 10) || 1 });
+                });
+
+                const starters = lineup.starters.filter(number => number);
+                if (new Set(starters).size !== starters.length) {
+                    errors.push(`${teamLabel}: a player is listed in more than one zone`);
                 }
+                if (lineup.libero && starters.includes(lineup.libero)) {
+                    errors.push(`${teamLabel}: the libero can't also be a starter`);
+                }
+
+                // Play the substitutions through to check each one is possible
+                const onCourt = [...lineup.starters];
+                lineup.substitutions.forEach(sub => {
+                    const slot = onCourt.indexOf(sub.out);
+                    if (slot === -1) {
+                        errors.push(`${teamLabel}: #${sub.out} isn't on court to be substituted`);
+                    } else if (onCourt.includes(sub.in)) {
+                        errors.push(`${teamLabel}: #${sub.in} is already on court`);
+                    } else {
+                        onCourt[slot] = sub.in;
+                    }
+                });
+
+                const isBlank = starters.length === 0 && !lineup.libero && lineup.substitutions.length === 0;
+                lineups[team] = isBlank ? null : lineup;
             });
+
+            return { lineups, errors };
+        }
+
+        /**
+         * Update match status display and controls
+         * @param {MatchState} match
+         * @param {boolean} isViewOnly
+         */
+        updateMatchInfo(match, isViewOnly) {
+            const info = this.elements.matchInfo;
+            if (info) {
+                const setScores = match.sets.map(set => `${set.us}-${set.opp}`).join(', ');
+                info.textContent = `Set ${match.setNumber} · Rally ${match.rallyIndex} · Us ${match.score.us} - ${match.score.opp} Opp` +
+                    (setScores ? ` (Sets: ${setScores})` : '');
+            }
             
-            // Sort jersey numbers in ascending order
-            const sortedJerseyNumbers = Object.keys(jerseyNumberCounts)
-                .map(n => parseInt(n, 10))
-                .sort((a, b) => a - b);
-            
-            // Build the list HTML
-            let html = '';
+            const oppRotationSelect = this.elements.oppRotationSelect;
+            if (oppRotationSelect) oppRotationSelect.value = String(match.rotations.opp);
+            const servingSelect = this.elements.servingSelect;
+            if (servingSelect) servingSelect.value = match.serving || '';
             
-            // Add blank lines at top if any exist
-            if (blankCount > 0) {
-                const isActive = activeFilters && activeFilters.has('-');
-                html += `<button class="jersey-number-list-item${isActive ? ' active' : ''}" data-jersey-number="-">- [${blankCount}]</button>`;
+            ['pointUsBtn', 'pointOppBtn', 'nextRallyBtn', 'newSetBtn', 'lineupBtn', 'oppRotationSelect', 'servingSelect'].forEach(id => {
+                const btn = this.elements[id];
+                if (btn) btn.disabled = isViewOnly;
+            });
+        }
+        
+        /**
+         * Show the properties of the selected point for editing, or hide the panel
+         * @param {Point|null} point
+         */
+        renderPointProperties(point) {
+            const panel = this.elements.pointPropertiesPanel;
+            const fieldsEl = this.elements.pointPropertiesFields;
+            if (!panel || !fieldsEl) return;
+            if (!point) {
+                panel.style.display = 'none';
+                return;
             }
             
-            // Add lines with jersey numbers
-            sortedJerseyNumbers.forEach(num => {
-                const count = jerseyNumberCounts[num];
-                const isActive = activeFilters && activeFilters.has(String(num));
-                html += `<button class="jersey-number-list-item${isActive ? ' active' : ''}" data-jersey-number="${num}">${num} [${count}]</button>`;
-            });
+            const blankIfMissing = value => (value === null || value === undefined) ? '' : String(value);
+            const select = (prop, options, value) => `
+                <select data-prop="${prop}">
+                    ${[{ id: '', label: '-' }, ...options]
+                        .map(o => `<option value="${o.id}"${String(o.id) === blankIfMissing(value) ? ' selected' : ''}>${o.label}</option>`)
+                        .join('')}
+                </select>`;
+            const numberInput = (prop, value, min) =>
+                `<input type="number" data-prop="${prop}" min="${min}" value="${blankIfMissing(value)}">`;
+            const field = (label, control) => `<label class="point-property">${label} ${control}</label>`;
             
-            listEl.innerHTML = html;
+            const { minRotation, maxRotation } = CONFIG.validation;
+            const rotations = [];
+            for (let r = minRotation; r <= maxRotation; r++) rotations.push({ id: r, label: String(r) });
+            const score = point.score || {};
             
-            // Show/hide clear filters button - only show if more than the minimum filters are active
-            const clearBtn = this.elements.clearJerseyFiltersBtn;
-            if (clearBtn) {
-                clearBtn.style.display = (activeFilters && activeFilters.size >= CONFIG.validation.minJerseyFiltersForClear) ? 'flex' : 'none';
+            const fields = [];
+            if (point.line || isPass(point)) {
+                fields.push(field('Jersey', `<input type="text" data-prop="jerseyNumber" maxlength="2" placeholder="-" value="${escapeHtml(blankIfMissing(point.jerseyNumber))}">`));
+            }
+            if (point.line) {
+                fields.push(field('Team', select('team', [{ id: 'us', label: 'Us' }, { id: 'opp', label: 'Opp' }], point.team)));
+            }
+            if (isPass(point)) {
+                const maxRating = this.app ? this.app.state.passScale : CONFIG.passing.defaultScale;
+                const ratings = [];
+                for (let r = 0; r <= maxRating; r++) {
+                    ratings.push(`<option value="${r}"${r === point.passRating ? ' selected' : ''}>${r}</option>`);
+                }
+                fields.push(field('Pass', `<select data-prop="passRating">${ratings.join('')}</select>`));
             }
+            fields.push(field('Rotation', select('rotation', rotations, point.rotation)));
+            const tagFields = this.app ? getTagFields(this.app.state.mode) : Object.keys(TAG_FIELDS);
+            tagFields.forEach(tagField => {
+                fields.push(field(TAG_FIELDS[tagField].label, select(tagField, TAG_FIELDS[tagField].options, point[tagField])));
+            });
+            fields.push(field('Set', numberInput('set', point.set, 1)));
+            fields.push(field('Rally', numberInput('rally', point.rally, 1)));
+            fields.push(field('Score Us', numberInput('scoreUs', score.us, 0)));
+            fields.push(field('Opp', numberInput('scoreOpp', score.opp, 0)));
+            
+            fieldsEl.innerHTML = fields.join('');
+            panel.style.display = 'flex';
         }
         
         /**
-         * Update rotation list display
-         * @param {number} assignedRotation - Currently assigned rotation (1-6)
-         * @param {Set<number>} filteredRotations - Set of filtered rotations
-         * @param {boolean} isViewOnly - Whether in view-only mode
+         * Read the edited properties back from the panel
+         * @param {Point} point - Point being edited
+         * @returns {{changes: Object, errors: string[]}} Changed point properties and any problems found
          */
-        updateRotationList(assignedRotation, filteredRotations, isViewOnly = false) {
-            const listEl = this.elements.rotationList;
-            if (!listEl) return;
+        readPointProperties(point) {
+            const fieldsEl = this.elements.pointPropertiesFields;
+            const changes = {};
+            const errors = [];
+            if (!fieldsEl) return { changes, errors };
+            
+            const read = prop => {
+                const input = fieldsEl.querySelector(`[data-prop="${prop}"]`);
+                return input ? input.value.trim() : null;
+            };
+            // Returns the whole number, null for blank, or undefined (and records an error) if invalid
+            const readInteger = (prop, label, min) => {
+                const raw = read(prop);
+                if (!raw) return null;
+                const value = Number(raw);
+                if (!Number.isInteger(value) || value < min) {
+                    errors.push(`${label} must be a whole number of at least ${min}`);
+                    return undefined;
+                }
+                return value;
+            };
+            // Only record a blank field as null if the point had a value to clear
+            const setChange = (key, value) => {
+                if (value === undefined) return;
+                if (value === null && (point[key] === null || point[key] === undefined)) return;
+                changes[key] = value;
+            };
             
-            let html = '';
-            for (let i = 1; i <= 6; i++) {
-                const isAssigned = !isViewOnly && this.app && this.app.trackRotation && assignedRotation === i;
-                const isFiltered = filteredRotations && filteredRotations.has(i);
-                const classes = [];
-                if (isAssigned) classes.push('assigned');
-                if (this.app && !this.app.trackRotation) classes.push('disabled');
-                if (isFiltered) classes.push('filtered');
-                const className = classes.length > 0 ? ' ' + classes.join(' ') : '';
-                html += `<button class="rotation-list-item${className}" data-rotation="${i}">R${i}</button>`;
+            if (point.line || isPass(point)) {
+                const rawJersey = read('jerseyNumber');
+                const jerseyNumber = sanitizeJerseyNumber(rawJersey);
+                if (rawJersey && jerseyNumber !== rawJersey) {
+                    errors.push('Jersey number must be from 0-99');
+                } else {
+                    changes.jerseyNumber = jerseyNumber || null;
+                }
+            }
+            if (point.line) {
+                changes.team = read('team') || null;
+            }
+            if (isPass(point)) {
+                changes.passRating = parseInt(read('passRating'), 10);
             }
             
-            listEl.innerHTML = html;
+            const rotation = read('rotation');
+            changes.rotation = rotation ? parseInt(rotation, 10) : null;
+            const tagFields = this.app ? getTagFields(this.app.state.mode) : Object.keys(TAG_FIELDS);
+            tagFields.forEach(tagField => {
+                changes[tagField] = read(tagField) || null;
+            });
             
-            // Show/hide clear filters button - only show if at least one filter is active
-            const clearBtn = this.elements.clearRotationFiltersBtn;
-            if (clearBtn) {
-                clearBtn.style.display = (filteredRotations && filteredRotations.size > 0) ? 'flex' : 'none';
+            setChange('set', readInteger('set', 'Set', 1));
+            setChange('rally', readInteger('rally', 'Rally', 1));
+            const scoreUs = readInteger('scoreUs', 'Score (Us)', 0);
+            const scoreOpp = readInteger('scoreOpp', 'Score (Opp)', 0);
+            if (scoreUs !== undefined && scoreOpp !== undefined) {
+                if ((scoreUs === null) !== (scoreOpp === null)) {
+                    errors.push('Enter both scores or leave both blank');
+                } else {
+                    setChange('score', scoreUs === null ? null : { us: scoreUs, opp: scoreOpp });
+                }
+            }
+            
+            return { changes, errors };
+        }
+        
+        /**
+         * Show the zones typed so far in zone entry mode
+         * @param {boolean} active - Whether zone entry mode is on
+         * @param {Array<{zone: number, subZone: (string|null)}>} entries
+         * @param {boolean} isChartingMode - Lines need a start and an end zone
+         */
+        updateZoneEntry(active, entries, isChartingMode) {
+            const btn = this.elements.zoneEntryBtn;
+            if (btn) btn.classList.toggle('active', active);
+            const jitterControl = this.elements.zoneJitterControl;
+            if (jitterControl) jitterControl.style.display = active ? '' : 'none';
+            
+            const display = this.elements.zoneEntryDisplay;
+            if (!display) return;
+            display.style.display = active ? '' : 'none';
+            const typed = entries.map(entry => `${entry.zone}${entry.subZone || ''}`);
+            const slots = isChartingMode ? 2 : 1;
+            while (typed.length < slots) typed.push('_');
+            display.textContent = `Zone: ${typed.join(' → ')}`;
+        }
+        
+        /**
+         * Show the value control for the field chosen in the "Apply to Filtered" bar
+         * @param {string} field - 'delete', 'jerseyNumber', 'team', 'rotation', 'set' or a TAG_FIELDS key
+         */
+        renderBulkValue(field) {
+            const valueEl = this.elements.bulkValueField;
+            if (!valueEl) return;
+            
+            const select = options => `
+                <select id="bulkValueInput">
+                    ${[{ id: '', label: '-' }, ...options].map(o => `<option value="${o.id}">${o.label}</option>`).join('')}
+                </select>`;
+            
+            if (field === 'jerseyNumber') {
+                valueEl.innerHTML = '<input type="text" id="bulkValueInput" maxlength="2" placeholder="-">';
+            } else if (field === 'team') {
+                valueEl.innerHTML = select([{ id: 'us', label: 'Us' }, { id: 'opp', label: 'Opp' }]);
+            } else if (field === 'rotation') {
+                const { minRotation, maxRotation } = CONFIG.validation;
+                const rotations = [];
+                for (let r = minRotation; r <= maxRotation; r++) rotations.push({ id: r, label: String(r) });
+                valueEl.innerHTML = select(rotations);
+            } else if (field === 'set') {
+                valueEl.innerHTML = '<input type="number" id="bulkValueInput" min="1" placeholder="-">';
+            } else if (TAG_FIELDS[field]) {
+                valueEl.innerHTML = select(TAG_FIELDS[field].options);
+            } else {
+                valueEl.innerHTML = '';
+            }
+        }
+        
+        /**
+         * Read the value to set from the "Apply to Filtered" bar
+         * @param {string} field
+         * @returns {{value: (string|number|null), error: (string|null)}} A blank value clears the field
+         */
+        readBulkValue(field) {
+            const input = this.elements.bulkValueField && this.elements.bulkValueField.querySelector('#bulkValueInput');
+            const raw = input ? input.value.trim() : '';
+            if (!raw) return { value: null, error: null };
+            
+            if (field === 'jerseyNumber') {
+                const jerseyNumber = sanitizeJerseyNumber(raw);
+                return jerseyNumber === raw
+                    ? { value: jerseyNumber, error: null }
+                    : { value: null, error: 'Jersey number must be from 0-99' };
+            }
+            if (field === 'rotation') {
+                return { value: parseInt(raw, 10), error: null };
+            }
+            if (field === 'set') {
+                const value = Number(raw);
+                return Number.isInteger(value) && value >= 1
+                    ? { value, error: null }
+                    : { value: null, error: 'Set must be a whole number of at least 1' };
+            }
+            return { value: raw, error: null };
+        }
+        
+        /**
+         * Update the "Apply to Filtered" bar
+         * @param {number} matchCount - Points matching the active filters
+         * @param {string} mode - Jersey applies to lines and passes, team only to lines, tags to their modes
+         * @param {boolean} isViewOnly
+         */
+        updateBulkPanel(matchCount, mode, isViewOnly) {
+            const panel = this.elements.bulkPanel;
+            if (!panel) return;
+            panel.style.display = isViewOnly ? 'none' : 'flex';
+            
+            const countEl = this.elements.bulkMatchCount;
+            if (countEl) countEl.textContent = `${matchCount} point${matchCount === 1 ? '' : 's'}`;
+            
+            const fieldSelect = this.elements.bulkFieldSelect;
+            if (fieldSelect) {
+                const available = {
+                    jerseyNumber: isLineMode(mode) || mode === 'passing',
+                    team: isLineMode(mode)
+                };
+                Object.keys(TAG_FIELDS).forEach(field => {
+                    available[field] = TAG_FIELDS[field].modes.includes(mode);
+                });
+                Object.keys(available).forEach(field => {
+                    const option = fieldSelect.querySelector(`option[value="${field}"]`);
+                    if (option) option.hidden = !available[field];
+                });
+                if (available[fieldSelect.value] === false) {
+                    fieldSelect.value = 'delete';
+                    this.renderBulkValue('delete');
+                }
             }
+            
+            const applyBtn = this.elements.applyBulkBtn;
+            if (applyBtn) applyBtn.disabled = matchCount === 0;
         }
         
         /**
@@ -1468,6 +5248,20 @@
             if (redoBtn) redoBtn.disabled = !canRedo || isViewOnly;
             if (clearBtn) clearBtn.disabled = isViewOnly;
             if (saveBtn) saveBtn.disabled = isViewOnly;
+            if (this.elements.rosterBtn) this.elements.rosterBtn.disabled = isViewOnly;
+            if (this.elements.zoneEntryBtn) this.elements.zoneEntryBtn.disabled = isViewOnly;
+            
+            // Update point editing controls
+            const editPointsBtn = this.elements.editPointsBtn;
+            if (editPointsBtn && this.app) {
+                editPointsBtn.disabled = isViewOnly;
+                editPointsBtn.textContent = this.app.editMode ? 'Done Editing' : 'Edit Points';
+                editPointsBtn.classList.toggle('active', this.app.editMode);
+            }
+            const deletePointBtn = this.elements.deletePointBtn;
+            if (deletePointBtn && this.app) {
+                deletePointBtn.style.display = this.app.editMode && this.app.getSelectedPoint() ? '' : 'none';
+            }
 
             // Update Track Rotation button state (toggle class instead of disabled)
             const trackRotationBtn = this.elements.trackRotationBtn;
@@ -1484,7 +5278,7 @@
             // Show/hide team buttons based on trackTeam state and mode
             const teamButtons = this.elements.teamButtons;
             if (teamButtons && this.app) {
-                const shouldShowTeamButtons = this.app.state.mode === 'heatmapCharting' && this.app.trackTeam;
+                const shouldShowTeamButtons = isLineMode(this.app.state.mode) && this.app.trackTeam;
                 teamButtons.style.display = shouldShowTeamButtons ? 'flex' : 'none';
             }
         }
@@ -1510,12 +5304,12 @@
         /**
          * Update mode banner
          * @param {string} mode
+         * @param {CourtTemplate} court
          */
-        updateModeBanner(mode) {
+        updateModeBanner(mode, court) {
             const banner = this.elements.modeBanner;
             if (banner) {
-                const modeText = mode === 'heatmapCharting' ? 'HEATMAP AND CHARTING MODE' : 'SIMPLE HEATMAP MODE';
-                banner.textContent = modeText;
+                banner.textContent = `${CONFIG.modes[mode].label.toUpperCase()} MODE · ${court.label.toUpperCase()} COURT`;
                 banner.style.display = 'block';
             }
         }
@@ -1524,7 +5318,8 @@
          * Show main application
          */
         showApp() {
-            this.showModal(null, ['sessionModal', 'loadModal', 'mainContainer']);
+            this.showModal(null, ['sessionModal', 'loadModal', 'mainContainer',
+                'combineModeModal', 'combineFilesModal', 'saveCombinedModal']);
         }
         
         /**
@@ -1575,13 +5370,50 @@
          * Cleanup all event listeners
          */
         cleanup() {
-            this.eventListeners.forEach(({ element, event, handler }) => {
-                element.removeEventListener(event, handler);
+            this.eventListeners.forEach(({ element, event, handler, options }) => {
+                element.removeEventListener(event, handler, options);
             });
             this.eventListeners = [];
         }
     }
 
+    // =====================================================
+    // USER PREFERENCES
+    // =====================================================
+
+    /**
+     * Display preferences kept in localStorage between visits. Storage can be
+     * unavailable or full (private browsing), so failures only log a warning.
+     */
+    const Preferences = {
+        /**
+         * Read the stored preferences
+         * @returns {Object}
+         */
+        load() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(CONFIG.preferences.storageKey));
+                return (stored && typeof stored === 'object') ? stored : {};
+            } catch (error) {
+                Logger.warn('Could not read preferences:', error);
+                return {};
+            }
+        },
+        
+        /**
+         * Store preferences, merged into the ones already stored
+         * @param {Object} changes
+         */
+        save(changes) {
+            try {
+                const prefs = { ...this.load(), ...changes };
+                localStorage.setItem(CONFIG.preferences.storageKey, JSON.stringify(prefs));
+            } catch (error) {
+                Logger.warn('Could not save preferences:', error);
+            }
+        }
+    };
+
     // =====================================================
     // FILE MANAGER CLASS
     // =====================================================
@@ -1599,24 +5431,49 @@
                 const blob = new Blob([JSON.stringify(sessionData, null, 2)], { 
                     type: 'application/json' 
                 });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
                 
                 // Use mode-specific file suffix
-                const suffix = sessionData.mode === 'heatmapCharting' ? '_hmc' : '_shm';
-                a.download = `${sessionData.name.replace(/[^a-z0-9]/gi, '_')}${suffix}.json`;
-                
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
+                const suffix = CONFIG.modes[sessionData.mode].fileSuffix;
+                FileManager.download(blob, `${sessionData.name.replace(/[^a-z0-9]/gi, '_')}${suffix}.json`);
             } catch (error) {
                 console.error('Error saving file:', error);
                 alert('Error saving session file. Please try again. If the problem persists, check your browser\'s download settings and available disk space.');
             }
         }
         
+        /**
+         * Save a table to a CSV file
+         * @param {string} name - File name without the extension
+         * @param {string[][]} rows
+         */
+        static saveCsv(name, rows) {
+            try {
+                const quote = cell => /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+                const csv = rows.map(row => row.map(quote).join(',')).join('\n');
+                FileManager.download(new Blob([csv], { type: 'text/csv' }), `${name.replace(/[^a-z0-9]/gi, '_')}.csv`);
+            } catch (error) {
+                console.error('Error saving file:', error);
+                alert('Error saving table file. Please try again. If the problem persists, check your browser\'s download settings and available disk space.');
+            }
+        }
+        
+        /**
+         * Download a blob as a file
+         * @param {Blob} blob
+         * @param {string} fileName
+         */
+        static download(blob, fileName) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = fileName;
+            
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }
+        
         /**
          * Load session from file
          * @param {File} file
@@ -1688,6 +5545,11 @@
                 throw new Error(`Invalid session file: mode must be one of ${CONFIG.validation.validModes.join(', ')}`);
             }
             
+            // Court is optional (files saved before court selection are indoor)
+            if (data.court !== undefined) {
+                FileManager.validateCourt(data.court);
+            }
+            
             if (!Array.isArray(data.points)) {
                 throw new Error('Invalid session file: points must be an array');
             }
@@ -1697,6 +5559,17 @@
                 FileManager.validatePoint(point, i);
             });
             
+            // Pass rating scale is optional (files saved before passing mode don't have it)
+            if (data.passScale !== undefined) {
+                if (!CONFIG.passing.scales.includes(data.passScale)) {
+                    throw new Error(`Invalid session file: passScale must be one of ${CONFIG.passing.scales.join(', ')}`);
+                }
+                const overScale = data.points.findIndex(point => isPass(point) && point.passRating > data.passScale);
+                if (overScale >= 0) {
+                    throw new Error(`Invalid session file: point ${overScale} has a pass rating above ${data.passScale}`);
+                }
+            }
+            
             // Validate undo/redo stacks if present
             if (data.undoStack && !Array.isArray(data.undoStack)) {
                 throw new Error('Invalid session file: undoStack must be an array');
@@ -1705,12 +5578,330 @@
             if (data.redoStack && !Array.isArray(data.redoStack)) {
                 throw new Error('Invalid session file: redoStack must be an array');
             }
+            
+            FileManager.validateHistory(data);
+            
+            // Match state is optional (files saved before match tracking don't have it)
+            if (data.match !== undefined) {
+                FileManager.validateMatch(data.match);
+            }
+            
+            // Roster is optional (files saved before rosters don't have it)
+            if (data.roster !== undefined) {
+                FileManager.validateRoster(data.roster);
+            }
+            
+            // Lineups are optional (files saved before lineups don't have them)
+            if (data.lineups !== undefined) {
+                FileManager.validateLineups(data.lineups);
+            }
+        }
+        
+        /**
+         * Validate the undo/redo stacks. The stacks are walked from the current points, back
+         * through the undo stack and forward through the redo stack, so every point index
+         * is checked against the number of points there are when its step runs.
+         * @param {Object} data - Session data whose points are valid
+         * @throws {Error} If validation fails
+         */
+        static validateHistory(data) {
+            ['undoStack', 'redoStack'].forEach(name => {
+                const stack = data[name] || [];
+                const undoing = name === 'undoStack';
+                let count = data.points.length;
+                // The top of the stack runs first
+                for (let i = stack.length - 1; i >= 0; i--) {
+                    const entry = stack[i];
+                    const where = `${name}[${i}]`;
+                    // Files saved before undoable commands store 'add'/'clear' actions
+                    if (entry && entry.action === 'add') {
+                        FileManager.validatePoint(entry.point, `in ${where}`);
+                        if (undoing && count === 0) {
+                            throw new Error(`Invalid session file: ${where} removes a point that is not there`);
+                        }
+                        count += undoing ? -1 : 1;
+                    } else if (entry && entry.action === 'clear') {
+                        const cleared = entry.points || [];
+                        if (!Array.isArray(cleared)) {
+                            throw new Error(`Invalid session file: ${where} cleared points must be an array`);
+                        }
+                        cleared.forEach((point, j) => FileManager.validatePoint(point, `${j} in ${where}`));
+                        count = undoing ? cleared.length : 0;
+                    } else {
+                        count = FileManager.validateCommand(entry, count, undoing, where);
+                    }
+                }
+            });
+        }
+        
+        /**
+         * Validate an undo/redo command
+         * @param {Object} command
+         * @param {number} count - Number of points before the command runs
+         * @param {boolean} undoing - True if the command is reverted, false if it is applied
+         * @param {string} where - Where the command is stored, for errors, e.g. 'undoStack[3]'
+         * @returns {number} Number of points after the command runs
+         * @throws {Error} If validation fails
+         */
+        static validateCommand(command, count, undoing, where) {
+            const fail = problem => {
+                throw new Error(`Invalid session file: ${where} ${problem}`);
+            };
+            if (!command || typeof command !== 'object' || typeof command.type !== 'string') {
+                fail('is not an undo step');
+            }
+            
+            // Removing and updating need an existing point; inserting can also append
+            const checkIndex = max => {
+                if (!Number.isInteger(command.index) || command.index < 0 || command.index > max) {
+                    fail(`has point index ${command.index}, but there are ${count} points`);
+                }
+            };
+            const checkPointList = field => {
+                if (!Array.isArray(command[field])) fail(`${field} must be an array of points`);
+                command[field].forEach((point, i) => FileManager.validatePoint(point, `${i} in ${where} ${field}`));
+            };
+            const isTeam = team => team === 'us' || team === 'opp';
+            const { minRotation, maxRotation } = CONFIG.validation;
+            const isRotation = r => Number.isInteger(r) && r >= minRotation && r <= maxRotation;
+            const isMatchPosition = position => !!position && typeof position === 'object' &&
+                Number.isInteger(position.setNumber) && position.setNumber >= 1 &&
+                Number.isInteger(position.rallyIndex) && position.rallyIndex >= 1 &&
+                FileManager.isValidScore(position.score) && Array.isArray(position.sets) &&
+                (position.serving === undefined || position.serving === null || isTeam(position.serving));
+            
+            switch (command.type) {
+                case 'insert':
+                    checkIndex(undoing ? count - 1 : count);
+                    FileManager.validatePoint(command.point, `in ${where}`);
+                    return undoing ? count - 1 : count + 1;
+                case 'remove':
+                    checkIndex(undoing ? count : count - 1);
+                    FileManager.validatePoint(command.point, `in ${where}`);
+                    return undoing ? count + 1 : count - 1;
+                case 'update':
+                    checkIndex(count - 1);
+                    FileManager.validatePoint(command.before, `before in ${where}`);
+                    FileManager.validatePoint(command.after, `after in ${where}`);
+                    return count;
+                case 'replaceAll':
+                    checkPointList('before');
+                    checkPointList('after');
+                    return undoing ? command.before.length : command.after.length;
+                case 'match': {
+                    if (!isMatchPosition(command.before) || !isMatchPosition(command.after)) {
+                        fail('needs a valid match position before and after');
+                    }
+                    const { rally, rotation } = command;
+                    if (rally !== undefined && rally !== null && (typeof rally !== 'object' || !isTeam(rally.winner))) {
+                        fail('has a rally without a winning team');
+                    }
+                    if (rotation !== undefined &&
+                        (!rotation || !isTeam(rotation.team) || !isRotation(rotation.before) || !isRotation(rotation.after))) {
+                        fail(`has an invalid rotation (must be ${minRotation}-${maxRotation})`);
+                    }
+                    return count;
+                }
+                case 'roster':
+                    ['before', 'after'].forEach(field => {
+                        const roster = command[field];
+                        if (!roster || !Array.isArray(roster.us) || !Array.isArray(roster.opp)) {
+                            fail(`needs a ${field} roster for both teams`);
+                        }
+                        FileManager.validateRoster(roster);
+                    });
+                    return count;
+                case 'lineup':
+                    if (!isTeam(command.team) || !Number.isInteger(command.setNumber) || command.setNumber < 1) {
+                        fail('needs a team and set number');
+                    }
+                    ['before', 'after'].forEach(field => {
+                        // Null when the team had no lineup for the set
+                        if (command[field] === null) return;
+                        FileManager.validateLineups({ [command.team]: { [command.setNumber]: command[field] } });
+                    });
+                    return count;
+                case 'group': {
+                    if (!Array.isArray(command.commands)) fail('must have an array of commands');
+                    // Reverting a group reverts its commands last first
+                    const order = command.commands.map((c, i) => i);
+                    if (undoing) order.reverse();
+                    return order.reduce(
+                        (n, i) => FileManager.validateCommand(command.commands[i], n, undoing, `${where} command ${i}`),
+                        count
+                    );
+                }
+                default:
+                    return fail(`has unknown type '${command.type}'`);
+            }
+        }
+        
+        /**
+         * Validate lineups
+         * @param {Object} lineups
+         * @throws {Error} If validation fails
+         */
+        static validateLineups(lineups) {
+            if (!lineups || typeof lineups !== 'object') {
+                throw new Error('Invalid session file: lineups is not an object');
+            }
+            
+            const isJersey = value => sanitizeJerseyNumber(value) === value;
+            const isJerseyOrBlank = value => value === '' || isJersey(value);
+            
+            ['us', 'opp'].forEach(team => {
+                if (lineups[team] === undefined) return;
+                if (!lineups[team] || typeof lineups[team] !== 'object') {
+                    throw new Error(`Invalid session file: lineups for '${team}' must be an object`);
+                }
+                Object.keys(lineups[team]).forEach(setKey => {
+                    const lineup = lineups[team][setKey];
+                    const where = `lineup for '${team}' set ${setKey}`;
+                    if (!/^[1-9]\d*$/.test(setKey) || !lineup || typeof lineup !== 'object') {
+                        throw new Error(`Invalid session file: ${where} is not valid`);
+                    }
+                    if (!Array.isArray(lineup.starters) || lineup.starters.length !== 6 || !lineup.starters.every(isJerseyOrBlank)) {
+                        throw new Error(`Invalid session file: ${where} needs 6 starters with jersey numbers (0-99)`);
+                    }
+                    if (!isJerseyOrBlank(lineup.libero) || !Array.isArray(lineup.liberoFor) || !lineup.liberoFor.every(isJersey)) {
+                        throw new Error(`Invalid session file: ${where} has an invalid libero`);
+                    }
+                    if (!Array.isArray(lineup.substitutions) ||
+                        !lineup.substitutions.every(sub => sub && isJersey(sub.out) && isJersey(sub.in))) {
+                        throw new Error(`Invalid session file: ${where} has an invalid substitution`);
+                    }
+                });
+            });
+        }
+        
+        /**
+         * Validate roster
+         * @param {Object} roster
+         * @throws {Error} If validation fails
+         */
+        static validateRoster(roster) {
+            if (!roster || typeof roster !== 'object') {
+                throw new Error('Invalid session file: roster is not an object');
+            }
+            
+            ['us', 'opp'].forEach(team => {
+                if (roster[team] === undefined) return;
+                if (!Array.isArray(roster[team])) {
+                    throw new Error(`Invalid session file: roster for '${team}' must be an array`);
+                }
+                roster[team].forEach((player, i) => {
+                    if (!player || typeof player !== 'object' ||
+                        sanitizeJerseyNumber(player.number) !== player.number ||
+                        typeof player.name !== 'string') {
+                        throw new Error(`Invalid session file: roster player ${i} for '${team}' needs a jersey number (0-99) and name`);
+                    }
+                    if (player.position && !CONFIG.roster.positions.includes(player.position)) {
+                        throw new Error(`Invalid session file: roster player ${i} for '${team}' has unknown position '${player.position}'`);
+                    }
+                });
+            });
+        }
+        
+        /**
+         * Validate match state
+         * @param {Object} match
+         * @throws {Error} If validation fails
+         */
+        static validateMatch(match) {
+            if (!match || typeof match !== 'object') {
+                throw new Error('Invalid session file: match is not an object');
+            }
+            
+            if (!Number.isInteger(match.setNumber) || match.setNumber < 1 ||
+                !Number.isInteger(match.rallyIndex) || match.rallyIndex < 1) {
+                throw new Error('Invalid session file: match must have a valid set number and rally index');
+            }
+            
+            if (!FileManager.isValidScore(match.score)) {
+                throw new Error('Invalid session file: match has an invalid score');
+            }
+            
+            if ((match.sets !== undefined && !Array.isArray(match.sets)) ||
+                (match.rallies !== undefined && !Array.isArray(match.rallies))) {
+                throw new Error('Invalid session file: match sets and rallies must be arrays');
+            }
+            
+            // Serving team and rotations are optional (files saved before auto-rotation don't have them)
+            if (match.serving !== undefined && match.serving !== null && match.serving !== 'us' && match.serving !== 'opp') {
+                throw new Error('Invalid session file: match serving team must be us or opp');
+            }
+            if (match.rotations !== undefined) {
+                const { minRotation, maxRotation } = CONFIG.validation;
+                const isRotation = r => r === undefined || (Number.isInteger(r) && r >= minRotation && r <= maxRotation);
+                if (!match.rotations || typeof match.rotations !== 'object' ||
+                    !isRotation(match.rotations.us) || !isRotation(match.rotations.opp)) {
+                    throw new Error(`Invalid session file: match rotations must be ${minRotation}-${maxRotation}`);
+                }
+            }
+        }
+        
+        /**
+         * Check a score object
+         * @param {*} score
+         * @returns {boolean} True if score has non-negative integer us/opp values
+         */
+        static isValidScore(score) {
+            return !!score && typeof score === 'object' &&
+                Number.isInteger(score.us) && score.us >= 0 &&
+                Number.isInteger(score.opp) && score.opp >= 0;
+        }
+        
+        /**
+         * Validate a session's court: a court template, or a CONFIG.courts key in files
+         * saved before templates
+         * @param {CourtTemplate|string} court
+         * @throws {Error} If validation fails
+         */
+        static validateCourt(court) {
+            const courts = Object.keys(CONFIG.courts);
+            if (typeof court === 'string') {
+                if (!courts.includes(court)) {
+                    throw new Error(`Invalid session file: court must be a court template or one of ${courts.join(', ')}`);
+                }
+                return;
+            }
+            if (!court || typeof court !== 'object') {
+                throw new Error('Invalid session file: court must be a court template');
+            }
+            
+            if (typeof court.label !== 'string' || !court.label.trim()) {
+                throw new Error('Invalid session file: court template is missing its label');
+            }
+            
+            const max = CONFIG.validation.maxCourtMeters;
+            ['width', 'depth', 'freeZone', 'netWidth'].forEach(field => {
+                const value = court[field];
+                if (typeof value !== 'number' || !(value > 0) || value > max) {
+                    throw new Error(`Invalid session file: court ${field} must be a number of meters above 0 and up to ${max}`);
+                }
+            });
+            
+            // Lines and bands are measured from the net, inside the court
+            const isDepth = value => typeof value === 'number' && value > 0 && value <= court.depth;
+            if (court.attackLine !== undefined && court.attackLine !== null && !isDepth(court.attackLine)) {
+                throw new Error('Invalid session file: court attackLine must be null or a distance from the net inside the court');
+            }
+            if (court.zoneLines !== undefined && (!Array.isArray(court.zoneLines) || !court.zoneLines.every(isDepth))) {
+                throw new Error('Invalid session file: court zoneLines must be distances from the net inside the court');
+            }
+            if (court.fills !== undefined) {
+                const isFill = (fill, i) => fill && isDepth(fill.to) && typeof fill.color === 'string' &&
+                    (i === 0 || fill.to > court.fills[i - 1].to);
+                if (!Array.isArray(court.fills) || !court.fills.every(isFill)) {
+                    throw new Error('Invalid session file: court fills must have a color and end further from the net than the band before');
+                }
+            }
         }
         
         /**
          * Validate a single point
          * @param {Object} point
-         * @param {number} index
+         * @param {number|string} index - Index in the points, or where else the point is stored
          * @throws {Error} If validation fails
          */
         static validatePoint(point, index) {
@@ -1735,6 +5926,30 @@
                     throw new Error(`Invalid session file: point ${index} missing valid rotation (must be ${minRotation}-${maxRotation})`);
                 }
             }
+
+            // Match context is optional (points charted before match tracking don't have it)
+            if (point.set !== undefined && point.set !== null && (!Number.isInteger(point.set) || point.set < 1)) {
+                throw new Error(`Invalid session file: point ${index} has an invalid set number`);
+            }
+            if (point.score !== undefined && point.score !== null && !FileManager.isValidScore(point.score)) {
+                throw new Error(`Invalid session file: point ${index} has an invalid score`);
+            }
+            
+            const maxPassRating = Math.max(...CONFIG.passing.scales);
+            if (point.passRating !== undefined &&
+                (!Number.isInteger(point.passRating) || point.passRating < 0 || point.passRating > maxPassRating)) {
+                throw new Error(`Invalid session file: point ${index} has an invalid pass rating (must be 0-${maxPassRating})`);
+            }
+            
+            // Tags are optional, but must be one of the configured values when present
+            Object.keys(TAG_FIELDS).forEach(field => {
+                const value = point[field];
+                if (value === null || value === undefined) return;
+                const validIds = TAG_FIELDS[field].options.map(o => o.id);
+                if (!validIds.includes(value)) {
+                    throw new Error(`Invalid session file: point ${index} has unknown ${field} '${value}' (must be one of ${validIds.join(', ')})`);
+                }
+            });
         }
         
         /**
@@ -1787,9 +6002,39 @@
             // Drawing state for charting mode
             this.isDrawing = false;
             this.lineStart = null;
-            this.tempCanvas = null; // For temporary line preview
+            this.activePointerId = null; // Pointer drawing or dragging on the canvas (one at a time)
+            this.lastPenTime = 0; // When pen input was last seen, for palm rejection
+            this.zoneEntryMode = false; // Numpad zone entry instead of drawing
+            this.zoneJitter = true; // Spread zone-entered points around the zone center
+            this.zoneEntryKeys = []; // Zones typed so far: [{zone, subZone}]
+            this.pendingPass = null; // { x, y } of a reception waiting for its rating (passing mode)
+            this.heatmapStyle = 'clouds'; // 'clouds' or 'density'
+            this.heatmapSource = 'landing'; // Line position the heatmap is drawn from: 'landing', 'origin' or 'both'
+            /** @type {Comparison|null} */
+            this.comparison = null; // Two point sets shown as a difference map
+            /** @type {DensityOptions} */
+            this.densityOptions = {
+                bandwidth: config.density.bandwidth.default,
+                scale: 'max',
+                fixedMax: config.density.defaultFixedMax
+            };
+            this.zoneOverlay = {
+                visible: false,
+                layout: 'six', // Key of CONFIG.zoneOverlay.layouts
+                columns: config.zoneOverlay.defaultGrid.columns,
+                rows: config.zoneOverlay.defaultGrid.rows
+            };
+            this.previewCanvas = null; // For temporary line preview
             this.tempCtx = null;
+            this.resizeFrame = null; // Pending animation frame for a window resize
+            /** @type {View} */
+            this.view = DEFAULT_VIEW;
+            this.viewFrame = null; // Pending animation frame for a view change
+            this.panState = null; // Mouse or pen drag panning the view: {start, view}
+            this.touchPoints = new Map(); // Touches on the canvas by pointer id, in display positions
+            this.pinchState = null; // Two-finger pinch zooming and panning the view: {center, distance, view}
             this.currentJerseyNumber = ''; // Current jersey number being typed
+            this.jerseyPrefilled = false; // True while currentJerseyNumber was filled in from the lineup
             /**
              * Active jersey number filters for display.
              * 
@@ -1801,16 +6046,34 @@
              */
             this.activeJerseyNumberFilters = new Set();
             this.linesVisible = true; // Toggle for line visibility
+            
+            // Point editing state
+            this.editMode = false; // When on, the canvas selects and moves points instead of adding them
+            this.selection = null; // PointHit for the selected point
+            this.dragState = null; // { hit, startX, startY, preview } while dragging the selection
             this.trackRotation = true; // Toggle for rotation tracking
             this.trackTeam = true; // Toggle for team tracking
             
             // Rotation state
-            this.currentRotation = 1; // Current rotation selected for assignment (1-6)
+            // Current rotations live in the match state (see currentRotation / oppRotation)
             this.activeRotationFilters = new Set(); // Active rotation filters for display (supports multiple)
             
+            // Match filters
+            this.activeSetFilters = new Set(); // Set numbers to show ('-' for points without a set)
+            this.activeSituationFilters = new Set(); // Score situation ids to show
+            this.activeTeamFilters = new Set(); // Teams to show ('-' for points without a team)
+            
             // Team state
             this.currentTeam = 'us'; // Current team selected for assignment ('us' or 'opp')
             
+            // Tag state (see TAG_FIELDS) - assigned tag per field and active filters per field
+            this.currentTags = {};
+            this.activeTagFilters = {};
+            Object.keys(TAG_FIELDS).forEach(field => {
+                this.currentTags[field] = null;
+                this.activeTagFilters[field] = new Set();
+            });
+            
             // Session state tracking
             this.hasUnsavedChanges = false; // Track if current session has unsaved changes
             
@@ -1821,30 +6084,38 @@
         }
         
         /**
-         * Update geometry based on mode
+         * Current "Us" rotation (1-6) used for new points
+         * @type {number}
+         */
+        get currentRotation() {
+            return this.state.match.rotations.us;
+        }
+        
+        set currentRotation(rotation) {
+            this.state.match.rotations.us = rotation;
+        }
+        
+        /**
+         * Current opponent rotation (1-6), used to look up their lineup
+         * @type {number}
+         */
+        get oppRotation() {
+            return this.state.match.rotations.opp;
+        }
+        
+        set oppRotation(rotation) {
+            this.state.match.rotations.opp = rotation;
+        }
+        
+        /**
+         * Update geometry based on mode and court
          * @param {string} mode
+         * @param {CourtTemplate} court
          */
-        updateGeometry(mode) {
-            this.geometry = new GridGeometry(this.config, mode);
-            
-            // Update canvas dimensions
-            const canvasHeight = this.geometry.canvasHeight;
-            [this.gridCanvas, this.heatmapCanvas, this.overlayCanvas].forEach(canvasManager => {
-                if (canvasManager && canvasManager.canvas) {
-                    canvasManager.canvas.height = canvasHeight;
-                }
-            });
-            
-            // Update temp canvas dimensions if it exists
-            if (this.tempCanvas) {
-                this.tempCanvas.height = canvasHeight;
-            }
-            
-            // Update canvas container height
-            const canvasContainer = document.querySelector('.canvas-container');
-            if (canvasContainer) {
-                canvasContainer.style.height = `${canvasHeight}px`;
-            }
+        updateGeometry(mode, court) {
+            this.geometry = new GridGeometry(this.config, mode, court);
+            this.view = DEFAULT_VIEW; // The old view may not fit the new court
+            this.resizeCanvases();
             
             // Update renderer references
             if (this.gridRenderer) {
@@ -1863,7 +6134,7 @@
                 this.initCanvases();
                 this.initUI();
                 this.initEventListeners();
-                this.gridRenderer.draw();
+                this.setPalette(Preferences.load().palette);
                 this.updateUI();
             } catch (error) {
                 console.error('Initialization error:', error);
@@ -1881,20 +6152,202 @@
             
             this.gridRenderer = new GridRenderer(this.gridCanvas, this.geometry, this.config);
             this.heatmapRenderer = new HeatmapRenderer(this.heatmapCanvas, this.overlayCanvas, this.config);
+            this.heatmapRenderer.geometry = this.geometry;
+            // Draw the heatmap in a worker so large sessions don't block the page; the legends follow when it is shown
+            this.heatmapRenderer.worker = HeatmapWorker.create();
+            this.heatmapRenderer.onLayerDrawn = () => {
+                this.updateDensityDisplay();
+                this.updateComparisonDisplay();
+            };
+            this.zoneCanvas = new CanvasManager('zoneCanvas');
+            this.zoneRenderer = new ZoneRenderer(this.zoneCanvas, this.config);
+            
+            // Temporary canvas for line preview
+            this.previewCanvas = new CanvasManager('previewCanvas');
+            this.tempCtx = this.previewCanvas.ctx;
+            
+            this.resizeCanvases();
+        }
+        
+        /**
+         * Get how many CSS pixels each geometry unit takes, so the canvas fits the window
+         * @returns {number}
+         */
+        getDisplayScale() {
+            const { minScale, maxScale, reservedWidth, reservedHeight } = this.config.display;
+            const fit = Math.min(
+                (window.innerWidth - reservedWidth) / this.geometry.canvasWidth,
+                (window.innerHeight - reservedHeight) / this.geometry.canvasHeight
+            );
+            return Number.isFinite(fit) ? Math.min(maxScale, Math.max(minScale, fit)) : 1;
+        }
+        
+        /**
+         * Size all canvases to the geometry and the window. This clears them.
+         */
+        resizeCanvases() {
+            const width = this.geometry.canvasWidth;
+            const height = this.geometry.canvasHeight;
+            const displayScale = this.getDisplayScale();
+            this.getCanvasManagers().forEach(canvasManager => {
+                canvasManager.resize(width, height, displayScale);
+                canvasManager.setView(this.view);
+            });
+            this.ui.updateViewControls(this.view);
             
-            // Create temporary canvas for line preview
-            this.tempCanvas = document.createElement('canvas');
-            this.tempCanvas.width = this.overlayCanvas.canvas.width;
-            this.tempCanvas.height = this.overlayCanvas.canvas.height;
-            this.tempCanvas.style.position = 'absolute';
-            this.tempCanvas.style.top = '0';
-            this.tempCanvas.style.left = '0';
-            this.tempCanvas.style.pointerEvents = 'none';
-            this.tempCanvas.style.zIndex = '4'; // Above overlay canvas
-            this.tempCtx = this.tempCanvas.getContext('2d');
+            const canvasContainer = document.querySelector('.canvas-container');
+            if (canvasContainer) {
+                canvasContainer.style.width = `${width * displayScale}px`;
+                canvasContainer.style.height = `${height * displayScale}px`;
+            }
+        }
+        
+        /**
+         * Refit the canvases after the window size or pixel density changed, and redraw them
+         */
+        handleResize() {
+            this.resizeCanvases();
+            this.redrawCanvases();
+        }
+        
+        /**
+         * All canvases, from the court at the bottom to the zone overlay at the top
+         * @returns {CanvasManager[]}
+         */
+        getCanvasManagers() {
+            return [this.gridCanvas, this.heatmapCanvas, this.overlayCanvas, this.previewCanvas, this.zoneCanvas];
+        }
+        
+        /**
+         * Redraw every canvas, e.g. after a resize or a view change. A line being drawn
+         * is previewed again on the next pointer move.
+         */
+        redrawCanvases() {
+            this.gridRenderer.draw();
+            this.refreshDisplay();
+            if (this.pendingPass) {
+                this.setPendingPass(this.pendingPass.x, this.pendingPass.y);
+            } else {
+                this.previewCanvas.clear();
+            }
+        }
+        
+        /**
+         * Zoom and pan all canvases, and redraw them on the next frame
+         * @param {View} view - Clamped to the canvas
+         */
+        setView(view) {
+            this.view = clampView(view, this.geometry.canvasWidth, this.geometry.canvasHeight, this.config.view.maxZoom);
+            this.getCanvasManagers().forEach(canvasManager => canvasManager.setView(this.view));
+            this.ui.updateViewControls(this.view);
+            
+            if (this.viewFrame !== null) return;
+            this.viewFrame = requestAnimationFrame(() => {
+                this.viewFrame = null;
+                this.redrawCanvases();
+            });
+        }
+        
+        /**
+         * Show the whole court again
+         */
+        resetView() {
+            this.setView(DEFAULT_VIEW);
+        }
+        
+        /**
+         * Zoom with the mouse wheel (or a trackpad pinch, which browsers report as a wheel with Ctrl)
+         * around the pointer
+         * @param {WheelEvent} event
+         */
+        handleCanvasWheel(event) {
+            const { wheelZoomStep, wheelNotch } = this.config.view;
+            // Firefox may report lines, 3 per notch, instead of pixels
+            const deltaY = event.deltaMode === 1 ? event.deltaY * wheelNotch / 3 : event.deltaY;
+            if (deltaY === 0) return;
+            // Let the page scroll when the court can't zoom out any further
+            if (deltaY > 0 && this.view.zoom <= 1) return;
             
-            // Insert temp canvas after overlay canvas
-            this.overlayCanvas.canvas.parentNode.appendChild(this.tempCanvas);
+            event.preventDefault();
+            const zoom = this.view.zoom * Math.pow(wheelZoomStep, -deltaY / wheelNotch);
+            this.setView(zoomViewAt(this.view, zoom, this.overlayCanvas.getDisplayPoint(event)));
+        }
+        
+        /**
+         * Start panning the view with a mouse or pen drag
+         * @param {PointerEvent} event
+         */
+        startPan(event) {
+            this.panState = { start: this.overlayCanvas.getDisplayPoint(event), view: this.view };
+            this.overlayCanvas.setCursor('grabbing');
+        }
+        
+        /**
+         * Pan the view so the point grabbed stays under the pointer
+         * @param {PointerEvent} event
+         */
+        handlePanMove(event) {
+            const { start, view } = this.panState;
+            this.setView(zoomViewAt(view, view.zoom, start, this.overlayCanvas.getDisplayPoint(event)));
+        }
+        
+        endPan() {
+            this.panState = null;
+            this.overlayCanvas.setCursor(this.editMode ? 'default' : 'crosshair');
+        }
+        
+        /**
+         * Get the center of and distance between the two touches of a pinch
+         * @returns {{center: {x: number, y: number}, distance: number}}
+         */
+        getPinch() {
+            const [a, b] = [...this.touchPoints.values()];
+            return {
+                center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+                distance: Math.hypot(b.x - a.x, b.y - a.y)
+            };
+        }
+        
+        /**
+         * Track a touch on the canvas. A second finger abandons the line or drag of the
+         * first and starts a pinch.
+         * @param {PointerEvent} event
+         * @returns {boolean} True if the touch is part of a pinch
+         */
+        trackTouch(event) {
+            this.touchPoints.set(event.pointerId, this.overlayCanvas.getDisplayPoint(event));
+            if (this.touchPoints.size < 2) return false;
+            if (this.touchPoints.size === 2) {
+                if (this.activePointerId !== null) {
+                    this.cancelActivePointer();
+                }
+                if (this.overlayCanvas.canvas.setPointerCapture) {
+                    this.overlayCanvas.canvas.setPointerCapture(event.pointerId);
+                }
+                this.pinchState = { ...this.getPinch(), view: this.view };
+            }
+            return true;
+        }
+        
+        /**
+         * Zoom by the change in distance between the fingers, and pan with their center
+         */
+        handlePinchMove() {
+            const { center, distance, view } = this.pinchState;
+            const pinch = this.getPinch();
+            const zoom = distance > 0 ? view.zoom * pinch.distance / distance : view.zoom;
+            this.setView(zoomViewAt(view, zoom, center, pinch.center));
+        }
+        
+        /**
+         * Stop tracking a touch that was lifted or cancelled; the pinch ends with its second finger
+         * @param {PointerEvent} event
+         */
+        releaseTouch(event) {
+            this.touchPoints.delete(event.pointerId);
+            if (this.touchPoints.size < 2) {
+                this.pinchState = null;
+            }
         }
         
         /**
@@ -1909,8 +6362,18 @@
             this.ui.initElement('undoBtn');
             this.ui.initElement('redoBtn');
             this.ui.initElement('toggleLinesBtn');
+            this.ui.initElement('editPointsBtn');
+            this.ui.initElement('deletePointBtn');
+            this.ui.initElement('zoneEntryBtn');
+            this.ui.initElement('zoneJitterControl');
+            this.ui.initElement('zoneJitterCheckbox');
+            this.ui.initElement('zoneEntryDisplay');
+            this.ui.initElement('pointPropertiesPanel');
+            this.ui.initElement('pointPropertiesFields');
+            this.ui.initElement('applyPointPropertiesBtn');
             this.ui.initElement('saveBtn');
             this.ui.initElement('newSessionBtn');
+            this.ui.initElement('rosterBtn');
             this.ui.initElement('rotationList');
             this.ui.initElement('clearRotationFiltersBtn');
             this.ui.initElement('clearJerseyFiltersBtn');
@@ -1919,6 +6382,64 @@
             this.ui.initElement('teamButtons');
             this.ui.initElement('teamUsBtn');
             this.ui.initElement('teamOppBtn');
+            this.ui.initElement('tagPanel');
+            this.ui.initElement('matchInfo');
+            this.ui.initElement('pointUsBtn');
+            this.ui.initElement('pointOppBtn');
+            this.ui.initElement('nextRallyBtn');
+            this.ui.initElement('newSetBtn');
+            this.ui.initElement('lineupBtn');
+            this.ui.initElement('oppRotationSelect');
+            this.ui.initElement('oppRotationControl');
+            this.ui.initElement('servingSelect');
+            this.ui.initElement('setFilterList');
+            this.ui.initElement('clearSetFiltersBtn');
+            this.ui.initElement('situationFilterList');
+            this.ui.initElement('clearSituationFiltersBtn');
+            this.ui.initElement('teamFilterRow');
+            this.ui.initElement('teamFilterList');
+            this.ui.initElement('clearTeamFiltersBtn');
+            this.ui.initElement('heatmapViewBar');
+            this.ui.initElement('paletteSelect');
+            this.ui.initElement('heatmapStyleControl');
+            this.ui.initElement('heatmapStyleSelect');
+            this.ui.initElement('heatmapSourceControl');
+            this.ui.initElement('heatmapSourceSelect');
+            this.ui.initElement('sourceLegend');
+            this.ui.initElement('densityControls');
+            this.ui.initElement('bandwidthInput');
+            this.ui.initElement('bandwidthValue');
+            this.ui.initElement('densityScaleSelect');
+            this.ui.initElement('densityMaxInput');
+            this.ui.initElement('densityLegend');
+            this.ui.initElement('compareBtn');
+            this.ui.initElement('resetViewBtn');
+            this.ui.initElement('comparisonInfo');
+            this.ui.initElement('comparisonLegend');
+            this.ui.initElement('zoneOverlayCheckbox');
+            this.ui.initElement('zoneControls');
+            this.ui.initElement('zoneLayoutSelect');
+            this.ui.initElement('zoneGridInputs');
+            this.ui.initElement('zoneColumnsInput');
+            this.ui.initElement('zoneRowsInput');
+            this.ui.initElement('exportZonesBtn');
+            this.ui.initElement('zoneStats');
+            this.ui.initElement('passPanel');
+            this.ui.initElement('passRatingList');
+            this.ui.initElement('passPrompt');
+            this.ui.initElement('passingStats');
+            this.ui.initElement('passScaleControl');
+            this.ui.initElement('passScaleSelect');
+            this.ui.initElement('courtSelect');
+            this.ui.initElement('bulkPanel');
+            this.ui.initElement('bulkMatchCount');
+            this.ui.initElement('bulkFieldSelect');
+            this.ui.initElement('bulkValueField');
+            this.ui.initElement('applyBulkBtn');
+            Object.values(TAG_FIELDS).forEach(({ listId, clearBtnId }) => {
+                this.ui.initElement(listId);
+                this.ui.initElement(clearBtnId);
+            });
             
             // Modal elements
             this.ui.initElement('sessionModal');
@@ -1940,6 +6461,21 @@
             this.ui.initElement('modeBanner');
             this.ui.initElement('jerseyNumberList');
             
+            // Roster modal elements
+            this.ui.initElement('rosterModal');
+            this.ui.initElement('rosterUsList');
+            this.ui.initElement('rosterOppList');
+            this.ui.initElement('saveRosterBtn');
+            this.ui.initElement('cancelRosterBtn');
+            
+            // Lineup modal elements
+            this.ui.initElement('lineupModal');
+            this.ui.initElement('lineupTitle');
+            this.ui.initElement('lineupUsEditor');
+            this.ui.initElement('lineupOppEditor');
+            this.ui.initElement('saveLineupBtn');
+            this.ui.initElement('cancelLineupBtn');
+            
             // Combine modal elements
             this.ui.initElement('combineSessionBtn');
             this.ui.initElement('combineModeModal');
@@ -1952,6 +6488,7 @@
             this.ui.initElement('addFilesBtn');
             this.ui.initElement('removeSelectedBtn');
             this.ui.initElement('confirmCombineBtn');
+            this.ui.initElement('compareFilesBtn');
             this.ui.initElement('cancelCombineFilesBtn');
             this.ui.initElement('saveCombinedModal');
             this.ui.initElement('combinedSessionNameInput');
@@ -1963,26 +6500,32 @@
          * Initialize event listeners
          */
         initEventListeners() {
-            // Canvas events
+            // Canvas events (pointer events cover mouse, touch and pen)
             this.ui.addEventListener(
                 this.overlayCanvas.canvas, 
-                'click', 
-                this.handleCanvasClick.bind(this)
+                'pointerdown', 
+                this.handleCanvasPointerDown.bind(this)
             );
             this.ui.addEventListener(
                 this.overlayCanvas.canvas, 
-                'mousedown', 
-                this.handleCanvasMouseDown.bind(this)
+                'pointerup', 
+                this.handleCanvasPointerUp.bind(this)
             );
             this.ui.addEventListener(
                 this.overlayCanvas.canvas, 
-                'mouseup', 
-                this.handleCanvasMouseUp.bind(this)
+                'pointermove', 
+                this.handleCanvasPointerMove.bind(this)
             );
             this.ui.addEventListener(
                 this.overlayCanvas.canvas, 
-                'mousemove', 
-                this.handleCanvasMouseMove.bind(this)
+                'pointercancel', 
+                this.handleCanvasPointerCancel.bind(this)
+            );
+            this.ui.addEventListener(
+                this.overlayCanvas.canvas, 
+                'wheel', 
+                this.handleCanvasWheel.bind(this),
+                { passive: false }
             );
             
             // Button events
@@ -2006,6 +6549,28 @@
                 'click', 
                 this.toggleLines.bind(this)
             );
+            this.ui.addEventListener(
+                this.ui.getElement('editPointsBtn'),
+                'click',
+                this.toggleEditMode.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('deletePointBtn'),
+                'click',
+                this.deleteSelectedPoint.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('applyPointPropertiesBtn'),
+                'click',
+                this.applyPointProperties.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('pointPropertiesFields'),
+                'keypress',
+                (e) => {
+                    if (e.key === 'Enter') this.applyPointProperties();
+                }
+            );
             this.ui.addEventListener(
                 this.ui.getElement('trackRotationBtn'),
                 'click',
@@ -2042,6 +6607,50 @@
                 }
             );
             
+            // Roster modal events
+            this.ui.addEventListener(
+                this.ui.getElement('rosterBtn'),
+                'click',
+                this.showRosterModal.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('rosterModal'),
+                'click',
+                this.handleRosterEditorClick.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('saveRosterBtn'),
+                'click',
+                this.saveRoster.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('cancelRosterBtn'),
+                'click',
+                this.hideRosterModal.bind(this)
+            );
+            
+            // Lineup modal events
+            this.ui.addEventListener(
+                this.ui.getElement('lineupBtn'),
+                'click',
+                this.showLineupModal.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('lineupModal'),
+                'click',
+                this.handleLineupEditorClick.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('saveLineupBtn'),
+                'click',
+                this.saveLineup.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('cancelLineupBtn'),
+                'click',
+                this.hideLineupModal.bind(this)
+            );
+            
             // Session modal events (defensive wiring)
             const startBtn = this.ui.getElement('startSessionBtn');
             if (startBtn) {
@@ -2107,6 +6716,11 @@
                 'click',
                 this.handleCombineFiles.bind(this)
             );
+            this.ui.addEventListener(
+                this.ui.getElement('compareFilesBtn'),
+                'click',
+                this.handleCompareFiles.bind(this)
+            );
             this.ui.addEventListener(
                 this.ui.getElement('cancelCombineFilesBtn'),
                 'click',
@@ -2142,6 +6756,9 @@
                 );
             });
             
+            // Court templates to start a session on
+            this.ui.renderCourtOptions(this.config.courts);
+            
             // Load modal events
             this.ui.addEventListener(
                 this.ui.getElement('confirmLoadBtn'), 
@@ -2168,6 +6785,15 @@
                 this.handleKeyboard.bind(this)
             );
             
+            // Refit the canvases once per frame while the window is resized or zoomed
+            this.ui.addEventListener(window, 'resize', () => {
+                if (this.resizeFrame !== null) return;
+                this.resizeFrame = requestAnimationFrame(() => {
+                    this.resizeFrame = null;
+                    this.handleResize();
+                });
+            });
+            
             // Jersey number list button clicks (using event delegation)
             this.ui.addEventListener(
                 this.ui.getElement('jerseyNumberList'),
@@ -2182,65 +6808,509 @@
                 this.handleRotationClick.bind(this)
             );
             
-            // Rotation list right-click (for filtering)
+            // Rotation list right-click or long press (for filtering)
             this.ui.addEventListener(
                 this.ui.getElement('rotationList'),
                 'contextmenu',
                 this.handleRotationRightClick.bind(this)
             );
+            this.initLongPress(this.ui.getElement('rotationList'), this.handleRotationRightClick.bind(this));
+            
+            // Clear rotation filters button
+            this.ui.addEventListener(
+                this.ui.getElement('clearRotationFiltersBtn'),
+                'click',
+                () => this.handleClearFilters('rotation')
+            );
+            
+            // Clear jersey number filters button
+            this.ui.addEventListener(
+                this.ui.getElement('clearJerseyFiltersBtn'),
+                'click',
+                () => this.handleClearFilters('jersey')
+            );
+            
+            // Tag list clicks (left-click assigns, right-click or long press filters)
+            this.ui.addEventListener(
+                this.ui.getElement('tagPanel'),
+                'click',
+                this.handleTagClick.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('tagPanel'),
+                'contextmenu',
+                this.handleTagRightClick.bind(this)
+            );
+            this.initLongPress(this.ui.getElement('tagPanel'), this.handleTagRightClick.bind(this));
+            Object.keys(TAG_FIELDS).forEach(field => {
+                this.ui.addEventListener(
+                    this.ui.getElement(TAG_FIELDS[field].clearBtnId),
+                    'click',
+                    () => this.handleClearFilters(field)
+                );
+            });
+            
+            // Set, score situation and team filter lists (click toggles filter)
+            ['setFilterList', 'situationFilterList', 'teamFilterList'].forEach(id => {
+                this.ui.addEventListener(
+                    this.ui.getElement(id),
+                    'click',
+                    this.handleFilterListClick.bind(this)
+                );
+            });
+            this.ui.addEventListener(
+                this.ui.getElement('clearSetFiltersBtn'),
+                'click',
+                () => this.handleClearFilters('set')
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('clearSituationFiltersBtn'),
+                'click',
+                () => this.handleClearFilters('situation')
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('clearTeamFiltersBtn'),
+                'click',
+                () => this.handleClearFilters('team')
+            );
+            
+            // Zone entry
+            this.ui.addEventListener(
+                this.ui.getElement('zoneEntryBtn'),
+                'click',
+                this.toggleZoneEntry.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('zoneJitterCheckbox'),
+                'change',
+                (e) => { this.zoneJitter = e.target.checked; }
+            );
+            
+            // Palette
+            this.ui.renderPaletteOptions(this.config.palettes);
+            this.ui.addEventListener(
+                this.ui.getElement('paletteSelect'),
+                'change',
+                this.handlePaletteChange.bind(this)
+            );
+            
+            // Heatmap style
+            const { min, max, step } = this.config.density.bandwidth;
+            Object.assign(this.ui.getElement('bandwidthInput'), { min, max, step });
+            this.ui.addEventListener(
+                this.ui.getElement('heatmapStyleSelect'),
+                'change',
+                (e) => this.setHeatmapStyle(e.target.value)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('heatmapSourceSelect'),
+                'change',
+                (e) => this.setHeatmapSource(e.target.value)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('bandwidthInput'),
+                'input',
+                (e) => this.setDensityOption('bandwidth', parseFloat(e.target.value))
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('densityScaleSelect'),
+                'change',
+                (e) => this.setDensityOption('scale', e.target.value)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('densityMaxInput'),
+                'change',
+                this.handleDensityMaxChange.bind(this)
+            );
+            
+            // Comparison
+            this.ui.addEventListener(
+                this.ui.getElement('compareBtn'),
+                'click',
+                this.toggleFilterComparison.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('resetViewBtn'),
+                'click',
+                this.resetView.bind(this)
+            );
+            
+            // Zone overlay
+            this.ui.renderZoneLayoutOptions(this.config.zoneOverlay.layouts);
+            ['zoneColumnsInput', 'zoneRowsInput'].forEach(id => {
+                this.ui.getElement(id).max = String(this.config.zoneOverlay.maxGridSize);
+            });
+            this.ui.addEventListener(
+                this.ui.getElement('zoneOverlayCheckbox'),
+                'change',
+                (e) => this.setZoneOverlayOption('visible', e.target.checked)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('zoneLayoutSelect'),
+                'change',
+                (e) => this.setZoneOverlayOption('layout', e.target.value)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('zoneColumnsInput'),
+                'change',
+                (e) => this.handleZoneGridSizeChange(e, 'columns')
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('zoneRowsInput'),
+                'change',
+                (e) => this.handleZoneGridSizeChange(e, 'rows')
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('exportZonesBtn'),
+                'click',
+                this.exportZoneTable.bind(this)
+            );
+            
+            // Pass ratings
+            this.ui.addEventListener(
+                this.ui.getElement('passRatingList'),
+                'click',
+                this.handlePassRatingClick.bind(this)
+            );
+            
+            // Apply to filtered points
+            this.ui.addEventListener(
+                this.ui.getElement('bulkFieldSelect'),
+                'change',
+                (e) => this.ui.renderBulkValue(e.target.value)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('applyBulkBtn'),
+                'click',
+                this.applyToFiltered.bind(this)
+            );
+            
+            // Match controls
+            this.ui.addEventListener(
+                this.ui.getElement('pointUsBtn'),
+                'click',
+                () => this.awardRally('us')
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('pointOppBtn'),
+                'click',
+                () => this.awardRally('opp')
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('nextRallyBtn'),
+                'click',
+                this.advanceRally.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('newSetBtn'),
+                'click',
+                this.startNewSet.bind(this)
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('oppRotationSelect'),
+                'change',
+                (e) => {
+                    this.setRotation('opp', parseInt(e.target.value, 10));
+                    Logger.info('Opponent rotation:', this.oppRotation);
+                }
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('servingSelect'),
+                'change',
+                (e) => this.setServing(e.target.value || null)
+            );
+            
+            // Save confirmation modal events
+            this.ui.addEventListener(
+                this.ui.getElement('confirmSaveYesBtn'),
+                'click',
+                () => {
+                    this.saveSession();
+                    this.hideSaveConfirmModal();
+                    this.ui.showSessionModal();
+                }
+            );
+            this.ui.addEventListener(
+                this.ui.getElement('confirmSaveNoBtn'),
+                'click',
+                () => {
+                    this.hideSaveConfirmModal();
+                    this.ui.showSessionModal();
+                }
+            );
+        }
+        
+        /**
+         * Treat a long press (touch or pen) on an element as a right-click
+         * @param {HTMLElement} element
+         * @param {Function} handler - Right-click handler, called with the pointerdown event
+         */
+        initLongPress(element, handler) {
+            if (!element) return;
+            const { longPressDuration, longPressMoveTolerance } = this.config.input;
+            let timer = null;
+            let start = null;
+            let fired = false;
+            const cancel = () => {
+                clearTimeout(timer);
+                timer = null;
+            };
+            
+            this.ui.addEventListener(element, 'pointerdown', (e) => {
+                cancel();
+                fired = false;
+                if (e.pointerType === 'mouse') return;
+                start = { x: e.clientX, y: e.clientY };
+                timer = setTimeout(() => {
+                    timer = null;
+                    fired = true;
+                    handler(e);
+                }, longPressDuration);
+            });
+            this.ui.addEventListener(element, 'pointermove', (e) => {
+                if (timer && Math.hypot(e.clientX - start.x, e.clientY - start.y) > longPressMoveTolerance) {
+                    cancel();
+                }
+            });
+            ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+                this.ui.addEventListener(element, type, cancel);
+            });
+            
+            // Some browsers fire contextmenu for a long press themselves: let whichever comes
+            // first act, and don't let the click that ends the press assign as well
+            const suppressAfterLongPress = (e) => {
+                if (e.type === 'contextmenu' && timer) {
+                    cancel();
+                    fired = true;
+                    return;
+                }
+                if (fired) {
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                }
+            };
+            this.ui.addEventListener(element, 'contextmenu', suppressAfterLongPress, true);
+            this.ui.addEventListener(element, 'click', suppressAfterLongPress, true);
+        }
+        
+        /**
+         * Palm rejection: while a pen is in use, ignore touches (the hand resting on the
+         * screen), and ignore touches too large to be a fingertip
+         * @param {PointerEvent} event
+         * @returns {boolean} True if the event should be ignored
+         */
+        isRejectedPointer(event) {
+            if (event.pointerType === 'pen') {
+                this.lastPenTime = Date.now();
+                return false;
+            }
+            if (event.pointerType !== 'touch') return false;
+            
+            const { penPalmRejectionTime, maxTouchSize } = this.config.input;
+            if (Date.now() - this.lastPenTime < penPalmRejectionTime) return true;
+            return Math.max(event.width || 0, event.height || 0) > maxTouchSize;
+        }
+        
+        /**
+         * Add a point where the canvas was clicked or tapped (simpleHeatmap mode),
+         * or mark a reception to be rated (passing mode)
+         * @param {PointerEvent} event
+         */
+        handleCanvasClick(event) {
+            // In line modes, pointer down/up draw lines instead
+            if (isLineMode(this.state.mode)) return;
+            if (this.editMode) return; // Clicks select points while editing
+            if (this.state.isViewOnly) return;
+            
+            let { x, y } = this.overlayCanvas.getCanvasPoint(event);
+            
+            // Sanitize coordinates
+            x = sanitizeCoordinate(x, this.geometry.canvasWidth);
+            y = sanitizeCoordinate(y, this.geometry.canvasHeight);
+            
+            assert(this.geometry.isWithinBounds(x, y), 'Coordinates should be within bounds after sanitization');
+            
+            if (this.geometry.isWithinBounds(x, y)) {
+                if (this.state.mode === 'passing') {
+                    this.setPendingPass(x, y);
+                } else {
+                    this.addDot(x, y);
+                }
+            }
+        }
+        
+        /**
+         * Mark where a serve was received; the pass is added once it is rated
+         * @param {number} x
+         * @param {number} y
+         */
+        setPendingPass(x, y) {
+            this.pendingPass = { x, y };
+            
+            // Ring the spot on the preview canvas until it is rated
+            const ctx = this.tempCtx;
+            this.previewCanvas.clear();
+            ctx.strokeStyle = this.config.drawing.selectionColor;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, this.config.drawing.markerSize * 2, 0, Math.PI * 2);
+            ctx.stroke();
+            
+            const meters = this.geometry.pixelsToMeters(x, y);
+            this.ui.updateCoordinates(`Position: (${meters.x}m, ${meters.y}m)`);
+            this.updatePassPanel();
+        }
+        
+        /**
+         * Forget the reception waiting for a rating
+         */
+        cancelPendingPass() {
+            this.pendingPass = null;
+            this.previewCanvas.clear();
+            this.updatePassPanel();
+        }
+        
+        /**
+         * Add the pending reception as a pass with a rating, the typed passer and the current tags
+         * @param {number} rating - 0 up to the session's pass scale
+         */
+        ratePendingPass(rating) {
+            if (!this.pendingPass || this.state.isViewOnly) return;
+            assert(Number.isInteger(rating) && rating >= 0 && rating <= this.state.passScale, 'Pass rating should be on the session scale');
             
-            // Clear rotation filters button
-            this.ui.addEventListener(
-                this.ui.getElement('clearRotationFiltersBtn'),
-                'click',
-                () => this.handleClearFilters('rotation')
-            );
+            const { x, y } = this.pendingPass;
+            this.pendingPass = null;
+            this.previewCanvas.clear();
             
-            // Clear jersey number filters button
-            this.ui.addEventListener(
-                this.ui.getElement('clearJerseyFiltersBtn'),
-                'click',
-                () => this.handleClearFilters('jersey')
-            );
+            // If filters are active, automatically add current rotation to filter
+            if (this.activeRotationFilters.size > 0) {
+                this.activeRotationFilters.add(this.currentRotation);
+            }
             
-            // Save confirmation modal events
-            this.ui.addEventListener(
-                this.ui.getElement('confirmSaveYesBtn'),
-                'click',
-                () => {
-                    this.saveSession();
-                    this.hideSaveConfirmModal();
-                    this.ui.showSessionModal();
-                }
-            );
-            this.ui.addEventListener(
-                this.ui.getElement('confirmSaveNoBtn'),
-                'click',
-                () => {
-                    this.hideSaveConfirmModal();
-                    this.ui.showSessionModal();
-                }
-            );
+            const jerseyNumber = sanitizeJerseyNumber(this.currentJerseyNumber) || null;
+            Logger.debug('Adding pass at', x, y, 'rating', rating, 'passer', jerseyNumber);
+            this.state.addPoint({
+                x,
+                y,
+                rotation: this.trackRotation ? this.currentRotation : null,
+                passRating: rating,
+                jerseyNumber,
+                ...this.consumeTags(),
+                ...this.state.getMatchContext()
+            });
+            this.hasUnsavedChanges = true;
+            
+            this.currentJerseyNumber = '';
+            this.updateJerseyNumberDisplay();
+            this.refreshDisplay();
         }
         
         /**
-         * Handle canvas click (only for simpleHeatmap mode)
+         * Handle pass rating button clicks
          * @param {MouseEvent} event
          */
-        handleCanvasClick(event) {
-            // In charting mode, use mousedown/mouseup for line drawing
-            if (this.state.mode === 'heatmapCharting') return;
+        handlePassRatingClick(event) {
+            const button = event.target.closest('.pass-rating-item');
+            if (!button || button.disabled) return;
+            this.ratePendingPass(parseInt(button.getAttribute('data-rating'), 10));
+        }
+        
+        /**
+         * Handle a key while a reception is waiting for its rating: a digit on the pass
+         * scale rates it and Escape cancels it. Other digits are swallowed so a late
+         * keypress doesn't start a jersey number.
+         * @param {KeyboardEvent} event
+         * @returns {boolean} True if the key was used
+         */
+        handlePassRatingKey(event) {
+            if (event.ctrlKey || event.metaKey || event.altKey) return false;
+            
+            if (/^[0-9]$/.test(event.key)) {
+                const rating = parseInt(event.key, 10);
+                if (rating <= this.state.passScale) this.ratePendingPass(rating);
+                return true;
+            }
+            if (event.key === 'Escape') {
+                this.cancelPendingPass();
+                return true;
+            }
+            return false;
+        }
+        
+        /**
+         * Show the pass rating buttons and the per-passer averages for the filtered passes
+         */
+        updatePassPanel() {
+            if (this.state.mode !== 'passing') return;
+            const filters = this.getActiveFilters();
+            const passes = this.state.getPoints().filter(point => pointMatchesFilters(point, filters));
+            this.ui.updatePassPanel(this.state.passScale, !!this.pendingPass, this.state.isViewOnly);
+            this.ui.renderPassingStats(getPassingStats(passes, this.state.passScale), this.state.roster, this.state.passScale);
+        }
+        
+        /**
+         * Add a heatmap point (simpleHeatmap mode) with the current rotation and tags
+         * @param {number} x
+         * @param {number} y
+         */
+        addDot(x, y) {
+            // If filters are active, automatically add current rotation to filter
+            if (this.activeRotationFilters.size > 0) {
+                this.activeRotationFilters.add(this.currentRotation);
+            }
+            
+            const rotationValue = this.trackRotation ? this.currentRotation : null;
+            Logger.debug('Adding point at', x, y, 'rotation', rotationValue);
+            this.state.addPoint({ x, y, rotation: rotationValue, ...this.consumeTags(), ...this.state.getMatchContext() });
+            this.hasUnsavedChanges = true;
+            
+            // Redraw all to respect filters
+            this.refreshDisplay();
+            
+            const meters = this.geometry.pixelsToMeters(x, y);
+            this.ui.updateCoordinates(`Position: (${meters.x}m, ${meters.y}m)`);
+        }
+        
+        /**
+         * Handle canvas pointer down (starts a line in charting mode, or selects in edit mode)
+         * @param {PointerEvent} event
+         */
+        handleCanvasPointerDown(event) {
+            if (this.isRejectedPointer(event)) return;
+            if (event.pointerType === 'touch' && this.trackTouch(event)) return;
+            if (this.activePointerId !== null) return; // Ignore a second pen or mouse button
+            // The middle button or Alt + drag pans the view
+            const isPan = event.button === 1 || (event.button === 0 && event.altKey);
+            if (event.button !== 0 && !isPan) return;
+            
+            // Keep receiving this pointer's events if it leaves the canvas
+            this.activePointerId = event.pointerId;
+            if (this.overlayCanvas.canvas.setPointerCapture) {
+                this.overlayCanvas.canvas.setPointerCapture(event.pointerId);
+            }
+            
+            if (isPan) {
+                event.preventDefault(); // No middle-click autoscroll
+                this.startPan(event);
+                return;
+            }
+            if (this.editMode && !this.state.isViewOnly) {
+                this.handleEditMouseDown(event);
+                return;
+            }
+            if (!isLineMode(this.state.mode)) return;
             if (this.state.isViewOnly) return;
             
-            const rect = this.overlayCanvas.getBoundingRect();
-            let x = event.clientX - rect.left;
-            let y = event.clientY - rect.top;
+            let { x, y } = this.overlayCanvas.getCanvasPoint(event);
             
             // Sanitize coordinates
             x = sanitizeCoordinate(x, this.geometry.canvasWidth);
             y = sanitizeCoordinate(y, this.geometry.canvasHeight);
             
-            assert(this.geometry.isWithinBounds(x, y), 'Coordinates should be within bounds after sanitization');
+            // Serves start from the service zone, even if the press is just inside the court
+            if (this.state.mode === 'serving') {
+                ({ x, y } = this.geometry.clampServeOrigin(x, y));
+            }
             
             if (this.geometry.isWithinBounds(x, y)) {
                 // If filters are active, automatically add current rotation to filter
@@ -2248,161 +7318,495 @@
                     this.activeRotationFilters.add(this.currentRotation);
                 }
                 
-                const rotationValue = this.trackRotation ? this.currentRotation : null;
-                Logger.debug('Adding point at', x, y, 'rotation', rotationValue);
-                this.state.addPoint({ x, y, rotation: rotationValue });
-                this.hasUnsavedChanges = true;
-                
-                // Redraw all to respect filters
+                Logger.debug('Starting line at', x, y);
+                this.isDrawing = true;
+                this.lineStart = { x, y };
+                this.prefillJerseyFromLineup(x, y);
+            }
+        }
+        
+        /**
+         * Handle canvas pointer up (adds a point, finishes a line or finishes a drag)
+         * @param {PointerEvent} event
+         */
+        handleCanvasPointerUp(event) {
+            if (event.pointerType === 'touch') {
+                this.releaseTouch(event);
+            }
+            if (event.pointerId !== this.activePointerId) return;
+            this.activePointerId = null;
+            
+            if (this.panState) {
+                this.endPan();
+                return;
+            }
+            if (this.dragState) {
+                this.handleEditMouseUp();
+                return;
+            }
+            if (!isLineMode(this.state.mode)) {
+                this.handleCanvasClick(event);
+                return;
+            }
+            if (this.state.isViewOnly) return;
+            if (!this.isDrawing) return;
+            
+            let { x, y } = this.overlayCanvas.getCanvasPoint(event);
+            
+            // Sanitize coordinates
+            x = sanitizeCoordinate(x, this.geometry.canvasWidth);
+            y = sanitizeCoordinate(y, this.geometry.canvasHeight);
+            
+            // Clear temporary canvas
+            this.previewCanvas.clear();
+            
+            if (this.geometry.isWithinBounds(x, y)) {
+                this.addLine(this.lineStart, { x, y });
+            } else {
+                this.abandonLine();
+            }
+            
+            this.isDrawing = false;
+            this.lineStart = null;
+        }
+        
+        /**
+         * Add a charting line with the current rotation, team, jersey number and tags
+         * @param {{x: number, y: number}} start
+         * @param {{x: number, y: number}} end - Also the heatmap point
+         */
+        addLine(start, end) {
+            const { x, y } = end;
+            
+            // Create point with line data
+            const point = {
+                x,
+                y,
+                rotation: this.trackRotation ? this.currentRotation : null,
+                line: {
+                    startX: start.x,
+                    startY: start.y,
+                    endX: x,
+                    endY: y
+                },
+                team: this.trackTeam ? this.currentTeam : null,
+                ...this.consumeTags(),
+                ...this.state.getMatchContext()
+            };
+            
+            // Always set jersey number (null if not entered)
+            if (this.currentJerseyNumber) {
+                const sanitized = sanitizeJerseyNumber(this.currentJerseyNumber);
+                point.jerseyNumber = sanitized || null;
+            } else {
+                point.jerseyNumber = null;
+            }
+            
+            Logger.debug('Adding line point', point);
+            
+            this.state.addPoint(point);
+            this.hasUnsavedChanges = true;
+            
+            // Redraw all to respect filters
+            this.refreshDisplay();
+            
+            // Clear the current jersey number after use
+            this.currentJerseyNumber = '';
+            this.jerseyPrefilled = false;
+            this.updateJerseyNumberDisplay();
+            
+            const meters = this.geometry.pixelsToMeters(x, y);
+            this.ui.updateCoordinates(`Position: (${meters.x}m, ${meters.y}m)`);
+        }
+        
+        /**
+         * Abandon the current line or drag when the browser takes the pointer over
+         * (e.g. a system gesture or the pen leaving the screen)
+         * @param {PointerEvent} event
+         */
+        handleCanvasPointerCancel(event) {
+            if (event.pointerType === 'touch') {
+                this.releaseTouch(event);
+            }
+            if (event.pointerId !== this.activePointerId) return;
+            this.cancelActivePointer();
+        }
+        
+        /**
+         * Abandon whatever the active pointer was doing
+         */
+        cancelActivePointer() {
+            this.activePointerId = null;
+            
+            if (this.panState) {
+                this.endPan();
+            }
+            if (this.dragState) {
+                this.dragState = null;
                 this.refreshDisplay();
-                
+            }
+            if (this.isDrawing) {
+                this.previewCanvas.clear();
+                this.abandonLine();
+                this.isDrawing = false;
+                this.lineStart = null;
+            }
+        }
+        
+        /**
+         * Drop the jersey number guessed from the lineup for a line that wasn't finished
+         */
+        abandonLine() {
+            if (this.jerseyPrefilled) {
+                this.currentJerseyNumber = '';
+                this.jerseyPrefilled = false;
+                this.updateJerseyNumberDisplay();
+            }
+        }
+        
+        /**
+         * Handle canvas pointer move (coordinates readout, line preview and dragging)
+         * @param {PointerEvent} event
+         */
+        handleCanvasPointerMove(event) {
+            if (this.isRejectedPointer(event)) return;
+            if (this.touchPoints.has(event.pointerId)) {
+                this.touchPoints.set(event.pointerId, this.overlayCanvas.getDisplayPoint(event));
+                if (this.pinchState) {
+                    this.handlePinchMove();
+                    return;
+                }
+            }
+            if (this.activePointerId !== null && event.pointerId !== this.activePointerId) return;
+            if (this.panState) {
+                this.handlePanMove(event);
+                return;
+            }
+            
+            const { x, y } = this.overlayCanvas.getCanvasPoint(event);
+            
+            if (this.editMode) {
+                this.handleEditMouseMove(x, y);
+            }
+            
+            if (this.geometry.isWithinBounds(x, y)) {
                 const meters = this.geometry.pixelsToMeters(x, y);
                 this.ui.updateCoordinates(`Position: (${meters.x}m, ${meters.y}m)`);
+                
+                // Draw temporary line preview in charting mode
+                if (this.isDrawing && this.lineStart && isLineMode(this.state.mode)) {
+                    this.previewCanvas.clear();
+                    
+                    // Use team color for preview line
+                    this.tempCtx.strokeStyle = this.heatmapRenderer.getTeamColor(this.trackTeam ? this.currentTeam : null);
+                    this.tempCtx.lineWidth = this.config.drawing.chartingLineWidth;
+                    this.tempCtx.setLineDash(this.heatmapRenderer.getLineDash(this.currentTags));
+                    this.tempCtx.beginPath();
+                    this.tempCtx.moveTo(this.lineStart.x, this.lineStart.y);
+                    this.tempCtx.lineTo(x, y);
+                    this.tempCtx.stroke();
+                    this.tempCtx.setLineDash([]);
+                }
+            }
+        }
+        
+        /**
+         * Toggle line visibility
+         */
+        toggleLines() {
+            this.linesVisible = !this.linesVisible;
+            
+            // Update button text
+            const btn = this.ui.getElement('toggleLinesBtn');
+            if (btn) {
+                btn.textContent = this.linesVisible ? 'Hide Lines' : 'Show Lines';
+            }
+            
+            // Redraw with current filter and visibility setting
+            this.heatmapRenderer.redrawAll(this.state.getPoints(), this.getActiveFilters(), this.linesVisible);
+        }
+        
+        /**
+         * Toggle point editing (select, move and delete existing points)
+         */
+        toggleEditMode() {
+            if (this.state.isViewOnly) return;
+            
+            this.editMode = !this.editMode;
+            this.setSelection(null);
+            this.overlayCanvas.setCursor(this.editMode ? 'default' : 'crosshair');
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Select a point (or clear the selection with null)
+         * @param {PointHit|null} hit
+         */
+        setSelection(hit) {
+            this.selection = hit;
+            this.dragState = null;
+            if (this.heatmapRenderer) {
+                this.heatmapRenderer.selection = hit;
+            }
+            this.ui.renderPointProperties(this.getSelectedPoint());
+        }
+        
+        /**
+         * Get the selected point if it still exists and is visible
+         * @returns {Point|null}
+         */
+        getSelectedPoint() {
+            if (!this.selection) return null;
+            const point = this.state.points[this.selection.index];
+            return point && pointMatchesFilters(point, this.getActiveFilters()) ? point : null;
+        }
+        
+        /**
+         * Select the point under the mouse and start dragging it
+         * @param {MouseEvent} event
+         */
+        handleEditMouseDown(event) {
+            const point = this.overlayCanvas.getCanvasPoint(event);
+            const x = sanitizeCoordinate(point.x, this.geometry.canvasWidth);
+            const y = sanitizeCoordinate(point.y, this.geometry.canvasHeight);
+            
+            const hit = hitTestPoints(this.state.getPoints(), x, y, this.getActiveFilters(), this.linesVisible);
+            this.setSelection(hit);
+            if (hit) {
+                this.dragState = { hit, startX: x, startY: y, preview: null };
+                Logger.debug('Selected point', hit);
+            }
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Preview the dragged point, or show a move cursor over points
+         * @param {number} x
+         * @param {number} y
+         */
+        handleEditMouseMove(x, y) {
+            if (!this.dragState) {
+                const hit = hitTestPoints(this.state.getPoints(), x, y, this.getActiveFilters(), this.linesVisible);
+                this.overlayCanvas.setCursor(hit ? 'move' : 'default');
+                return;
+            }
+            
+            const { hit, startX, startY } = this.dragState;
+            const original = this.state.points[hit.index];
+            this.dragState.preview = movePoint(original, hit.handle, x - startX, y - startY,
+                this.geometry.canvasWidth, this.geometry.canvasHeight);
+            
+            const points = this.state.getPoints();
+            points[hit.index] = this.dragState.preview;
+            this.heatmapRenderer.redrawAll(points, this.getActiveFilters(), this.linesVisible);
+        }
+        
+        /**
+         * Finish dragging and record the move as one undoable action
+         */
+        handleEditMouseUp() {
+            const { hit, preview } = this.dragState;
+            this.dragState = null;
+            
+            if (preview) {
+                this.state.updatePoint(hit.index, preview);
+                this.hasUnsavedChanges = true;
+                Logger.info('Moved point', hit.index);
+            }
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Move the selected point with the arrow keys
+         * @param {number} dx - Pixels to move right
+         * @param {number} dy - Pixels to move down
+         */
+        nudgeSelectedPoint(dx, dy) {
+            const point = this.getSelectedPoint();
+            if (!point) return;
+            
+            const moved = movePoint(point, this.selection.handle, dx, dy,
+                this.geometry.canvasWidth, this.geometry.canvasHeight);
+            this.state.updatePoint(this.selection.index, moved);
+            this.hasUnsavedChanges = true;
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Apply the properties panel to the selected point as one undoable edit
+         */
+        applyPointProperties() {
+            if (this.state.isViewOnly) return;
+            const point = this.getSelectedPoint();
+            if (!point) return;
+            
+            const { changes, errors } = this.ui.readPointProperties(point);
+            if (errors.length > 0) {
+                alert(`Please fix the point before applying:\n\n${errors.join('\n')}`);
+                return;
+            }
+            
+            const changed = Object.keys(changes).filter(key => JSON.stringify(changes[key]) !== JSON.stringify(point[key]));
+            if (changed.length === 0) return;
+            
+            const updated = { ...point, ...changes };
+            this.state.updatePoint(this.selection.index, updated);
+            this.keepPointVisible(updated);
+            this.hasUnsavedChanges = true;
+            Logger.info('Edited point', this.selection.index, changed);
+            this.refreshDisplay();
+            this.ui.renderPointProperties(this.getSelectedPoint());
+        }
+        
+        /**
+         * Add an edited point's values to any active filters so it doesn't vanish from view,
+         * the same way new points are kept visible
+         * @param {Point} point
+         */
+        keepPointVisible(point) {
+            const valueOrDash = value => (value === null || value === undefined) ? '-' : value;
+            
+            if (this.activeJerseyNumberFilters.size > 0) {
+                this.activeJerseyNumberFilters.add(point.line ? valueOrDash(point.jerseyNumber) : '-');
+            }
+            if (this.activeRotationFilters.size > 0) {
+                this.activeRotationFilters.add(valueOrDash(point.rotation));
+            }
+            if (this.activeSetFilters.size > 0) {
+                this.activeSetFilters.add(valueOrDash(point.set));
             }
+            if (this.activeTeamFilters.size > 0) {
+                this.activeTeamFilters.add(point.line ? valueOrDash(point.team) : '-');
+            }
+            const situation = getScoreSituation(point);
+            if (this.activeSituationFilters.size > 0 && situation) {
+                this.activeSituationFilters.add(situation);
+            }
+            Object.keys(TAG_FIELDS).forEach(field => {
+                if (this.activeTagFilters[field].size > 0) {
+                    this.activeTagFilters[field].add(valueOrDash(point[field]));
+                }
+            });
         }
         
         /**
-         * Handle canvas mouse down (for charting mode line drawing)
-         * @param {MouseEvent} event
+         * Get the indexes of the points that pass the active filters
+         * @returns {number[]}
          */
-        handleCanvasMouseDown(event) {
-            if (this.state.mode !== 'heatmapCharting') return;
-            if (this.state.isViewOnly) return;
-            
-            const rect = this.overlayCanvas.getBoundingRect();
-            let x = event.clientX - rect.left;
-            let y = event.clientY - rect.top;
-            
-            // Sanitize coordinates
-            x = sanitizeCoordinate(x, this.geometry.canvasWidth);
-            y = sanitizeCoordinate(y, this.geometry.canvasHeight);
-            
-            if (this.geometry.isWithinBounds(x, y)) {
-                // If filters are active, automatically add current rotation to filter
-                if (this.activeRotationFilters.size > 0) {
-                    this.activeRotationFilters.add(this.currentRotation);
-                }
-                
-                Logger.debug('Starting line at', x, y);
-                this.isDrawing = true;
-                this.lineStart = { x, y };
-            }
+        getFilteredIndexes() {
+            const filters = this.getActiveFilters();
+            const indexes = [];
+            this.state.points.forEach((point, index) => {
+                if (pointMatchesFilters(point, filters)) indexes.push(index);
+            });
+            return indexes;
         }
         
         /**
-         * Handle canvas mouse up (for charting mode line drawing)
-         * @param {MouseEvent} event
+         * Check whether any display filter is active
+         * @returns {boolean}
+         */
+        hasActiveFilters() {
+            const { tags, ...filters } = this.getActiveFilters();
+            return [...Object.values(filters), ...Object.values(tags)].some(filter => filter.size > 0);
+        }
+        
+        /**
+         * Delete every point matching the active filters, or set one field on all of them,
+         * as a single undoable step
          */
-        handleCanvasMouseUp(event) {
-            if (this.state.mode !== 'heatmapCharting') return;
+        applyToFiltered() {
             if (this.state.isViewOnly) return;
-            if (!this.isDrawing) return;
             
-            const rect = this.overlayCanvas.getBoundingRect();
-            let x = event.clientX - rect.left;
-            let y = event.clientY - rect.top;
+            const field = this.ui.getElement('bulkFieldSelect').value;
+            const indexes = this.getFilteredIndexes();
+            if (indexes.length === 0) return;
             
-            // Sanitize coordinates
-            x = sanitizeCoordinate(x, this.geometry.canvasWidth);
-            y = sanitizeCoordinate(y, this.geometry.canvasHeight);
+            let value = null;
+            if (field !== 'delete') {
+                const result = this.ui.readBulkValue(field);
+                if (result.error) {
+                    alert(result.error);
+                    return;
+                }
+                value = result.value;
+            }
             
-            // Clear temporary canvas
-            this.tempCtx.clearRect(0, 0, this.tempCanvas.width, this.tempCanvas.height);
+            if (!this.hasActiveFilters() &&
+                !confirm(`No filters are active. Apply to all ${indexes.length} point(s)?`)) {
+                return;
+            }
             
-            if (this.geometry.isWithinBounds(x, y)) {
-                // Create point with line data
-                const point = {
-                    x,
-                    y,
-                    rotation: this.trackRotation ? this.currentRotation : null,
-                    line: {
-                        startX: this.lineStart.x,
-                        startY: this.lineStart.y,
-                        endX: x,
-                        endY: y
-                    },
-                    team: this.trackTeam ? this.currentTeam : null
+            if (field === 'delete') {
+                this.state.deletePoints(indexes);
+                Logger.info('Deleted filtered points', indexes.length);
+            } else {
+                // Jersey only exists on lines and passes, team only on lines
+                const appliesTo = point => {
+                    if (field === 'jerseyNumber') return point.line || isPass(point);
+                    if (field === 'team') return point.line;
+                    return true;
                 };
+                const updates = indexes
+                    .map(index => ({ index, point: this.state.points[index] }))
+                    .filter(({ point }) => appliesTo(point))
+                    .filter(({ point }) => (point[field] === undefined ? null : point[field]) !== value)
+                    .map(({ index, point }) => ({ index, point: { ...point, [field]: value } }));
                 
-                // Always set jersey number (null if not entered)
-                if (this.currentJerseyNumber) {
-                    const sanitized = sanitizeJerseyNumber(this.currentJerseyNumber);
-                    point.jerseyNumber = sanitized || null;
-                } else {
-                    point.jerseyNumber = null;
-                }
-                
-                Logger.debug('Adding line point', point);
-                
-                this.state.addPoint(point);
-                this.hasUnsavedChanges = true;
-                
-                // Redraw all to respect filters
-                this.refreshDisplay();
-                
-                // Clear the current jersey number after use
-                this.currentJerseyNumber = '';
-                this.ui.updateJerseyNumberInput(this.currentJerseyNumber);
-                
-                const meters = this.geometry.pixelsToMeters(x, y);
-                this.ui.updateCoordinates(`Position: (${meters.x}m, ${meters.y}m)`);
+                if (!this.state.updatePoints(updates)) return;
+                updates.forEach(({ point }) => this.keepPointVisible(point));
+                Logger.info('Retagged filtered points', field, value, updates.length);
             }
             
-            this.isDrawing = false;
-            this.lineStart = null;
+            this.setSelection(null); // Indexes may have shifted
+            this.hasUnsavedChanges = true;
+            this.refreshDisplay();
         }
         
         /**
-         * Handle canvas mouse move
-         * @param {MouseEvent} event
+         * Delete the selected point
          */
-        handleCanvasMouseMove(event) {
-            const rect = this.overlayCanvas.getBoundingRect();
-            const x = event.clientX - rect.left;
-            const y = event.clientY - rect.top;
+        deleteSelectedPoint() {
+            if (this.state.isViewOnly) return;
+            if (!this.getSelectedPoint()) return;
             
-            if (this.geometry.isWithinBounds(x, y)) {
-                const meters = this.geometry.pixelsToMeters(x, y);
-                this.ui.updateCoordinates(`Position: (${meters.x}m, ${meters.y}m)`);
-                
-                // Draw temporary line preview in charting mode
-                if (this.isDrawing && this.lineStart && this.state.mode === 'heatmapCharting') {
-                    this.tempCtx.clearRect(0, 0, this.tempCanvas.width, this.tempCanvas.height);
-                    
-                    // Use team color for preview line
-                    let previewColor;
-                    if (this.trackTeam && this.currentTeam === 'us') {
-                        previewColor = this.config.teamColors.us;
-                    } else if (this.trackTeam && this.currentTeam === 'opp') {
-                        previewColor = this.config.teamColors.opp;
-                    } else {
-                        previewColor = this.config.teamColors.noTeam;
-                    }
-                    
-                    this.tempCtx.strokeStyle = previewColor;
-                    this.tempCtx.lineWidth = this.config.drawing.chartingLineWidth;
-                    this.tempCtx.beginPath();
-                    this.tempCtx.moveTo(this.lineStart.x, this.lineStart.y);
-                    this.tempCtx.lineTo(x, y);
-                    this.tempCtx.stroke();
-                }
-            }
+            this.state.deletePoint(this.selection.index);
+            this.hasUnsavedChanges = true;
+            Logger.info('Deleted point', this.selection.index);
+            this.setSelection(null);
+            this.refreshDisplay();
         }
         
         /**
-         * Toggle line visibility
+         * Handle point editing keys (Delete, arrows, Escape)
+         * @param {KeyboardEvent} event
+         * @returns {boolean} True if the key was handled
          */
-        toggleLines() {
-            this.linesVisible = !this.linesVisible;
+        handleEditKeyboard(event) {
+            if (event.key === 'Escape') {
+                this.setSelection(null);
+                this.refreshDisplay();
+                return true;
+            }
+            if (!this.getSelectedPoint()) return false;
             
-            // Update button text
-            const btn = this.ui.getElement('toggleLinesBtn');
-            if (btn) {
-                btn.textContent = this.linesVisible ? 'Hide Lines' : 'Show Lines';
+            if (event.key === 'Delete' || event.key === 'Backspace') {
+                this.deleteSelectedPoint();
+                return true;
             }
             
-            // Redraw with current filter and visibility setting
-            this.heatmapRenderer.redrawAll(this.state.getPoints(), this.activeJerseyNumberFilters, this.activeRotationFilters, this.linesVisible);
+            const step = event.shiftKey ? this.config.editing.nudgeStepLarge : this.config.editing.nudgeStep;
+            const nudges = {
+                ArrowLeft: [-step, 0],
+                ArrowRight: [step, 0],
+                ArrowUp: [0, -step],
+                ArrowDown: [0, step]
+            };
+            if (nudges[event.key]) {
+                this.nudgeSelectedPoint(...nudges[event.key]);
+                return true;
+            }
+            return false;
         }
         
         /**
@@ -2448,6 +7852,7 @@
             if (this.state.isViewOnly) return;
             
             this.state.clearAllPoints();
+            this.setSelection(null);
             this.hasUnsavedChanges = true;
             this.heatmapRenderer.clear();
             this.ui.updateCoordinates('Position: -');
@@ -2459,8 +7864,9 @@
          */
         undo() {
             if (this.state.undo()) {
+                this.setSelection(null); // Indexes may have shifted
                 this.hasUnsavedChanges = true;
-                this.refreshDisplay();
+                this.refreshRoster(); // The step may have changed the roster
             }
         }
         
@@ -2469,8 +7875,9 @@
          */
         redo() {
             if (this.state.redo()) {
+                this.setSelection(null); // Indexes may have shifted
                 this.hasUnsavedChanges = true;
-                this.refreshDisplay();
+                this.refreshRoster(); // The step may have changed the roster
             }
         }
         
@@ -2518,29 +7925,7 @@
                     if (!proceed) return;
                 }
                 
-                this.state.load(data, viewOnly);
-                
-                // Show migration message if data was updated
-                if (this.state.migrationInfo) {
-                    alert(this.state.migrationInfo);
-                    this.state.migrationInfo = null; // Clear after showing
-                }
-                
-                this.updateGeometry(this.state.mode);
-                this.gridRenderer.draw();
-                this.updateSessionTitleWithMode();
-                this.ui.showViewOnlyBanner(this.state.isViewOnly);
-                this.overlayCanvas.setCursor(viewOnly ? 'default' : 'crosshair');
-                
-                this.currentJerseyNumber = '';
-                this.activeJerseyNumberFilters.clear(); // Clear any active filters
-                this.activeRotationFilters.clear(); // Clear rotation filters
-                this.hasUnsavedChanges = false; // Reset when loading session
-                this.ui.updateJerseyNumberInput(this.currentJerseyNumber);
-                this.heatmapRenderer.redrawAll(this.state.getPoints());
-                this.updateLineUIVisibility();
-                this.updateUI();
-                this.ui.showApp();
+                this.openSession(data, viewOnly);
             } catch (error) {
                 console.error('Error loading session:', error);
                 const suggestion = error.message.includes('JSON') 
@@ -2552,6 +7937,51 @@
             }
         }
         
+        /**
+         * Show loaded session data, starting with no filters or comparison
+         * @param {Object} data - Validated session data
+         * @param {boolean} viewOnly
+         */
+        openSession(data, viewOnly) {
+            this.state.load(data, viewOnly);
+            this.heatmapRenderer.roster = this.state.roster;
+            this.heatmapRenderer.passScale = this.state.mode === 'passing' ? this.state.passScale : null;
+            
+            // Show migration message if data was updated
+            if (this.state.migrationInfo) {
+                alert(this.state.migrationInfo);
+                this.state.migrationInfo = null; // Clear after showing
+            }
+            
+            this.updateGeometry(this.state.mode, this.state.court);
+            this.gridRenderer.draw();
+            this.updateSessionTitleWithMode();
+            this.ui.showViewOnlyBanner(this.state.isViewOnly);
+            this.overlayCanvas.setCursor(viewOnly ? 'default' : 'crosshair');
+            
+            this.currentJerseyNumber = '';
+            this.jerseyPrefilled = false;
+            this.editMode = false;
+            this.setSelection(null);
+            this.activeJerseyNumberFilters.clear(); // Clear any active filters
+            this.activeRotationFilters.clear(); // Clear rotation filters
+            this.resetTags(); // Clear assigned tags and tag filters
+            this.activeSetFilters.clear(); // Clear match filters
+            this.activeSituationFilters.clear();
+            this.activeTeamFilters.clear();
+            this.comparison = null;
+            this.heatmapRenderer.comparison = null;
+            this.zoneEntryKeys = [];
+            this.pendingPass = null;
+            this.previewCanvas.clear();
+            this.hasUnsavedChanges = false; // Reset when loading session
+            this.updateJerseyNumberDisplay();
+            this.heatmapRenderer.redrawAll(this.state.getPoints());
+            this.updateLineUIVisibility();
+            this.updateUI();
+            this.ui.showApp();
+        }
+        
         /**
          * Handle file select
          * @param {Event} event
@@ -2578,8 +8008,13 @@
         handleModeChange(event) {
             const modeTitleEl = this.ui.getElement('sessionModeTitle');
             if (modeTitleEl && event.target.value) {
-                const modeText = event.target.value === 'heatmapCharting' ? 'Heatmap and Charting' : 'Simple Heatmap';
-                modeTitleEl.textContent = modeText;
+                modeTitleEl.textContent = CONFIG.modes[event.target.value].label;
+            }
+            
+            // The pass rating scale is only chosen for passing sessions
+            const passScaleControl = this.ui.getElement('passScaleControl');
+            if (passScaleControl) {
+                passScaleControl.style.display = event.target.value === 'passing' ? '' : 'none';
             }
         }
         
@@ -2616,9 +8051,15 @@
             // Get selected mode
             const modeRadio = document.querySelector('input[name="sessionMode"]:checked');
             const mode = modeRadio ? modeRadio.value : 'simpleHeatmap';
-            
-            this.state.reset(name, mode);
-            this.updateGeometry(mode);
+            const passScaleSelect = this.ui.getElement('passScaleSelect');
+            const passScale = passScaleSelect ? parseInt(passScaleSelect.value, 10) : CONFIG.passing.defaultScale;
+            const courtSelect = this.ui.getElement('courtSelect');
+            const court = (courtSelect && CONFIG.courts[courtSelect.value]) || CONFIG.courts.indoor;
+            
+            this.state.reset(name, mode, passScale, court);
+            this.heatmapRenderer.roster = this.state.roster;
+            this.heatmapRenderer.passScale = mode === 'passing' ? passScale : null;
+            this.updateGeometry(mode, court);
             this.gridRenderer.draw();
             this.updateSessionTitleWithMode();
             this.ui.showViewOnlyBanner(false);
@@ -2626,12 +8067,24 @@
             
             this.heatmapRenderer.clear();
             this.currentJerseyNumber = '';
+            this.jerseyPrefilled = false;
+            this.editMode = false;
+            this.setSelection(null);
             this.currentRotation = 1; // Reset to rotation 1
             this.activeJerseyNumberFilters.clear(); // Clear any active filters
             this.activeRotationFilters.clear(); // Clear rotation filters
+            this.resetTags(); // Clear assigned tags and tag filters
+            this.activeSetFilters.clear(); // Clear match filters
+            this.activeSituationFilters.clear();
+            this.activeTeamFilters.clear();
+            this.comparison = null;
+            this.heatmapRenderer.comparison = null;
+            this.zoneEntryKeys = [];
+            this.pendingPass = null;
+            this.previewCanvas.clear();
             this.hasUnsavedChanges = false; // Reset unsaved changes flag
             this.ui.updateCoordinates('Position: -');
-            this.ui.updateJerseyNumberInput(this.currentJerseyNumber);
+            this.updateJerseyNumberDisplay();
             this.updateLineUIVisibility();
             this.updateUI();
             this.ui.showApp();
@@ -2673,8 +8126,7 @@
             // Update display
             const modeDisplay = this.ui.getElement('combineModeDisplay');
             if (modeDisplay) {
-                const modeText = mode === 'heatmapCharting' ? 'Heatmap and Charting' : 'Simple Heatmap';
-                modeDisplay.textContent = modeText;
+                modeDisplay.textContent = CONFIG.modes[mode].label;
             }
             
             // Show files selection modal
@@ -2768,6 +8220,60 @@
             this.updateFileListDisplay();
         }
         
+        /**
+         * Load the files picked for combining, checking they all have the selected mode,
+         * the same court and the same pass scale
+         * @returns {Promise<{sessions: Object[], court: CourtTemplate, passScale: (number|undefined)}|null>} Null if the
+         *     files do not match (the user has already been told why)
+         * @throws {Error} If a file cannot be read or is not a valid session
+         */
+        async loadCombineFiles() {
+            const loadedSessions = [];
+            
+            // Load all files
+            for (let i = 0; i < this.combineFileList.length; i++) {
+                const data = await FileManager.loadFromFile(this.combineFileList[i]);
+                loadedSessions.push(data);
+            }
+            
+            // Validate all files are the same mode
+            const firstMode = loadedSessions[0].mode;
+            for (let i = 0; i < loadedSessions.length; i++) {
+                if (loadedSessions[i].mode !== this.combineMode) {
+                    alert(`Error: File "${this.combineFileList[i].name}" is ${loadedSessions[i].mode} mode but you selected ${this.combineMode} mode. All files must match the selected mode.`);
+                    return null;
+                }
+                if (loadedSessions[i].mode !== firstMode) {
+                    alert(`Error: All files must be the same type. File "${this.combineFileList[i].name}" is ${loadedSessions[i].mode} but the first file is ${firstMode}.`);
+                    return null;
+                }
+            }
+            
+            // Points are only comparable on the same court
+            const court = getCourtTemplate(loadedSessions[0].court);
+            for (let i = 0; i < loadedSessions.length; i++) {
+                const fileCourt = getCourtTemplate(loadedSessions[i].court);
+                if (!isSameCourt(fileCourt, court)) {
+                    alert(`Error: File "${this.combineFileList[i].name}" was recorded on a different court (${fileCourt.label}) than the first file (${court.label}). All files must use the same court.`);
+                    return null;
+                }
+            }
+            
+            // Pass ratings are only comparable on the same scale
+            const passScale = firstMode === 'passing' ? (loadedSessions[0].passScale || CONFIG.passing.defaultScale) : undefined;
+            if (firstMode === 'passing') {
+                for (let i = 0; i < loadedSessions.length; i++) {
+                    const filePassScale = loadedSessions[i].passScale || CONFIG.passing.defaultScale;
+                    if (filePassScale !== passScale) {
+                        alert(`Error: File "${this.combineFileList[i].name}" rates passes 0-${filePassScale} but the first file rates them 0-${passScale}. All files must use the same pass scale.`);
+                        return null;
+                    }
+                }
+            }
+            
+            return { sessions: loadedSessions, court, passScale };
+        }
+        
         /**
          * Handle combining files
          */
@@ -2778,26 +8284,10 @@
             }
             
             try {
-                const loadedSessions = [];
-                
-                // Load all files
-                for (let i = 0; i < this.combineFileList.length; i++) {
-                    const data = await FileManager.loadFromFile(this.combineFileList[i]);
-                    loadedSessions.push(data);
-                }
-                
-                // Validate all files are the same mode
+                const loaded = await this.loadCombineFiles();
+                if (!loaded) return;
+                const { sessions: loadedSessions, court, passScale } = loaded;
                 const firstMode = loadedSessions[0].mode;
-                for (let i = 0; i < loadedSessions.length; i++) {
-                    if (loadedSessions[i].mode !== this.combineMode) {
-                        alert(`Error: File "${this.combineFileList[i].name}" is ${loadedSessions[i].mode} mode but you selected ${this.combineMode} mode. All files must match the selected mode.`);
-                        return;
-                    }
-                    if (loadedSessions[i].mode !== firstMode) {
-                        alert(`Error: All files must be the same type. File "${this.combineFileList[i].name}" is ${loadedSessions[i].mode} but the first file is ${firstMode}.`);
-                        return;
-                    }
-                }
                 
                 // Combine all points and check total count
                 const combinedPoints = [];
@@ -2819,6 +8309,8 @@
                 // Store combined data
                 this.combinedData = {
                     mode: firstMode,
+                    court,
+                    passScale,
                     points: combinedPoints,
                     undoStack: [],
                     redoStack: []
@@ -2844,6 +8336,45 @@
             }
         }
         
+        /**
+         * Handle comparing two files: open them together, view-only, with a difference map
+         * of the first file (set A) against the second (set B)
+         */
+        async handleCompareFiles() {
+            if (this.combineFileList.length !== 2) {
+                alert('Please select exactly 2 files to compare.');
+                return;
+            }
+            
+            try {
+                const loaded = await this.loadCombineFiles();
+                if (!loaded) return;
+                
+                const [first, second] = loaded.sessions;
+                const pointsA = first.points || [];
+                const pointsB = second.points || [];
+                const labels = [first, second].map((session, i) => session.name || this.combineFileList[i].name);
+                
+                this.openSession({
+                    ...first,
+                    name: `${labels[0]} vs ${labels[1]}`,
+                    court: loaded.court,
+                    passScale: loaded.passScale,
+                    points: [...pointsA, ...pointsB],
+                    undoStack: [],
+                    redoStack: []
+                }, true);
+                this.combineMode = null;
+                this.setComparison({
+                    a: { label: labels[0], points: pointsA, filters: null },
+                    b: { label: labels[1], points: pointsB, filters: null }
+                });
+            } catch (error) {
+                console.error('Error comparing files:', error);
+                alert(`Error comparing files: ${error.message} Please check that both files are valid heatmap session files.`);
+            }
+        }
+        
         /**
          * Handle saving combined heatmap
          */
@@ -2860,6 +8391,8 @@
             const sessionData = {
                 name: name,
                 mode: this.combinedData.mode,
+                court: this.combinedData.court,
+                passScale: this.combinedData.passScale,
                 points: this.combinedData.points,
                 undoStack: [],
                 redoStack: [],
@@ -2907,15 +8440,14 @@
             if (!button) return;
             
             const rotation = parseInt(button.getAttribute('data-rotation'), 10);
-            this.currentRotation = rotation;
+            this.setRotation('us', rotation);
             
             // If any filters are active, automatically add this rotation to the filter
             if (this.activeRotationFilters.size > 0) {
                 this.activeRotationFilters.add(rotation);
                 this.heatmapRenderer.redrawAll(
                     this.state.getPoints(), 
-                    this.activeJerseyNumberFilters, 
-                    this.activeRotationFilters,
+                    this.getActiveFilters(),
                     this.linesVisible
                 );
             }
@@ -2929,13 +8461,253 @@
         refreshDisplay() {
             this.heatmapRenderer.redrawAll(
                 this.state.getPoints(), 
-                this.activeJerseyNumberFilters,
-                this.activeRotationFilters, 
+                this.getActiveFilters(),
                 this.linesVisible
             );
             this.updateUI();
         }
         
+        /**
+         * Color the court, heatmap and team lines with a palette
+         * @param {string} id - CONFIG.palettes key; unknown ids use the default palette
+         */
+        setPalette(id) {
+            const palette = getPalette(id);
+            this.gridRenderer.palette = palette;
+            this.heatmapRenderer.palette = palette;
+            this.ui.applyPalette(palette);
+            this.gridRenderer.draw();
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Handle a palette picked from the view bar, remembering it for next time
+         * @param {Event} event
+         */
+        handlePaletteChange(event) {
+            this.setPalette(event.target.value);
+            Preferences.save({ palette: this.heatmapRenderer.palette.id });
+        }
+        
+        /**
+         * Switch between stacked clouds and the kernel density heatmap
+         * @param {string} style - 'clouds' or 'density'
+         */
+        setHeatmapStyle(style) {
+            this.heatmapStyle = style;
+            this.applyDensityOptions();
+        }
+        
+        /**
+         * Change a density heatmap option
+         * @param {string} key - DensityOptions property
+         * @param {number|string} value
+         */
+        setDensityOption(key, value) {
+            this.densityOptions = { ...this.densityOptions, [key]: value };
+            this.applyDensityOptions();
+        }
+        
+        /**
+         * Handle a new fixed scale maximum
+         * @param {Event} event
+         */
+        handleDensityMaxChange(event) {
+            const value = parseFloat(event.target.value);
+            if (!(value > 0)) {
+                alert('The scale maximum must be a number of points per m² greater than 0.');
+                event.target.value = String(this.densityOptions.fixedMax);
+                return;
+            }
+            this.setDensityOption('fixedMax', value);
+        }
+        
+        /**
+         * Hand the heatmap style to the renderer and redraw
+         */
+        applyDensityOptions() {
+            this.heatmapRenderer.density = this.heatmapStyle === 'density' ? { ...this.densityOptions } : null;
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Show the heatmap style controls and the legends
+         */
+        updateDensityDisplay() {
+            // Only lines have an origin; other points always show their landing
+            const hasOrigins = isLineMode(this.state.mode);
+            this.ui.updateDensityControls(
+                this.heatmapStyle,
+                this.densityOptions,
+                this.state.mode !== 'passing',
+                hasOrigins ? this.heatmapSource : null
+            );
+            
+            const shown = hasOrigins ? this.heatmapSource : 'landing';
+            const { palette } = this.heatmapRenderer;
+            const sources = [
+                { source: 'origin', label: 'Origin', cloudStops: palette.originCloudStops, colorStops: palette.originDensityStops },
+                { source: 'landing', label: 'Landing', cloudStops: palette.cloudStops, colorStops: palette.densityStops }
+            ].filter(({ source }) => shown === 'both' || source === shown);
+            
+            // A comparison replaces the heatmap, and has its own legend
+            if (this.comparison) {
+                this.ui.updateSourceLegend(null);
+                this.ui.updateDensityLegend([], false);
+                return;
+            }
+            this.ui.updateSourceLegend(this.heatmapStyle === 'clouds' && sources.length > 1 ? sources : null);
+            if (this.heatmapStyle === 'density') {
+                this.ui.updateDensityLegend(
+                    sources.map(({ source, label, colorStops }) => ({
+                        label,
+                        scaleMax: this.heatmapRenderer.densityScaleMax[source] || 0,
+                        colorStops
+                    })),
+                    this.densityOptions.scale === 'fixed'
+                );
+            }
+        }
+        
+        /**
+         * Switch the heatmap between line landings, line origins or both
+         * @param {string} source - 'landing', 'origin' or 'both'
+         */
+        setHeatmapSource(source) {
+            this.heatmapSource = source;
+            this.heatmapRenderer.heatmapSource = source;
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Show two point sets as a difference map, or go back to the heatmap
+         * @param {Comparison|null} comparison
+         */
+        setComparison(comparison) {
+            this.comparison = comparison;
+            this.heatmapRenderer.comparison = comparison;
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Start comparing the points under the current filters (set A) with whatever the
+         * filters are changed to next (set B), or stop comparing
+         */
+        toggleFilterComparison() {
+            if (this.comparison) {
+                this.setComparison(null);
+                return;
+            }
+            this.setComparison({
+                a: { label: 'Saved filters', points: null, filters: copyFilters(this.getActiveFilters()) },
+                b: { label: 'Current filters', points: null, filters: null }
+            });
+        }
+        
+        /**
+         * Show the comparison sets and the difference map legend
+         */
+        updateComparisonDisplay() {
+            const comparison = this.comparison;
+            if (!comparison) {
+                this.ui.updateComparison(null);
+                return;
+            }
+            
+            const points = this.state.getPoints();
+            const filters = this.getActiveFilters();
+            this.ui.updateComparison({
+                sets: [comparison.a, comparison.b].map(set => ({
+                    label: set.label,
+                    count: getComparisonPoints(set, points, filters).length
+                })),
+                scaleMax: this.heatmapRenderer.differenceScaleMax,
+                colorStops: this.config.comparison.colorStops
+            });
+        }
+        
+        /**
+         * Change a zone overlay option and redraw the overlay
+         * @param {string} key - 'visible', 'layout', 'columns' or 'rows'
+         * @param {boolean|string|number} value
+         */
+        setZoneOverlayOption(key, value) {
+            this.zoneOverlay = { ...this.zoneOverlay, [key]: value };
+            this.updateZoneOverlay();
+        }
+        
+        /**
+         * Handle a new number of grid columns or rows
+         * @param {Event} event
+         * @param {string} key - 'columns' or 'rows'
+         */
+        handleZoneGridSizeChange(event, key) {
+            const value = Number(event.target.value);
+            const max = this.config.zoneOverlay.maxGridSize;
+            if (!Number.isInteger(value) || value < 1 || value > max) {
+                alert(`The grid needs between 1 and ${max} ${key}.`);
+                event.target.value = String(this.zoneOverlay[key]);
+                return;
+            }
+            this.setZoneOverlayOption(key, value);
+        }
+        
+        /**
+         * Count the filtered points in each cell of the current zone layout
+         * @returns {ZoneStats}
+         */
+        getZoneStats() {
+            const { layout, columns, rows } = this.zoneOverlay;
+            const filters = this.getActiveFilters();
+            const points = this.state.getPoints().filter(point => pointMatchesFilters(point, filters));
+            return getZoneStats(points, this.geometry.getZoneCells(layout, columns, rows));
+        }
+        
+        /**
+         * Draw the zone overlay and its table, or clear them when the overlay is off
+         */
+        updateZoneOverlay() {
+            this.ui.updateZoneControls(this.zoneOverlay);
+            if (!this.zoneOverlay.visible) {
+                this.zoneRenderer.clear();
+                this.ui.renderZoneStats(null);
+                return;
+            }
+            
+            const stats = this.getZoneStats();
+            this.zoneRenderer.draw(stats);
+            this.ui.renderZoneStats(getZoneTableRows(stats));
+        }
+        
+        /**
+         * Save the zone table of the filtered points as a CSV file
+         */
+        exportZoneTable() {
+            const stats = this.getZoneStats();
+            if (stats.total === 0) {
+                alert('There are no points to export. Add points or change the filters first.');
+                return;
+            }
+            const { layout, columns, rows } = this.zoneOverlay;
+            const layoutLabel = layout === 'grid' ? `${columns}x${rows}` : this.config.zoneOverlay.layouts[layout];
+            FileManager.saveCsv(`${this.state.name || 'session'}_${layoutLabel}`, getZoneTableRows(stats));
+        }
+        
+        /**
+         * Get the currently active display filters
+         * @returns {PointFilters}
+         */
+        getActiveFilters() {
+            return {
+                jerseyNumbers: this.activeJerseyNumberFilters,
+                rotations: this.activeRotationFilters,
+                tags: this.activeTagFilters,
+                sets: this.activeSetFilters,
+                situations: this.activeSituationFilters,
+                teams: this.activeTeamFilters
+            };
+        }
+        
         /**
          * Handle rotation button right-click (filtering)
          * @param {MouseEvent} event
@@ -2958,8 +8730,7 @@
             // Redraw with filters
             this.heatmapRenderer.redrawAll(
                 this.state.getPoints(), 
-                this.activeJerseyNumberFilters,
-                this.activeRotationFilters, 
+                this.getActiveFilters(),
                 this.linesVisible
             );
             this.updateUI();
@@ -2967,13 +8738,21 @@
         
         /**
          * Handle clear filters button click
-         * @param {string} filterType - Either 'rotation' or 'jersey'
+         * @param {string} filterType - 'rotation', 'jersey', 'set', 'situation', 'team' or a TAG_FIELDS key
          */
         handleClearFilters(filterType) {
             if (filterType === 'rotation') {
                 this.activeRotationFilters.clear();
             } else if (filterType === 'jersey') {
                 this.activeJerseyNumberFilters.clear();
+            } else if (filterType === 'set') {
+                this.activeSetFilters.clear();
+            } else if (filterType === 'situation') {
+                this.activeSituationFilters.clear();
+            } else if (filterType === 'team') {
+                this.activeTeamFilters.clear();
+            } else if (this.activeTagFilters[filterType]) {
+                this.activeTagFilters[filterType].clear();
             }
             
             this.refreshDisplay();
@@ -3002,6 +8781,490 @@
             this.refreshDisplay();
         }
         
+        /**
+         * Take the assigned tags for a new point and reset the non-sticky ones for the next one
+         * @returns {Object<string, string|null>} Tag values keyed by point property
+         */
+        consumeTags() {
+            const tags = {};
+            getTagFields(this.state.mode).forEach(field => {
+                const value = this.currentTags[field];
+                tags[field] = value;
+                
+                // If filters are active, automatically add the tag so the new point stays visible
+                const filters = this.activeTagFilters[field];
+                if (filters.size > 0) {
+                    filters.add(value === null ? '-' : value);
+                }
+                
+                if (!TAG_FIELDS[field].sticky) {
+                    this.currentTags[field] = null;
+                }
+            });
+            return tags;
+        }
+        
+        /**
+         * Assign a tag to the next point, or unassign it if already assigned
+         * @param {string} field - TAG_FIELDS key
+         * @param {string} tag - Tag id
+         */
+        toggleCurrentTag(field, tag) {
+            this.currentTags[field] = this.currentTags[field] === tag ? null : tag;
+            Logger.info(`Assigned ${field}:`, this.currentTags[field]);
+            this.updateUI();
+        }
+        
+        /**
+         * Handle tag list left-click (assignment)
+         * @param {MouseEvent} event
+         */
+        handleTagClick(event) {
+            if (this.state.isViewOnly) return;
+            const button = event.target.closest('.tag-list-item');
+            if (!button) return;
+            
+            const list = button.closest('.tag-list');
+            if (!list) return;
+            
+            const tag = button.getAttribute('data-tag');
+            if (tag === '-') return; // Untagged can only be filtered
+            
+            this.toggleCurrentTag(list.getAttribute('data-field'), tag);
+        }
+        
+        /**
+         * Handle tag list right-click (filtering)
+         * @param {MouseEvent} event
+         */
+        handleTagRightClick(event) {
+            const button = event.target.closest('.tag-list-item');
+            if (!button) return;
+            const list = button.closest('.tag-list');
+            if (!list) return;
+            event.preventDefault(); // Prevent context menu
+            
+            const tag = button.getAttribute('data-tag');
+            const filters = this.activeTagFilters[list.getAttribute('data-field')];
+            
+            // Toggle filter - add or remove from Set
+            if (filters.has(tag)) {
+                filters.delete(tag);
+            } else {
+                filters.add(tag);
+            }
+            
+            this.refreshDisplay();
+        }
+        
+        /**
+         * Handle set, score situation and team filter list clicks
+         * @param {MouseEvent} event
+         */
+        handleFilterListClick(event) {
+            const button = event.target.closest('.filter-list-item');
+            if (!button) return;
+            
+            const filterType = button.closest('.filter-list').getAttribute('data-filter');
+            const rawValue = button.getAttribute('data-filter-value');
+            const filters = {
+                set: this.activeSetFilters,
+                situation: this.activeSituationFilters,
+                team: this.activeTeamFilters
+            }[filterType];
+            const value = (filterType === 'set' && rawValue !== '-') ? parseInt(rawValue, 10) : rawValue;
+            
+            // Toggle filter - add or remove from Set
+            if (filters.has(value)) {
+                filters.delete(value);
+            } else {
+                filters.add(value);
+            }
+            
+            this.refreshDisplay();
+        }
+
+        /**
+         * Redraw with the session's current roster (player names on labels and the jersey display)
+         */
+        refreshRoster() {
+            this.heatmapRenderer.roster = this.state.roster;
+            this.updateJerseyNumberDisplay();
+            this.refreshDisplay();
+        }
+
+        /**
+         * Update the jersey number display, checking the number against the current team's roster
+         */
+        updateJerseyNumberDisplay() {
+            const number = this.currentJerseyNumber;
+            // Passers can be on either roster
+            const team = this.trackTeam && isLineMode(this.state.mode) ? this.currentTeam : null;
+            const player = findPlayer(this.state.roster, team, number);
+            const teamRoster = team ? this.state.roster[team] : [...this.state.roster.us, ...this.state.roster.opp];
+            const notOnRoster = !!number && !player && teamRoster.length > 0;
+            this.ui.updateJerseyNumberInput(number, player, notOnRoster);
+        }
+        
+        /**
+         * Open the roster editor
+         */
+        showRosterModal() {
+            if (this.state.isViewOnly) return;
+            this.ui.renderRosterEditor(this.state.roster);
+            const rosterModal = this.ui.getElement('rosterModal');
+            if (rosterModal) rosterModal.style.display = 'flex';
+        }
+        
+        /**
+         * Close the roster editor without saving
+         */
+        hideRosterModal() {
+            const rosterModal = this.ui.getElement('rosterModal');
+            if (rosterModal) rosterModal.style.display = 'none';
+        }
+        
+        /**
+         * Handle add/remove player clicks in the roster editor
+         * @param {MouseEvent} event
+         */
+        handleRosterEditorClick(event) {
+            const addBtn = event.target.closest('.roster-add-btn');
+            if (addBtn) {
+                this.ui.addRosterEditorRow(addBtn.getAttribute('data-team'));
+                return;
+            }
+            
+            const removeBtn = event.target.closest('.roster-remove-btn');
+            if (removeBtn) {
+                removeBtn.closest('.roster-row').remove();
+            }
+        }
+        
+        /**
+         * Save the roster from the editor
+         */
+        saveRoster() {
+            const { roster, errors } = this.ui.readRosterEditor();
+            if (errors.length > 0) {
+                alert(`Please fix the roster before saving:\n\n${errors.join('\n')}`);
+                return;
+            }
+            
+            this.state.setRoster(roster);
+            this.hasUnsavedChanges = true;
+            this.hideRosterModal();
+            this.refreshRoster();
+            Logger.info('Roster saved:', roster);
+        }
+        
+        /**
+         * Get the lineup to start editing for a team in the current set.
+         * A set without a lineup starts from the previous set's starters and libero.
+         * @param {string} team - 'us' or 'opp'
+         * @returns {Lineup}
+         */
+        getLineupDraft(team) {
+            const current = this.state.getLineup(team);
+            if (current) return current;
+            
+            for (let set = this.state.match.setNumber - 1; set >= 1; set--) {
+                const previous = this.state.getLineup(team, set);
+                if (previous) {
+                    return { ...createLineup(), starters: [...previous.starters], libero: previous.libero, liberoFor: [...previous.liberoFor] };
+                }
+            }
+            return createLineup();
+        }
+        
+        /**
+         * Open the lineup editor for the current set
+         */
+        showLineupModal() {
+            if (this.state.isViewOnly) return;
+            this.ui.renderLineupEditor(
+                { us: this.getLineupDraft('us'), opp: this.getLineupDraft('opp') },
+                this.state.match.setNumber,
+                this.state.roster
+            );
+            const lineupModal = this.ui.getElement('lineupModal');
+            if (lineupModal) lineupModal.style.display = 'flex';
+        }
+        
+        /**
+         * Close the lineup editor without saving
+         */
+        hideLineupModal() {
+            const lineupModal = this.ui.getElement('lineupModal');
+            if (lineupModal) lineupModal.style.display = 'none';
+        }
+        
+        /**
+         * Handle add/remove substitution clicks in the lineup editor
+         * @param {MouseEvent} event
+         */
+        handleLineupEditorClick(event) {
+            const addBtn = event.target.closest('.lineup-add-sub-btn');
+            if (addBtn) {
+                this.ui.addLineupSubRow(addBtn.getAttribute('data-team'), { out: '', in: '', rally: this.state.match.rallyIndex });
+                return;
+            }
+            
+            const removeBtn = event.target.closest('.roster-remove-btn');
+            if (removeBtn) {
+                removeBtn.closest('.lineup-sub-row').remove();
+            }
+        }
+        
+        /**
+         * Save the lineups from the editor for the current set
+         */
+        saveLineup() {
+            const { lineups, errors } = this.ui.readLineupEditor();
+            if (errors.length > 0) {
+                alert(`Please fix the lineup before saving:\n\n${errors.join('\n')}`);
+                return;
+            }
+            
+            const setNumber = this.state.match.setNumber;
+            this.state.setLineups(setNumber, lineups);
+            this.hasUnsavedChanges = true;
+            this.hideLineupModal();
+            Logger.info(`Lineups saved for set ${setNumber}:`, lineups);
+        }
+        
+        /**
+         * Fill in the jersey number from the lineup for a line starting at a point,
+         * unless one was already typed. In serve mode this is the server: the player in
+         * zone 1 of the selected team.
+         * @param {number} x - Line start X coordinate
+         * @param {number} y - Line start Y coordinate
+         */
+        prefillJerseyFromLineup(x, y) {
+            if (this.currentJerseyNumber || !this.trackRotation) return;
+            
+            const courtZone = this.state.mode === 'serving'
+                ? { team: this.trackTeam && this.currentTeam ? this.currentTeam : 'us', zone: 1 }
+                : this.geometry.getCourtZone(x, y);
+            if (!courtZone) return;
+            // A line started on the other team's side isn't by the selected team's player
+            if (this.trackTeam && courtZone.team !== this.currentTeam) return;
+            
+            const rotation = courtZone.team === 'us' ? this.currentRotation : this.oppRotation;
+            const number = getPlayerInZone(this.state.getLineup(courtZone.team), rotation, courtZone.zone);
+            if (!number) return;
+            
+            this.currentJerseyNumber = number;
+            this.jerseyPrefilled = true;
+            this.updateJerseyNumberDisplay();
+            Logger.debug(`Prefilled #${number} from ${courtZone.team} zone ${courtZone.zone}, rotation ${rotation}`);
+        }
+        
+        /**
+         * Award the current rally to a team
+         * @param {string} winner - 'us' or 'opp'
+         */
+        awardRally(winner) {
+            if (this.state.isViewOnly) return;
+            
+            const result = this.state.awardRally(winner);
+            this.hasUnsavedChanges = true;
+            Logger.info('Rally awarded:', result);
+            this.updateUI();
+        }
+        
+        /**
+         * Set which team serves the current rally
+         * @param {string|null} team - 'us', 'opp' or null if not known
+         */
+        setServing(team) {
+            if (this.state.isViewOnly) return;
+            
+            this.state.setServing(team);
+            this.hasUnsavedChanges = true;
+            Logger.info('Serving:', team);
+            this.updateUI();
+        }
+        
+        /**
+         * Correct a team's rotation by hand (undoable)
+         * @param {string} team - 'us' or 'opp'
+         * @param {number} rotation - Rotation (1-6)
+         */
+        setRotation(team, rotation) {
+            if (this.state.isViewOnly) return;
+            if (this.state.match.rotations[team] === rotation) return;
+            
+            this.state.setRotation(team, rotation);
+            this.hasUnsavedChanges = true;
+            this.updateUI();
+        }
+        
+        /**
+         * Advance to the next rally without scoring
+         */
+        advanceRally() {
+            if (this.state.isViewOnly) return;
+            
+            this.state.advanceRally();
+            this.hasUnsavedChanges = true;
+            this.updateUI();
+        }
+        
+        /**
+         * Finish the current set and start a new one
+         */
+        startNewSet() {
+            if (this.state.isViewOnly) return;
+            
+            this.state.startNewSet();
+            this.hasUnsavedChanges = true;
+            Logger.info('Started set', this.state.match.setNumber);
+            this.updateUI();
+        }
+        
+        /**
+         * Handle a tag hotkey
+         * @param {KeyboardEvent} event
+         * @returns {boolean} True if the key was a tag hotkey
+         */
+        handleTagHotkey(event) {
+            if (event.ctrlKey || event.metaKey || event.altKey) return false;
+            const key = event.key.toLowerCase();
+            
+            for (const field of getTagFields(this.state.mode)) {
+                const option = TAG_FIELDS[field].options.find(o => o.key === key);
+                if (option) {
+                    this.toggleCurrentTag(field, option.id);
+                    return true;
+                }
+            }
+            return false;
+        }
+        
+        /**
+         * Turn numpad zone entry on or off
+         */
+        toggleZoneEntry() {
+            if (this.state.isViewOnly) return;
+            this.zoneEntryMode = !this.zoneEntryMode;
+            this.zoneEntryKeys = [];
+            this.updateZoneEntryDisplay();
+        }
+        
+        /**
+         * Show the zones typed so far
+         */
+        updateZoneEntryDisplay() {
+            this.ui.updateZoneEntry(this.zoneEntryMode, this.zoneEntryKeys, isLineMode(this.state.mode));
+        }
+        
+        /**
+         * Handle a key in zone entry mode: numpad 1-9 types a zone, a sub-zone key (numpad
+         * / * - +) right after a zone picks its sub-zone, Enter adds the point, Backspace and Escape edit the entry.
+         * In charting mode the first zone is on the current team's side and the second on
+         * the other side. Outside simple heatmaps the top-row digits still type jersey numbers
+         * (and pass ratings).
+         * @param {KeyboardEvent} event
+         * @returns {boolean} True if the key was used
+         */
+        handleZoneEntryKey(event) {
+            if (event.ctrlKey || event.metaKey || event.altKey) return false;
+            
+            const isChartingMode = isLineMode(this.state.mode);
+            const entries = this.zoneEntryKeys;
+            const last = entries[entries.length - 1];
+            const isNumpad = (event.code || '').startsWith('Numpad');
+            
+            if (/^[1-9]$/.test(event.key) && (isNumpad || this.state.mode === 'simpleHeatmap')) {
+                if (entries.length < (isChartingMode ? 2 : 1)) {
+                    entries.push({ zone: parseInt(event.key, 10), subZone: null });
+                    this.updateZoneEntryDisplay();
+                }
+                return true;
+            }
+            
+            const { subZones } = this.config.zoneEntry;
+            const subZone = Object.keys(subZones).find(id => subZones[id].key === event.key);
+            if (last && !last.subZone && subZone) {
+                last.subZone = subZone;
+                this.updateZoneEntryDisplay();
+                return true;
+            }
+            
+            if (entries.length === 0) return false;
+            if (event.key === 'Enter') {
+                this.commitZoneEntry();
+            } else if (event.key === 'Escape') {
+                this.zoneEntryKeys = [];
+                this.updateZoneEntryDisplay();
+            } else if (event.key === 'Backspace') {
+                if (last.subZone) {
+                    last.subZone = null;
+                } else {
+                    entries.pop();
+                }
+                this.updateZoneEntryDisplay();
+            } else {
+                return false;
+            }
+            return true;
+        }
+        
+        /**
+         * Add the point or line for the typed zones, at the zone centers (with jitter if enabled)
+         */
+        commitZoneEntry() {
+            const isChartingMode = isLineMode(this.state.mode);
+            const entries = this.zoneEntryKeys;
+            if (entries.length < (isChartingMode ? 2 : 1)) return; // Still waiting for the end zone
+            
+            const place = (team, { zone, subZone }) => {
+                const { x, y, size } = this.geometry.getZoneCenter(team, zone, subZone);
+                const spread = this.zoneJitter ? size * this.config.zoneEntry.jitter : 0;
+                return {
+                    x: sanitizeCoordinate(x + (Math.random() - 0.5) * spread, this.geometry.canvasWidth),
+                    y: sanitizeCoordinate(y + (Math.random() - 0.5) * spread, this.geometry.canvasHeight)
+                };
+            };
+            
+            if (this.state.mode === 'serving') {
+                // Serves go from the end line behind the server's zone (on the bottom court) to the top court
+                const zoneStart = place('us', entries[0]);
+                const start = this.geometry.clampServeOrigin(zoneStart.x, this.geometry.innerEndY);
+                const end = place('opp', entries[1]);
+                
+                if (this.activeRotationFilters.size > 0) {
+                    this.activeRotationFilters.add(this.currentRotation);
+                }
+                this.prefillJerseyFromLineup(start.x, start.y);
+                this.addLine(start, end);
+            } else if (isChartingMode) {
+                const team = this.trackTeam && this.currentTeam ? this.currentTeam : 'us';
+                const start = place(team, entries[0]);
+                const end = place(team === 'us' ? 'opp' : 'us', entries[1]);
+                
+                // If filters are active, automatically add current rotation to filter
+                if (this.activeRotationFilters.size > 0) {
+                    this.activeRotationFilters.add(this.currentRotation);
+                }
+                this.prefillJerseyFromLineup(start.x, start.y);
+                this.addLine(start, end);
+            } else {
+                // Simple heatmaps and passing charts show one full court, below the net
+                const point = place('us', entries[0]);
+                if (this.state.mode === 'passing') {
+                    this.setPendingPass(point.x, point.y);
+                } else {
+                    this.addDot(point.x, point.y);
+                }
+            }
+            
+            Logger.debug('Zone entry', entries.map(entry => `${entry.zone}${entry.subZone || ''}`).join(' → '));
+            this.zoneEntryKeys = [];
+            this.updateZoneEntryDisplay();
+        }
+        
         /**
          * Handle team button clicks
          * @param {MouseEvent} event
@@ -3022,6 +9285,7 @@
                 });
             }
             
+            this.updateJerseyNumberDisplay(); // Re-check the number against the new team's roster
             Logger.info('Team selected:', team);
         }
         
@@ -3032,17 +9296,50 @@
         handleKeyboard(event) {
             if (this.state.isViewOnly) return;
             
-            // Handle jersey number input for charting mode
-            if (this.state.mode === 'heatmapCharting') {
+            // Leave typing in text fields (session names, etc.) alone
+            if (event.target && event.target.closest && event.target.closest('input, textarea, select')) return;
+            
+            // Selected point editing keys
+            if (this.editMode && this.handleEditKeyboard(event)) {
+                event.preventDefault();
+                return;
+            }
+            
+            // Rate a marked reception
+            if (this.pendingPass && this.handlePassRatingKey(event)) {
+                event.preventDefault();
+                return;
+            }
+            
+            // Numpad zones (and sub-zone keys) in zone entry mode
+            if (this.zoneEntryMode && this.handleZoneEntryKey(event)) {
+                event.preventDefault();
+                return;
+            }
+            
+            // Handle outcome and other tag hotkeys
+            if (this.handleTagHotkey(event)) {
+                event.preventDefault();
+                return;
+            }
+            
+            // Handle jersey number input for line and passing modes
+            if (isLineMode(this.state.mode) || this.state.mode === 'passing') {
                 // Handle digit keys (0-9)
                 if (event.key >= '0' && event.key <= '9') {
+                    // Typing over a number filled in from the lineup starts a new number
+                    if (this.jerseyPrefilled) {
+                        this.currentJerseyNumber = '';
+                        this.jerseyPrefilled = false;
+                    }
+                    
                     // Only allow up to 2 digits
                     if (this.currentJerseyNumber.length < 2) {
                         const newValue = this.currentJerseyNumber + event.key;
                         const sanitized = sanitizeJerseyNumber(newValue);
                         if (sanitized) {
                             this.currentJerseyNumber = sanitized;
-                            this.ui.updateJerseyNumberInput(this.currentJerseyNumber);
+                            this.updateJerseyNumberDisplay();
                         }
                         event.preventDefault();
                     }
@@ -3051,8 +9348,9 @@
                 
                 // Handle backspace
                 if (event.key === 'Backspace' && this.currentJerseyNumber.length > 0) {
-                    this.currentJerseyNumber = this.currentJerseyNumber.slice(0, -1);
-                    this.ui.updateJerseyNumberInput(this.currentJerseyNumber);
+                    this.currentJerseyNumber = this.jerseyPrefilled ? '' : this.currentJerseyNumber.slice(0, -1);
+                    this.jerseyPrefilled = false;
+                    this.updateJerseyNumberDisplay();
                     event.preventDefault();
                     return;
                 }
@@ -3085,8 +9383,31 @@
                 this.state.canRedo(), 
                 this.state.isViewOnly
             );
-            this.ui.updateJerseyNumberList(this.state.getPoints(), this.activeJerseyNumberFilters);
+            this.ui.updateJerseyNumberList(this.state.getPoints(), this.activeJerseyNumberFilters, this.state.roster);
             this.ui.updateRotationList(this.currentRotation, this.activeRotationFilters, this.state.isViewOnly);
+            Object.keys(TAG_FIELDS).forEach(field => {
+                this.ui.updateTagList(field, this.state.getPoints(), this.currentTags[field], this.activeTagFilters[field], this.state.isViewOnly);
+            });
+            this.ui.updateSetList(this.state.getPoints(), this.activeSetFilters);
+            this.ui.updateSituationList(this.state.getPoints(), this.activeSituationFilters);
+            this.ui.updateTeamList(this.state.getPoints(), this.activeTeamFilters);
+            this.ui.updateBulkPanel(this.getFilteredIndexes().length, this.state.mode, this.state.isViewOnly);
+            this.ui.updateMatchInfo(this.state.match, this.state.isViewOnly);
+            this.updateZoneEntryDisplay();
+            this.updatePassPanel();
+            this.updateDensityDisplay();
+            this.updateComparisonDisplay();
+            this.updateZoneOverlay();
+        }
+        
+        /**
+         * Reset assigned tags and tag filters
+         */
+        resetTags() {
+            Object.keys(TAG_FIELDS).forEach(field => {
+                this.currentTags[field] = null;
+                this.activeTagFilters[field].clear();
+            });
         }
         
         /**
@@ -3094,7 +9415,7 @@
          */
         updateSessionTitleWithMode() {
             this.ui.updateSessionTitle(this.state.name);
-            this.ui.updateModeBanner(this.state.mode);
+            this.ui.updateModeBanner(this.state.mode, this.state.court);
             this.updateLineUIVisibility();
         }
         
@@ -3102,29 +9423,47 @@
          * Show/hide line-related UI elements based on mode
          */
         updateLineUIVisibility() {
-            const isChartingMode = this.state.mode === 'heatmapCharting';
+            const isChartingMode = isLineMode(this.state.mode);
+            const isPassingMode = this.state.mode === 'passing';
             const display = isChartingMode ? '' : 'none';
+            const jerseyDisplay = isChartingMode || isPassingMode ? '' : 'none';
             
             const toggleLinesBtn = this.ui.getElement('toggleLinesBtn');
             const jerseyNumberInput = this.ui.getElement('jerseyNumberInput');
             const jerseyNumberList = this.ui.getElement('jerseyNumberList');
             const trackTeamBtn = this.ui.getElement('trackTeamBtn');
             const teamButtons = this.ui.getElement('teamButtons');
+            const lineupBtn = this.ui.getElement('lineupBtn');
+            const oppRotationControl = this.ui.getElement('oppRotationControl');
+            const teamFilterRow = this.ui.getElement('teamFilterRow');
+            const passPanel = this.ui.getElement('passPanel');
             const container = this.ui.getElement('mainContainer');
             
             if (toggleLinesBtn) toggleLinesBtn.style.display = display;
-            if (jerseyNumberInput) jerseyNumberInput.style.display = display;
-            if (jerseyNumberList) jerseyNumberList.style.display = display;
+            if (jerseyNumberInput) jerseyNumberInput.style.display = jerseyDisplay;
+            if (jerseyNumberList) jerseyNumberList.style.display = jerseyDisplay;
+            if (passPanel) passPanel.style.display = isPassingMode ? '' : 'none';
             if (trackTeamBtn) trackTeamBtn.style.display = display;
+            if (lineupBtn) lineupBtn.style.display = display;
+            if (oppRotationControl) oppRotationControl.style.display = display;
+            if (teamFilterRow) teamFilterRow.style.display = display;
             // Always hide team buttons in simple mode
             if (teamButtons) {
                 teamButtons.style.display = isChartingMode && this.trackTeam ? 'flex' : 'none';
             }
             
+            // Only show the tag rows used in this mode
+            const tagFields = getTagFields(this.state.mode);
+            Object.keys(TAG_FIELDS).forEach(field => {
+                const listEl = this.ui.getElement(TAG_FIELDS[field].listId);
+                const row = listEl && listEl.closest('.tag-row');
+                if (row) row.style.display = tagFields.includes(field) ? '' : 'none';
+            });
+            
             // Adjust container padding based on mode
-            // Both modes need left padding for rotation buttons, right padding only for charting mode
+            // All modes need left padding for rotation buttons, right padding only where the jersey list shows
             if (container) {
-                container.style.padding = isChartingMode ? '30px 120px 30px 120px' : '30px 30px 30px 120px';
+                container.style.padding = jerseyDisplay === '' ? '30px 120px 30px 120px' : '30px 30px 30px 120px';
             }
         }
         
@@ -3153,6 +9492,12 @@
         
         Logger.info('Browser compatibility check passed');
         
+        const keyClashes = checkSubZoneKeys();
+        if (keyClashes.length > 0) {
+            showConfigError(keyClashes);
+            return;
+        }
+        
         try {
             const app = new HeatmapApp(CONFIG);
             app.init();